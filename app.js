@@ -1,85 +1,103 @@
 // Privacy Tax Calculator - Complete Web3 Application Implementation
-// Real blockchain interactions with MetaMask on Sepolia testnet
+// Real blockchain interactions through the user's browser wallet on Sepolia or a local development chain
 
 class PrivacyTaxCalculatorApp {
     constructor() {
+        // EIP-1193 provider of the wallet chosen in WalletDiscovery; ethers wraps it on connect
+        this.ethereum = null;
         this.provider = null;
         this.signer = null;
         this.contract = null;
+        this.fheClient = null;
         this.account = null;
         this.chainId = null;
         this.selectedScenario = null;
+        this.selectedTaxYear = null;
+        this.isPaused = false;
         this.isConnecting = false;
         this.pendingTransactions = new Map();
+        this.taxEngine = new TaxScheduleEngine();
+        this.sharedAccess = new SharedAccessPanel(this);
+        this.proofOfFiling = new ProofOfFiling(this);
+        this.settlement = new TaxSettlement(this);
+        this.filingHistory = new FilingHistory(this);
+        this.gaslessRelay = new GaslessRelay(this);
+        this.readOnly = new ReadOnlyMode(this);
+        this.wallets = new WalletDiscovery(this);
+        this.simulator = new WhatIfSimulator(this.taxEngine, () => ({
+            filingStatus: this.getSelectedFilingStatus(),
+            jurisdictions: this.getSelectedJurisdictions()
+        }));
         
-        // Contract configuration
-        this.contractAddress = "0x2d6A5EA57197E1cf21C641456f573d086349087d"; // Deploy and update this
-        this.contractABI = [
-            "constructor()",
-            "function VERSION() external view returns (uint256)",
-            "function owner() external view returns (address)",
-            "function totalTaxpayers() external view returns (uint256)",
-            "function hasSubmitted(address) external view returns (bool)",
-            "function submitTaxInfo(bytes32[2] calldata encryptedIncome, bytes calldata incomeProof, bytes32[2] calldata encryptedDeductions, bytes calldata deductionsProof) external payable",
-            "function calculateTax() external",
-            "function getTaxOwed() external view returns (bytes32[2] memory)",
-            "function isCalculated(address taxpayer) external view returns (bool)",
-            "function getSubmissionTime(address taxpayer) external view returns (uint256)",
-            "function getCalculationTime(address taxpayer) external view returns (uint256)",
-            "function getContractStats() external view returns (uint256, uint256, address, uint256)",
-            "function clearTaxRecord() external",
-            "function hasValidTaxRecord(address taxpayer) external view returns (bool)",
-            "event TaxSubmitted(address indexed taxpayer, uint256 timestamp, bytes32 indexed txHash)",
-            "event TaxCalculated(address indexed taxpayer, uint256 timestamp, bytes32 indexed txHash)",
-            "event TaxRecordCleared(address indexed taxpayer, uint256 timestamp)"
-        ];
-        
-        // Sepolia network configuration
-        this.sepoliaConfig = {
-            chainId: '0xaa36a7', // 11155111 in hex
-            chainName: 'Sepolia Test Network',
-            nativeCurrency: {
-                name: 'ETH',
-                symbol: 'ETH',
-                decimals: 18,
-            },
-            rpcUrls: ['https://sepolia.infura.io/v3/', 'https://rpc.sepolia.org/'],
-            blockExplorerUrls: ['https://sepolia.etherscan.io/'],
-        };
+        // Contract address and ABI come from deployments/, written by scripts/deploy.cjs; the
+        // address is set on connect from the deployment registered for the wallet's chain
+        this.deployments = new DeploymentRegistry();
+        this.contractAddress = null;
+        this.deploymentBlock = 0;
+        
+        // Networks the app can connect to, from networks.json; connecting switches the wallet to the
+        // one selected in the header
+        this.networks = new NetworkRegistry();
+        
+        // The year picker offers the current filing year, this many earlier years that have an
+        // on-chain schedule, and every year the account already holds a record for
+        this.taxYearLookback = 4;
         
         // Tax scenarios with real USD values
         this.scenarios = {
             low: {
-                income: 30000,
-                deductions: 5000,
+                incomes: { wages: 30000 },
+                itemized: { charitable: 2000, stateLocalTaxes: 3000 },
+                credits: {},
+                payments: { withholding: 1600 },
                 description: "Low Income Scenario",
                 expectedTax: 2500, // Approximately 10% effective
                 gasEstimate: "150000"
             },
             medium: {
-                income: 75000,
-                deductions: 12000,
+                incomes: { wages: 75000 },
+                itemized: { mortgageInterest: 6000, stateLocalTaxes: 4500, charitable: 1500 },
+                credits: {},
+                payments: { withholding: 5000 },
                 description: "Medium Income Scenario", 
                 expectedTax: 10800, // Mixed bracket calculation
                 gasEstimate: "180000"
             },
             high: {
-                income: 150000,
-                deductions: 25000,
+                incomes: { wages: 150000 },
+                itemized: { mortgageInterest: 12000, stateLocalTaxes: 9000, charitable: 4000 },
+                credits: {},
+                payments: { withholding: 20000 },
                 description: "High Income Scenario",
                 expectedTax: 29000, // Higher bracket calculation
                 gasEstimate: "200000"
             },
             custom: {
-                income: 0,
-                deductions: 0,
+                incomes: {},
+                itemized: {},
+                credits: {},
+                payments: {},
                 description: "Custom Amount",
                 expectedTax: 0,
                 gasEstimate: "200000"
             }
         };
         
-        // Try to restore previously submitted tax data
+        // Bundled schedule the user picked: every estimate uses its rules, and while connected
+        // the contract's brackets replace its brackets
+        this.taxScheduleId = localStorage.getItem('taxSchedule');
+        
+        // Submit also calculates, in one transaction, unless the user chose the two-step flow
+        this.oneStepFiling = localStorage.getItem('oneStepFiling') !== 'false';
+        
+        // Gas limits used when estimation fails, by submission method
+        this.submissionGasFallback = {
+            submitTaxInfo: 450000n,
+            submitAndCalculateTax: 4500000n
+        };
+        
+        // Try to restore previously submitted tax data, by tax year
+        this.submittedTaxRecords = {};
         this.loadSubmittedTaxData();
         
         this.init();
@@ -88,81 +106,258 @@ class PrivacyTaxCalculatorApp {
     // Load previously submitted tax data from localStorage
     loadSubmittedTaxData() {
         try {
-            const stored = localStorage.getItem('submittedTaxData');
+            const stored = localStorage.getItem('submittedTaxRecords');
             if (stored) {
-                this.submittedTaxData = JSON.parse(stored);
-                console.log('Restored submitted tax data:', this.submittedTaxData);
+                this.submittedTaxRecords = JSON.parse(stored);
             }
+            
+            // A single record saved before tax years existed; earlier contracts only filed for 2024
+            const legacy = localStorage.getItem('submittedTaxData');
+            if (legacy) {
+                const record = JSON.parse(legacy);
+                const taxYear = record.taxYear || 2024;
+                if (!this.submittedTaxRecords[taxYear]) {
+                    this.submittedTaxRecords[taxYear] = { ...record, taxYear };
+                }
+                localStorage.setItem('submittedTaxRecords', JSON.stringify(this.submittedTaxRecords));
+                localStorage.removeItem('submittedTaxData');
+            }
+            console.log('Restored submitted tax data for years:', Object.keys(this.submittedTaxRecords));
         } catch (error) {
             console.error('Failed to load submitted tax data:', error);
         }
     }
     
+    getSubmittedTaxData(taxYear) {
+        return this.submittedTaxRecords[taxYear] || null;
+    }
+    
+    // Amounts are stored as dollar strings (Money.replacer) and parsed back by the engine
+    saveSubmittedTaxData(taxYear, data) {
+        if (data) {
+            this.submittedTaxRecords[taxYear] = data;
+        } else {
+            delete this.submittedTaxRecords[taxYear];
+        }
+        localStorage.setItem('submittedTaxRecords', JSON.stringify(this.submittedTaxRecords, Money.replacer));
+    }
+    
     async init() {
-        this.setupEventListeners();
+        await this.loadTaxSchedules();
+        await this.loadNetworks();
+        this.wallets.start();
+        await this.wallets.ready();
         await this.checkWalletConnection();
+        if (!this.contract) {
+            await this.readOnly.start();
+        }
         this.updateUI();
     }
     
+    // Load versioned tax schedules that drive all local tax figures
+    async loadTaxSchedules() {
+        try {
+            await this.taxEngine.loadSchedules();
+            if (!this.taxEngine.schedules.has(this.taxScheduleId)) {
+                this.taxScheduleId = this.taxEngine.defaultScheduleId;
+            }
+            this.taxEngine.setActiveSchedule(this.taxScheduleId);
+            const schedule = this.taxEngine.getActiveSchedule();
+            console.log(`Tax schedule loaded: ${schedule.jurisdiction} ${schedule.taxYear} (v${schedule.version})`);
+            this.populateScheduleOptions();
+            this.populateJurisdictionOptions();
+            this.simulator.init();
+        } catch (error) {
+            console.error('Failed to load tax schedules:', error);
+            this.showMessage('⚠️ Tax schedules could not be loaded. Estimates are unavailable.', 'warning');
+        }
+    }
+    
+    async loadNetworks() {
+        try {
+            await this.networks.load();
+            this.populateNetworkOptions();
+        } catch (error) {
+            console.error('Failed to load networks:', error);
+            this.showMessage('⚠️ The network list could not be loaded.', 'warning');
+        }
+    }
+    
+    populateNetworkOptions() {
+        const select = document.getElementById('networkSelect');
+        if (!select) return;
+        
+        select.innerHTML = this.networks.networks.map(network =>
+            `<option value="${network.key}">${network.name}</option>`
+        ).join('');
+        select.value = this.networks.selectedKey;
+    }
+    
+    // Remember the network and, when connected, switch the wallet to it; the page reloads on the
+    // wallet's chainChanged and reconnects there
+    async selectNetwork(key) {
+        const network = this.networks.select(key);
+        if (!this.account) {
+            this.showMessage(`${network.name} selected. Connect your wallet to file on it.`, 'info');
+            await this.readOnly.start();
+            return;
+        }
+        
+        try {
+            await this.requestNetworkSwitch(network);
+        } catch (error) {
+            console.error('Network switch failed:', error);
+            this.networks.select(this.networks.byChainId(this.chainId).key);
+            this.populateNetworkOptions();
+        }
+    }
+    
+    // Talk to the chosen wallet, moving the event listeners over from the previous one
+    useWallet(wallet) {
+        if (this.ethereum === wallet.provider) return;
+        
+        if (this.ethereum && this.ethereum.removeListener) {
+            Object.entries(this.walletListeners).forEach(([event, listener]) => {
+                this.ethereum.removeListener(event, listener);
+            });
+        }
+        this.ethereum = wallet.provider;
+        this.setupEventListeners();
+    }
+    
     setupEventListeners() {
-        if (window.ethereum) {
-            window.ethereum.on('accountsChanged', (accounts) => {
+        this.walletListeners = {
+            accountsChanged: (accounts) => {
                 if (accounts.length === 0) {
                     this.disconnect();
-                } else if (accounts[0] !== this.account) {
+                } else if (!this.account || accounts[0].toLowerCase() !== this.account.toLowerCase()) {
                     this.handleAccountChange(accounts[0]);
                 }
-            });
+            },
             
-            window.ethereum.on('chainChanged', (chainId) => {
-                if (chainId !== this.sepoliaConfig.chainId) {
-                    this.showMessage('Please switch to Sepolia testnet', 'warning');
-                    this.requestNetworkSwitch();
-                } else {
+            chainChanged: (chainId) => {
+                // A switch made in the wallet to another listed network selects it
+                const network = this.networks.byChainId(chainId);
+                if (network) {
+                    this.networks.select(network.key);
                     window.location.reload();
+                } else {
+                    this.showMessage(`Please switch to ${this.networks.selected.name}`, 'warning');
+                    this.requestNetworkSwitch();
                 }
-            });
+            },
             
-            window.ethereum.on('disconnect', () => {
+            disconnect: () => {
                 this.disconnect();
-            });
-        }
+            }
+        };
+        
+        Object.entries(this.walletListeners).forEach(([event, listener]) => {
+            this.ethereum.on(event, listener);
+        });
     }
     
+    // Reconnect on load when the remembered wallet, or the only one installed, already shares accounts
     async checkWalletConnection() {
-        if (window.ethereum) {
+        const wallet = this.wallets.selected;
+        if (wallet) {
             try {
-                const accounts = await window.ethereum.request({ method: 'eth_accounts' });
+                const accounts = await wallet.provider.request({ method: 'eth_accounts' });
                 if (accounts.length > 0) {
                     await this.connectWallet();
                 }
             } catch (error) {
                 console.error('Error checking wallet connection:', error);
             }
-        } else {
-            this.showMessage('MetaMask not detected. Please install MetaMask to use this application.', 'error');
+        } else if (this.wallets.list().length === 0) {
+            this.showMessage('No browser wallet detected. Browsing read-only; install one, such as MetaMask, to file.', 'info');
+        }
+    }
+    
+    // Switch to another installed wallet and connect with it
+    async selectWallet(rdns) {
+        if (!rdns) return;
+        
+        this.wallets.select(rdns);
+        if (this.account) {
+            this.disconnect();
         }
+        await this.connectWallet();
     }
     
+    // Name of the chosen wallet for messages
+    walletName() {
+        const wallet = this.wallets.selected;
+        return wallet ? wallet.info.name : 'your wallet';
+    }
+    
+    // The signer, contract and FHE client all act for one account, so they are rebuilt for the
+    // new one before anything account-specific is reloaded
     async handleAccountChange(newAccount) {
-        this.account = newAccount;
-        document.getElementById('connectBtn').textContent = `${newAccount.slice(0, 6)}...${newAccount.slice(-4)}`;
-        await this.updateTaxStatus();
+        if (!this.contract || this.isConnecting) return;
+        
+        try {
+            this.isConnecting = true;
+            
+            this.signer = await this.provider.getSigner(newAccount);
+            this.account = await this.signer.getAddress();
+            this.contract.removeAllListeners();
+            this.contract = this.contract.connect(this.signer);
+            this.fheClient = null;
+            
+            document.getElementById('connectBtn').textContent = `${this.account.slice(0, 6)}...${this.account.slice(-4)}`;
+            document.getElementById('accountAddress').textContent = `${this.account.slice(0, 10)}...${this.account.slice(-8)}`;
+            
+            await this.updateAccountBalance();
+            await this.verifyContractConnection();
+            await this.loadTaxYears();
+            this.watchScheduleChanges();
+            this.watchPauseChanges();
+            
+            await this.updateTaxStatus();
+            await this.sharedAccess.refresh();
+            this.showMessage(`🔄 Switched to account ${this.account.slice(0, 6)}...${this.account.slice(-4)}`, 'info');
+        } catch (error) {
+            console.error('Account switch failed:', error);
+            this.showMessage('❌ Could not switch accounts. Please reconnect your wallet.', 'error');
+            this.disconnect();
+        } finally {
+            this.isConnecting = false;
+        }
     }
     
     disconnect() {
         this.provider = null;
         this.signer = null;
+        if (this.contract) {
+            this.contract.removeAllListeners();
+        }
         this.contract = null;
+        this.contractAddress = null;
+        this.deploymentBlock = 0;
+        this.fheClient = null;
         this.account = null;
         this.chainId = null;
+        this.selectedTaxYear = null;
+        this.isPaused = false;
+        this.updatePauseNotice();
+        
+        // Back to the bundled schedule until a contract is connected again
+        if (this.taxScheduleId) {
+            this.taxEngine.setActiveSchedule(this.taxScheduleId);
+            refreshEstimates();
+        }
         
         document.getElementById('connectBtn').textContent = 'Connect Wallet';
         document.getElementById('connectBtn').classList.remove('connected');
         document.getElementById('taxStatus').style.display = 'none';
-        document.getElementById('scenarioSection').style.display = 'none';
+        document.getElementById('sharedAccessSection').style.display = 'none';
+        document.getElementById('proofOfFilingSection').style.display = 'none';
+        document.getElementById('settlementSection').style.display = 'none';
+        document.getElementById('filingHistorySection').style.display = 'none';
         
         this.showMessage('Wallet disconnected', 'info');
+        this.readOnly.start();
     }
     
     async connectWallet() {
@@ -170,28 +365,39 @@ class PrivacyTaxCalculatorApp {
         
         try {
             this.isConnecting = true;
-            this.showMessage('Connecting to MetaMask...', 'info');
             
-            if (!window.ethereum) {
-                throw new Error('MetaMask not installed');
+            const wallet = this.wallets.selected;
+            if (!wallet) {
+                throw new Error(this.wallets.list().length > 0 ? 'No wallet chosen' : 'No wallet installed');
             }
+            this.useWallet(wallet);
+            this.showMessage(`Connecting to ${wallet.info.name}...`, 'info');
             
-            const accounts = await window.ethereum.request({ method: 'eth_requestAccounts' });
+            const accounts = await this.ethereum.request({ method: 'eth_requestAccounts' });
             if (accounts.length === 0) {
                 throw new Error('No accounts available');
             }
             
-            const chainId = await window.ethereum.request({ method: 'eth_chainId' });
-            if (chainId !== this.sepoliaConfig.chainId) {
-                await this.requestNetworkSwitch();
+            const network = (await this.networks.load()).selected;
+            let chainId = await this.ethereum.request({ method: 'eth_chainId' });
+            if (Number(chainId) !== network.chainId) {
+                await this.requestNetworkSwitch(network);
+                chainId = await this.ethereum.request({ method: 'eth_chainId' });
             }
             
-            this.provider = new ethers.BrowserProvider(window.ethereum);
+            // Refuse chains without a registered deployment matching this app before keeping any state
+            const provider = new ethers.BrowserProvider(this.ethereum);
+            const deployment = await this.deployments.resolve(provider);
+            
+            this.provider = provider;
             this.signer = await this.provider.getSigner();
             this.account = await this.signer.getAddress();
             this.chainId = chainId;
             
-            this.contract = new ethers.Contract(this.contractAddress, this.contractABI, this.signer);
+            this.contractAddress = deployment.address;
+            this.deploymentBlock = deployment.blockNumber;
+            this.contract = new ethers.Contract(deployment.address, deployment.abi, this.signer);
+            this.readOnly.stop();
             
             // Update UI
             document.getElementById('connectBtn').textContent = `${this.account.slice(0, 6)}...${this.account.slice(-4)}`;
@@ -200,15 +406,29 @@ class PrivacyTaxCalculatorApp {
             
             await this.updateAccountBalance();
             await this.verifyContractConnection();
+            await this.loadTaxYears();
+            await this.loadOnChainSchedule();
+            await this.loadPauseState();
+            this.watchScheduleChanges();
+            this.watchPauseChanges();
             
             // Show relevant sections
             document.getElementById('taxStatus').style.display = 'block';
             document.getElementById('scenarioSection').style.display = 'block';
+            document.getElementById('sharedAccessSection').style.display = 'block';
+            document.getElementById('proofOfFilingSection').style.display = 'block';
+            document.getElementById('settlementSection').style.display = 'block';
+            document.getElementById('filingHistorySection').style.display = 'block';
+            document.getElementById('inspectSection').style.display = 'block';
             
             await this.updateTaxStatus();
+            await this.sharedAccess.refresh();
             await this.loadContractStats();
+            if (this.gaslessRelay.enabled) {
+                await this.gaslessRelay.checkRelayer();
+            }
             
-            this.showMessage('✅ Connected to Sepolia testnet!', 'success');
+            this.showMessage(`✅ Connected to ${network.name}!`, 'success');
             
         } catch (error) {
             console.error('Wallet connection failed:', error);
@@ -217,15 +437,17 @@ class PrivacyTaxCalculatorApp {
             if (error.code === 4001) {
                 this.showMessage('❌ Connection rejected by user', 'warning');
             } else if (error.code === -32002) {
-                this.showMessage('⏳ Connection request already pending in MetaMask', 'warning');
+                this.showMessage(`⏳ Connection request already pending in ${this.walletName()}`, 'warning');
             } else if (error.code === 4900) {
-                this.showMessage('❌ MetaMask is disconnected', 'error');
+                this.showMessage(`❌ ${this.walletName()} is disconnected`, 'error');
             } else if (error.code === 4901) {
-                this.showMessage('❌ MetaMask does not support Sepolia network', 'error');
+                this.showMessage(`❌ ${this.walletName()} does not support ${this.networks.selected.name}`, 'error');
             } else if (error.message?.includes('No accounts')) {
-                this.showMessage('❌ No accounts available in MetaMask', 'error');
-            } else if (error.message?.includes('MetaMask not installed')) {
-                this.showMessage('❌ MetaMask not detected. Please install MetaMask browser extension.', 'error');
+                this.showMessage(`❌ No accounts available in ${this.walletName()}`, 'error');
+            } else if (error.message?.includes('No wallet installed')) {
+                this.showMessage('❌ No browser wallet detected. Please install a wallet extension such as MetaMask.', 'error');
+            } else if (error.message?.includes('No wallet chosen')) {
+                this.showMessage('Several wallets are installed. Choose one in the header to connect.', 'warning');
             } else if (error.message?.includes('network')) {
                 this.showMessage('❌ Network connection failed. Please check your internet.', 'error');
             } else {
@@ -236,27 +458,28 @@ class PrivacyTaxCalculatorApp {
         }
     }
     
-    async requestNetworkSwitch() {
+    async requestNetworkSwitch(network = this.networks.selected) {
+        const params = this.networks.walletParams(network);
         try {
-            await window.ethereum.request({
+            await this.ethereum.request({
                 method: 'wallet_switchEthereumChain',
-                params: [{ chainId: this.sepoliaConfig.chainId }],
+                params: [{ chainId: params.chainId }],
             });
         } catch (switchError) {
             // If network doesn't exist, add it
             if (switchError.code === 4902) {
                 try {
-                    await window.ethereum.request({
+                    await this.ethereum.request({
                         method: 'wallet_addEthereumChain',
-                        params: [this.sepoliaConfig]
+                        params: [params]
                     });
-                    this.showMessage('✅ Sepolia network added to MetaMask', 'success');
+                    this.showMessage(`✅ ${network.name} network added to ${this.walletName()}`, 'success');
                 } catch (addError) {
                     console.error('Failed to add network:', addError);
                     if (addError.code === 4001) {
                         this.showMessage('❌ Network addition rejected by user', 'warning');
                     } else {
-                        this.showMessage('❌ Failed to add Sepolia network to MetaMask', 'error');
+                        this.showMessage(`❌ Failed to add ${network.name} network to ${this.walletName()}`, 'error');
                     }
                     throw addError;
                 }
@@ -264,7 +487,7 @@ class PrivacyTaxCalculatorApp {
                 this.showMessage('❌ Network switch rejected by user', 'warning');
                 throw switchError;
             } else {
-                this.showMessage('❌ Failed to switch to Sepolia network', 'error');
+                this.showMessage(`❌ Failed to switch to ${network.name} network`, 'error');
                 throw switchError;
             }
         }
@@ -276,16 +499,245 @@ class PrivacyTaxCalculatorApp {
             const owner = await this.contract.owner();
             console.log(`Contract Version: ${version}, Owner: ${owner}`);
             
-            this.updateNetworkStatus(`Sepolia (Contract v${version})`);
+            this.updateNetworkStatus(`${this.networks.byChainId(this.chainId).name} (Contract v${version})`);
         } catch (error) {
             console.error('Contract verification failed:', error);
             this.showMessage('⚠️ Contract verification failed. Please check deployment.', 'warning');
+            return;
+        }
+        
+        try {
+            this.fheClient = await FheClient.create(this.contract, this.signer);
+            console.log(`FHE backend: ${this.fheClient.backend}`);
+        } catch (error) {
+            console.error('FHE executor unavailable:', error);
+            this.fheClient = null;
+            this.showMessage('⚠️ FHE executor unavailable. Encrypted submission and decryption are disabled.', 'warning');
+        }
+    }
+    
+    // Use the selected year's latest on-chain ordinary and gains brackets for each filing status
+    // in every local estimate, so estimates match what calculateTax computes for that year and
+    // status. A status without a published schedule keeps the bundled brackets; deductions,
+    // credits and other rules still come from the bundled schedule the user picked.
+    async loadOnChainSchedule(taxYear = this.selectedTaxYear) {
+        try {
+            const brackets = {};
+            const capitalGainsBrackets = {};
+            const versions = {};
+            for (const filingStatus of Object.keys(TaxScheduleEngine.FILING_STATUSES)) {
+                const code = this.filingStatusCode(filingStatus);
+                const version = await this.contract.latestScheduleVersion(taxYear, code);
+                if (version === 0n) continue;
+                const [thresholds, ratesBps, gainsThresholds, gainsRatesBps] = await this.contract.getTaxSchedule(taxYear, code, version);
+                brackets[filingStatus] = this.bracketsFromChain(thresholds, ratesBps);
+                capitalGainsBrackets[filingStatus] = this.bracketsFromChain(gainsThresholds, gainsRatesBps);
+                versions[filingStatus] = Number(version);
+            }
+            
+            if (Object.keys(versions).length === 0) {
+                throw new Error(`No schedule published for ${taxYear}`);
+            }
+            
+            // Each filing status is versioned separately; usually they move together
+            const label = `v${[...new Set(Object.values(versions))].join('/')}`;
+            const schedule = this.taxEngine.deriveSchedule(this.taxScheduleId, {
+                id: `onchain-${this.taxScheduleId}-${taxYear}-${Object.values(versions).join('-')}`,
+                version: Math.max(...Object.values(versions)),
+                description: `On-chain schedule for ${taxYear}, ${label}`,
+                taxYear: Number(taxYear),
+                brackets: brackets,
+                capitalGainsBrackets: capitalGainsBrackets
+            });
+            this.taxEngine.setActiveSchedule(schedule.id);
+            this.onChainSchedule = { taxYear: Number(taxYear), versions: versions };
+            console.log(`On-chain tax schedule loaded: ${taxYear} ${label}`);
+            
+            const info = document.getElementById('taxScheduleInfo');
+            if (info) {
+                info.textContent = `${taxYear} ${label}`;
+            }
+            refreshEstimates();
+        } catch (error) {
+            console.error('Failed to load on-chain tax schedule:', error);
+            this.onChainSchedule = null;
+            this.showMessage('⚠️ Could not read the contract\'s tax schedule. Estimates use the bundled schedule.', 'warning');
+        }
+    }
+    
+    // Reload the schedule whenever the owner publishes a new version or switches tax year
+    watchScheduleChanges() {
+        const reload = async () => {
+            this.showMessage('📅 Tax schedule updated on-chain. Refreshing estimates...', 'info');
+            await this.loadTaxYears();
+            await this.loadOnChainSchedule();
+        };
+        this.contract.on('TaxScheduleSet', reload);
+        this.contract.on('ActiveTaxYearChanged', reload);
+    }
+    
+    async loadPauseState() {
+        try {
+            this.isPaused = await this.contract.paused();
+        } catch (error) {
+            console.error('Failed to read pause state:', error);
+            this.isPaused = false;
+        }
+        this.updatePauseNotice();
+    }
+    
+    // Follow the owner pausing and resuming the contract
+    watchPauseChanges() {
+        this.contract.on('ContractPaused', async () => {
+            this.isPaused = true;
+            this.updatePauseNotice();
+            this.showMessage('⏸️ The contract was paused by its owner', 'warning');
+            await this.updateTaxStatus();
+        });
+        this.contract.on('ContractUnpaused', async () => {
+            this.isPaused = false;
+            this.updatePauseNotice();
+            this.showMessage('▶️ The contract was resumed by its owner', 'success');
+            await this.updateTaxStatus();
+        });
+    }
+    
+    updatePauseNotice() {
+        const notice = document.getElementById('pauseNotice');
+        if (notice) {
+            notice.style.display = this.isPaused ? 'block' : 'none';
+        }
+    }
+    
+    // Writes revert while the contract is paused; check the live state so nobody pays gas for that
+    async rejectIfPaused() {
+        await this.loadPauseState();
+        if (!this.isPaused) return false;
+        
+        this.showMessage('⏸️ The contract is paused by its owner. Submitting, amending, calculating, paying and clearing are disabled until it resumes. You can still view results.', 'warning');
+        await this.updateTaxStatus();
+        return true;
+    }
+    
+    // A return under a filing status without a schedule for the year would revert; say so before any gas is spent
+    async rejectIfNoSchedule(taxYear, filingStatus) {
+        if (await this.contract.latestScheduleVersion(taxYear, this.filingStatusCode(filingStatus)) > 0n) return false;
+        
+        this.showMessage(`❌ No ${taxYear} tax schedule has been published for ${TaxScheduleEngine.FILING_STATUSES[filingStatus]} yet`, 'error');
+        return true;
+    }
+    
+    // Fill the tax year picker, keeping the current selection while it is still offered
+    async loadTaxYears() {
+        try {
+            const activeTaxYear = Number(await this.contract.activeTaxYear());
+            const filedYears = (await this.contract.getTaxYears(this.account)).map(Number);
+            
+            const years = new Set([activeTaxYear, ...filedYears]);
+            // Past years are offered once any filing status has a schedule for them
+            const codes = Object.keys(TaxScheduleEngine.FILING_STATUSES).map(status => this.filingStatusCode(status));
+            for (let year = activeTaxYear - this.taxYearLookback; year < activeTaxYear; year++) {
+                const versions = await Promise.all(codes.map(code => this.contract.latestScheduleVersion(year, code)));
+                if (versions.some(version => version > 0n)) {
+                    years.add(year);
+                }
+            }
+            
+            const options = [...years].sort((a, b) => b - a);
+            if (!options.includes(this.selectedTaxYear)) {
+                this.selectedTaxYear = activeTaxYear;
+            }
+            
+            const select = document.getElementById('taxYearSelect');
+            if (select) {
+                select.innerHTML = options.map(year =>
+                    `<option value="${year}"${year === this.selectedTaxYear ? ' selected' : ''}>${year}${year === activeTaxYear ? ' (current)' : ''}</option>`
+                ).join('');
+            }
+        } catch (error) {
+            console.error('Failed to load tax years:', error);
+            this.showMessage('⚠️ Could not read tax years from the contract', 'warning');
+        }
+    }
+    
+    // Switch submit/calculate/view/clear and the estimates to another tax year
+    async selectTaxYear(taxYear) {
+        this.selectedTaxYear = Number(taxYear);
+        const select = document.getElementById('taxYearSelect');
+        if (select) {
+            select.value = String(this.selectedTaxYear);
+        }
+        
+        await this.loadOnChainSchedule();
+        await this.updateTaxStatus();
+    }
+    
+    // Show how often the selected year was amended, with one line per amendment
+    async updateAmendmentHistory(taxYear, hasSubmitted) {
+        const count = document.getElementById('amendmentCount');
+        const history = document.getElementById('amendmentHistory');
+        if (!count || !history) return;
+        
+        const amendments = hasSubmitted ? await this.getAmendmentHistory(taxYear) : [];
+        count.textContent = hasSubmitted ? String(amendments.length) : '-';
+        history.innerHTML = amendments.map(amendment =>
+            `<div class="status-item"><span class="label">#${amendment.amendment}:</span>` +
+            `<span class="value small">${new Date(amendment.timestamp * 1000).toLocaleString()} ` +
+            `<span class="mono">${amendment.txHash.slice(0, 10)}...</span></span></div>`
+        ).join('');
+    }
+    
+    // List every year the account holds a record for with its status
+    async updateTaxYearHistory() {
+        const history = document.getElementById('taxYearHistory');
+        if (!history) return;
+        
+        const filedYears = (await this.contract.getTaxYears(this.account)).map(Number).sort((a, b) => b - a);
+        if (filedYears.length === 0) {
+            history.innerHTML = '<div class="status-item"><span class="label">No tax years filed yet</span></div>';
+            return;
         }
+        
+        const rows = await Promise.all(filedYears.map(async year => {
+            let status = '🔄 Submitted, not calculated';
+            if (await this.contract.isCalculated(this.account, year)) {
+                const version = await this.contract.getCalculationSchedule(this.account, year);
+                status = `✅ Calculated (schedule v${version})`;
+            }
+            const amendments = Number(await this.contract.getAmendmentCount(this.account, year));
+            if (amendments > 0) {
+                status += `, amended ${amendments}×`;
+            }
+            const selected = year === this.selectedTaxYear ? ' selected' : '';
+            return `<div class="status-item tax-year-item${selected}" onclick="selectTaxYear(${year})">` +
+                `<span class="label">${year}:</span><span class="value">${status}</span></div>`;
+        }));
+        history.innerHTML = rows.join('');
+    }
+    
+    // Contract thresholds (6-decimal units) and basis-point rates as engine brackets
+    bracketsFromChain(thresholds, ratesBps) {
+        return ratesBps.map((rateBps, index) => ({
+            upTo: index < thresholds.length ? Number(Money.toDecimalString(thresholds[index])) : null,
+            rate: Number(rateBps) / 100
+        }));
     }
     
+    // One line per schedule for result views, e.g. "ordinary 10% to $50,000, 30% above; gains 0% to ..."
+    describeBrackets(brackets, capitalGainsBrackets) {
+        const describe = table => table.map(bracket =>
+            `${bracket.rate}%` + (bracket.upTo === null ? ' above' : ` to ${Money.format(Money.from(bracket.upTo))}`)
+        ).join(', ');
+        return `ordinary ${describe(brackets)}; gains ${describe(capitalGainsBrackets)}`;
+    }
+    
+    // Public, so they load from the read-only contract as well as the connected one
     async loadContractStats() {
+        const contract = this.readOnly.reader;
+        if (!contract) return;
+        
         try {
-            const [totalTaxpayers, deploymentTime, owner, version] = await this.contract.getContractStats();
+            const [totalTaxpayers, deploymentTime, owner, version] = await contract.getContractStats();
             
             document.getElementById('totalTaxpayers').textContent = totalTaxpayers.toString();
             document.getElementById('contractOwner').textContent = `${owner.slice(0, 10)}...${owner.slice(-8)}`;
@@ -301,6 +753,24 @@ class PrivacyTaxCalculatorApp {
         }
     }
     
+    // Writes need a signer; in read-only mode say so and point at the connect button
+    requireWallet() {
+        if (this.contract) return true;
+        
+        this.showMessage(this.wallets.list().length > 0
+            ? '🔒 Read-only mode: connect your wallet to sign this transaction.'
+            : '🔒 Read-only mode: install a browser wallet, such as MetaMask, and connect it to sign transactions.', 'warning');
+        const connectBtn = document.getElementById('connectBtn');
+        if (connectBtn) connectBtn.focus();
+        return false;
+    }
+    
+    // Name of the connected network for messages
+    networkName() {
+        const network = this.networks.byChainId(this.chainId);
+        return network ? network.name : 'this network';
+    }
+    
     updateNetworkStatus(status) {
         document.getElementById('networkStatus').textContent = status;
     }
@@ -323,11 +793,14 @@ class PrivacyTaxCalculatorApp {
     }
     
     async updateTaxStatus() {
-        if (!this.contract || !this.account) return;
+        if (!this.contract || !this.account || this.selectedTaxYear === null) return;
         
+        const taxYear = this.selectedTaxYear;
         try {
-            const hasSubmitted = await this.contract.hasSubmitted(this.account);
-            const isCalculated = hasSubmitted ? await this.contract.isCalculated(this.account) : false;
+            const hasSubmitted = await this.contract.hasSubmitted(this.account, taxYear);
+            const isCalculated = hasSubmitted ? await this.contract.isCalculated(this.account, taxYear) : false;
+            const settlement = isCalculated ? await this.contract.getSettlement(this.account, taxYear) : null;
+            const isPaid = settlement !== null && Number(settlement.status) !== TaxSettlement.STATUS.UNPAID;
             
             let statusMessage = '';
             let showSubmitBtn = false;
@@ -335,32 +808,52 @@ class PrivacyTaxCalculatorApp {
             let showViewBtn = false;
             
             if (!hasSubmitted) {
-                statusMessage = '📝 Ready to submit tax information';
+                statusMessage = `📝 Ready to submit ${taxYear} tax information`;
                 showSubmitBtn = true;
             } else if (!isCalculated) {
-                statusMessage = '🔄 Ready to calculate tax privately';
+                statusMessage = `🔄 Ready to calculate ${taxYear} tax privately`;
                 showCalculateBtn = true;
-                
-                // Show submission time
-                const submissionTime = await this.contract.getSubmissionTime(this.account);
-                console.log('Submission time:', new Date(Number(submissionTime) * 1000).toLocaleString());
+            } else if (isPaid) {
+                // A pending payment the taxpayer can already decrypt as short is shown as underpaid
+                const status = Number(settlement.status);
+                const covers = status === TaxSettlement.STATUS.PENDING ? await this.settlement.coverage(settlement) : null;
+                if (status === TaxSettlement.STATUS.CONFIRMED) {
+                    statusMessage = `🧾 ${taxYear} tax calculated and paid`;
+                } else if (status === TaxSettlement.STATUS.UNDERPAID) {
+                    statusMessage = `⚠️ ${taxYear} tax underpaid - pay the remaining tax or take a refund`;
+                } else if (covers === false) {
+                    statusMessage = `⚠️ ${taxYear} tax underpaid - the payment is less than the tax owed`;
+                } else {
+                    statusMessage = `⏳ ${taxYear} tax paid - awaiting the owner's confirmation`;
+                }
+                showViewBtn = true;
             } else {
-                statusMessage = '✅ Tax calculated - Ready to view encrypted result';
+                statusMessage = `✅ ${taxYear} tax calculated - Ready to view encrypted result`;
                 showViewBtn = true;
-                
-                // Show both submission and calculation times
-                const submissionTime = await this.contract.getSubmissionTime(this.account);
-                const calculationTime = await this.contract.getCalculationTime(this.account);
-                console.log('Submission time:', new Date(Number(submissionTime) * 1000).toLocaleString());
-                console.log('Calculation time:', new Date(Number(calculationTime) * 1000).toLocaleString());
             }
             
+            // Reads keep working while paused; every write would revert
+            if (this.isPaused) {
+                if (!hasSubmitted) {
+                    statusMessage = `⏸️ Contract paused - ${taxYear} submissions resume when the owner unpauses it`;
+                } else if (!isCalculated) {
+                    statusMessage = `⏸️ Contract paused - ${taxYear} calculation resumes when the owner unpauses it`;
+                } else {
+                    statusMessage += ' (contract paused)';
+                }
+                showSubmitBtn = false;
+                showCalculateBtn = false;
+            }
+            // Once a payment is on record the year can be viewed but no longer amended or cleared
+            const canWrite = hasSubmitted && !isPaid && !this.isPaused;
+            
             document.getElementById('statusMessage').textContent = statusMessage;
             
             // Always show all buttons, but enable/disable based on status
             const submitBtn = document.getElementById('submitBtn');
             const calculateBtn = document.getElementById('calculateBtn');
             const viewBtn = document.getElementById('viewBtn');
+            const amendBtn = document.getElementById('amendBtn');
             const clearBtn = document.getElementById('clearBtn');
             
             if (submitBtn) {
@@ -378,32 +871,152 @@ class PrivacyTaxCalculatorApp {
                 viewBtn.disabled = !showViewBtn;
                 viewBtn.style.opacity = showViewBtn ? '1' : '0.5';
             }
+            if (amendBtn) {
+                amendBtn.style.display = 'inline-block';
+                amendBtn.disabled = !canWrite;
+                amendBtn.style.opacity = canWrite ? '1' : '0.5';
+            }
             if (clearBtn) {
                 clearBtn.style.display = 'inline-block';
-                clearBtn.disabled = !hasSubmitted;
-                clearBtn.style.opacity = hasSubmitted ? '1' : '0.5';
+                clearBtn.disabled = !canWrite;
+                clearBtn.style.opacity = canWrite ? '1' : '0.5';
             }
             
+            await this.updateAmendmentHistory(taxYear, hasSubmitted);
+            await this.updateTaxYearHistory();
+            await this.settlement.refresh();
+            await this.filingHistory.refresh();
+            
         } catch (error) {
             console.error('Error updating tax status:', error);
             this.showMessage('Failed to load tax status', 'error');
         }
     }
     
-    calculateEstimatedTax(income, deductions) {
-        const taxableIncome = Math.max(0, income - deductions);
-        let tax = 0;
+    calculateEstimatedTax(incomes, itemized, credits, filingStatus = this.getSelectedFilingStatus()) {
+        return this.taxEngine.computeReturn({ incomes, itemized, credits, filingStatus }).netTax;
+    }
+    
+    // Read the credits form: dependents, education expenses and an optional custom credit
+    getCreditInputs() {
+        return {
+            children: parseInt(document.getElementById('childrenInput').value) || 0,
+            otherDependents: parseInt(document.getElementById('otherDependentsInput').value) || 0,
+            educationExpenses: this.readAmountInput('educationExpensesInput'),
+            customAmount: this.readAmountInput('customCreditInput'),
+            customRefundable: document.getElementById('customCreditRefundable').checked
+        };
+    }
+    
+    // Read the income form, one input per income type
+    getIncomeInputs() {
+        const incomes = {};
+        Object.keys(TaxScheduleEngine.INCOME_TYPES).forEach(type => {
+            incomes[type] = this.readAmountInput(`${type}Input`);
+        });
+        return incomes;
+    }
+    
+    // Read the itemized deduction form, one input per category
+    getItemizedInputs() {
+        const itemized = {};
+        Object.keys(TaxScheduleEngine.ITEMIZED_CATEGORIES).forEach(category => {
+            itemized[category] = this.readAmountInput(`${category}Input`);
+        });
+        return itemized;
+    }
+    
+    // Read federal withholding, the four quarterly estimated payments and last year's tax
+    getPaymentInputs() {
+        const priorYearValue = document.getElementById('priorYearTaxInput').value;
+        return {
+            withholding: this.readAmountInput('withholdingInput'),
+            estimated: [1, 2, 3, 4].map(quarter => this.readAmountInput(`estimatedQ${quarter}Input`)),
+            // Left empty when unknown, so only the current-year safe harbor applies
+            priorYearTax: priorYearValue === '' ? null : this.readAmountInput('priorYearTaxInput')
+        };
+    }
+    
+    // Dollar input such as "75000.50" as exact 6-decimal units; empty counts as zero
+    readAmountInput(id) {
+        const input = document.getElementById(id);
+        if (!input || input.value.trim() === '') {
+            return 0n;
+        }
+        try {
+            return Money.from(input.value);
+        } catch (error) {
+            const label = input.labels && input.labels[0] ? input.labels[0].textContent.trim() : id;
+            throw new Error(`${label}: enter a dollar amount with at most ${Money.DECIMALS} decimals`);
+        }
+    }
+    
+    getSelectedFilingStatus() {
+        const select = document.getElementById('filingStatusSelect');
+        return select && select.value ? select.value : 'single';
+    }
+    
+    // The contract's FilingStatus value for a filing status, and back
+    filingStatusCode(filingStatus) {
+        return Object.keys(TaxScheduleEngine.FILING_STATUSES).indexOf(filingStatus);
+    }
+    
+    filingStatusFromCode(code) {
+        return Object.keys(TaxScheduleEngine.FILING_STATUSES)[Number(code)];
+    }
+    
+    // List the bundled schedules once, before any on-chain brackets are derived from them
+    populateScheduleOptions() {
+        const select = document.getElementById('taxScheduleSelect');
+        if (!select || select.options.length > 0) return;
         
-        // Progressive tax brackets: 10%, 20%, 30%
-        if (taxableIncome <= 50000) {
-            tax = taxableIncome * 0.10;
-        } else if (taxableIncome <= 100000) {
-            tax = 5000 + (taxableIncome - 50000) * 0.20;
+        this.taxEngine.schedules.forEach(schedule => {
+            select.add(new Option(`${schedule.jurisdiction} ${schedule.taxYear}`, schedule.id));
+        });
+        select.value = this.taxScheduleId;
+    }
+    
+    // Switch the bundled schedule; while connected the contract's brackets are applied to it again
+    async selectTaxSchedule(scheduleId) {
+        this.taxScheduleId = scheduleId;
+        localStorage.setItem('taxSchedule', scheduleId);
+        if (this.contract && this.selectedTaxYear) {
+            await this.loadOnChainSchedule();
         } else {
-            tax = 15000 + (taxableIncome - 100000) * 0.30;
+            this.taxEngine.setActiveSchedule(scheduleId);
+            refreshEstimates();
+        }
+    }
+    
+    // Fill the state selector, and the local selector for the chosen state
+    populateJurisdictionOptions() {
+        const stateSelect = document.getElementById('stateSelect');
+        const localSelect = document.getElementById('localSelect');
+        if (!stateSelect || !localSelect) return;
+        
+        if (stateSelect.options.length <= 1) {
+            this.taxEngine.getLayers('state').forEach(layer => {
+                stateSelect.add(new Option(`${layer.jurisdiction} (${layer.type})`, layer.id));
+            });
         }
         
-        return Math.round(tax);
+        const state = stateSelect.value ? this.taxEngine.getLayer(stateSelect.value).state : null;
+        const localLayers = state ? this.taxEngine.getLayers('local', state) : [];
+        localSelect.innerHTML = '';
+        localSelect.add(new Option('No local tax', ''));
+        localLayers.forEach(layer => {
+            localSelect.add(new Option(`${layer.jurisdiction} (${layer.type})`, layer.id));
+        });
+        localSelect.disabled = localLayers.length === 0;
+    }
+    
+    getSelectedJurisdictions() {
+        const stateSelect = document.getElementById('stateSelect');
+        const localSelect = document.getElementById('localSelect');
+        return {
+            state: stateSelect && stateSelect.value ? stateSelect.value : null,
+            local: localSelect && localSelect.value ? localSelect.value : null
+        };
     }
     
     showMessage(message, type = 'info') {
@@ -458,9 +1071,9 @@ class PrivacyTaxCalculatorApp {
         if (error.code === 4001) {
             return `❌ ${operation} cancelled by user`;
         } else if (error.code === -32000) {
-            return '❌ Insufficient funds for gas fees. Please add more Sepolia ETH.';
+            return `❌ Insufficient funds for gas fees. Please add more ETH on ${this.networkName()}.`;
         } else if (error.code === -32002) {
-            return `⏳ ${operation} request already pending in MetaMask`;
+            return `⏳ ${operation} request already pending in ${this.walletName()}`;
         } else if (error.code === -32003) {
             return '❌ Transaction rejected due to invalid parameters';
         } else if (error.code === 4100) {
@@ -474,9 +1087,9 @@ class PrivacyTaxCalculatorApp {
         } else if (error.message?.includes('insufficient funds')) {
             return '❌ Insufficient ETH balance for transaction';
         } else if (error.message?.includes('gas')) {
-            return '❌ Gas estimation failed. Please ensure you have enough ETH and are on Sepolia network.';
+            return `❌ Gas estimation failed. Please ensure you have enough ETH and are on ${this.networkName()}.`;
         } else if (error.message?.includes('nonce')) {
-            return '❌ Transaction nonce error. Please reset MetaMask account.';
+            return `❌ Transaction nonce error. Please reset the account in ${this.walletName()}.`;
         } else if (error.message?.includes('network')) {
             return '❌ Network error. Please check your connection.';
         } else if (error.message?.includes('reverted')) {
@@ -486,115 +1099,197 @@ class PrivacyTaxCalculatorApp {
         }
     }
     
-    async estimateGasForSubmission(income, deductions) {
+    // Gas for `submitTaxInfo` or `submitAndCalculateTax`; the combined call also pays for the
+    // encrypted bracket evaluation, so it needs several times the gas of a plain submission
+    async estimateGasForSubmission(method, filingStatus, encryptedInput) {
         try {
-            const encryptedIncome = [ethers.keccak256(ethers.toUtf8Bytes(income.toString())), ethers.ZeroHash];
-            const encryptedDeductions = [ethers.keccak256(ethers.toUtf8Bytes(deductions.toString())), ethers.ZeroHash];
-            
-            // Create proper byte arrays for proofs (not just '0x00')
-            const incomeProof = ethers.toUtf8Bytes(`income_proof_${income}`);
-            const deductionsProof = ethers.toUtf8Bytes(`deductions_proof_${deductions}`);
-            
-            const gasEstimate = await this.contract.submitTaxInfo.estimateGas(
+            const [encryptedIncome, encryptedGains, encryptedDeductions] = encryptedInput.handles;
+            const gasEstimate = await this.contract[method].estimateGas(
+                this.selectedTaxYear,
+                this.filingStatusCode(filingStatus),
                 encryptedIncome,
-                incomeProof,
+                encryptedGains,
                 encryptedDeductions,
-                deductionsProof
+                encryptedInput.inputProof
             );
             
             return gasEstimate * 120n / 100n; // Add 20% buffer
         } catch (error) {
+            const fallback = this.submissionGasFallback[method];
             console.error('Gas estimation failed:', error);
-            console.log('Using fallback gas limit of 300,000');
-            return 300000n; // Increased fallback gas limit
+            console.log(`Using fallback gas limit of ${fallback.toLocaleString()}`);
+            return fallback;
         }
     }
     
-    async submitTaxInfo() {
-        console.log('Submit tax info called', this.contract, this.selectedScenario);
-        
-        if (!this.contract) {
-            this.showMessage('Please connect your wallet first!', 'error');
-            return;
-        }
+    setOneStepFiling(enabled) {
+        this.oneStepFiling = enabled;
+        localStorage.setItem('oneStepFiling', String(enabled));
+        this.updateSubmitMode();
+    }
+    
+    updateSubmitMode() {
+        const toggle = document.getElementById('oneStepFilingToggle');
+        if (toggle) toggle.checked = this.oneStepFiling;
         
-        if (!this.selectedScenario) {
-            this.showMessage('Please select a tax scenario first!', 'error');
-            return;
+        const submitBtn = document.getElementById('submitBtn');
+        if (submitBtn) {
+            submitBtn.querySelector('span').textContent = this.oneStepFiling ? 'Submit & Calculate' : 'Submit Tax Info';
         }
-        
-        let income, deductions;
+    }
+    
+    // Inputs of the selected scenario, or the validated custom form; null after showing why not
+    collectTaxInputs() {
+        let incomes, itemized, credits, payments;
         
         if (this.selectedScenario === 'custom') {
-            income = parseInt(document.getElementById('incomeInput').value) || 0;
-            deductions = parseInt(document.getElementById('deductionsInput').value) || 0;
+            try {
+                incomes = this.getIncomeInputs();
+                itemized = this.getItemizedInputs();
+                credits = this.getCreditInputs();
+                payments = this.getPaymentInputs();
+            } catch (error) {
+                this.showMessage(error.message, 'error');
+                return null;
+            }
+            
+            if (Object.values(incomes).some(amount => amount < 0)) {
+                this.showMessage('Income amounts cannot be negative!', 'error');
+                return null;
+            }
             
-            if (income <= 0) {
+            const enteredIncome = Money.sum(Object.values(incomes));
+            if (enteredIncome <= 0n) {
                 this.showMessage('Please enter valid income amount!', 'error');
-                return;
+                return null;
+            }
+            
+            if (Object.values(itemized).some(amount => amount < 0)) {
+                this.showMessage('Deduction amounts cannot be negative!', 'error');
+                return null;
+            }
+            
+            if ([credits.children, credits.otherDependents, credits.educationExpenses, credits.customAmount].some(value => value < 0)) {
+                this.showMessage('Credit inputs cannot be negative!', 'error');
+                return null;
+            }
+            
+            if ([payments.withholding, payments.priorYearTax || 0n, ...payments.estimated].some(value => value < 0)) {
+                this.showMessage('Payment amounts cannot be negative!', 'error');
+                return null;
             }
             
-            if (deductions > income) {
+            const claimedTotal = Money.sum(Object.values(itemized));
+            if (claimedTotal > enteredIncome) {
                 this.showMessage('Deductions cannot exceed income!', 'error');
-                return;
+                return null;
             }
         } else {
             const scenario = this.scenarios[this.selectedScenario];
-            income = scenario.income;
-            deductions = scenario.deductions;
+            incomes = scenario.incomes;
+            itemized = scenario.itemized;
+            credits = scenario.credits;
+            payments = scenario.payments;
+        }
+        
+        return { incomes, itemized, credits, payments };
+    }
+    
+    // Encrypt the amounts the contract taxes - ordinary income after adjustments, gains and
+    // qualified dividends, and the deduction taken on AGI - for this contract and account; only
+    // the handles and a proof go on-chain, and the contract derives the filing ID from the handles
+    encryptTaxInputs(incomes, itemized, filingStatus) {
+        const contractInputs = this.taxEngine.computeContractInputs({ incomes, itemized, filingStatus });
+        
+        this.showMessage(`🔐 Encrypting inputs (${this.fheClient.backend} FHE backend)...`, 'info');
+        const encryptedInput = this.fheClient.encryptInputs(this.contractAddress, this.account, [
+            Money.toContractUnits(contractInputs.ordinaryIncome),
+            Money.toContractUnits(contractInputs.preferentialIncome),
+            Money.toContractUnits(contractInputs.deductions)
+        ]);
+        return { contractInputs, encryptedInput };
+    }
+    
+    async submitTaxInfo() {
+        console.log('Submit tax info called', this.contract, this.selectedScenario);
+        
+        if (!this.requireWallet()) return;
+        
+        if (await this.rejectIfPaused()) return;
+        
+        if (!this.selectedScenario) {
+            this.showMessage('Please select a tax scenario first!', 'error');
+            return;
+        }
+        
+        if (!this.fheClient) {
+            this.showMessage('FHE executor unavailable - cannot encrypt inputs for this contract', 'error');
+            return;
         }
         
+        const inputs = this.collectTaxInputs();
+        if (!inputs) return;
+        const { incomes, itemized, credits, payments } = inputs;
+        const taxYear = this.selectedTaxYear;
+        const filingStatus = this.getSelectedFilingStatus();
+        const jurisdictions = this.getSelectedJurisdictions();
+        if (await this.rejectIfNoSchedule(taxYear, filingStatus)) return;
+        
+        // One transaction files and calculates; the two-step flow leaves Calculate for later
+        const oneStep = this.oneStepFiling;
+        const method = oneStep ? 'submitAndCalculateTax' : 'submitTaxInfo';
+        
+        // Gasless submissions are signed by the taxpayer and paid for by the relayer
+        const gasless = this.gaslessRelay.enabled;
+        
         try {
             this.showMessage('Preparing encrypted tax submission...', 'info');
             
-            // Check Sepolia ETH balance
+            // Check the ETH balance for gas
             const balance = await this.provider.getBalance(this.account);
             const balanceInEth = ethers.formatEther(balance);
-            if (parseFloat(balanceInEth) < 0.01) {
-                this.showMessage('Insufficient Sepolia ETH for gas fees. Please get testnet ETH from faucet.', 'error');
+            if (!gasless && parseFloat(balanceInEth) < 0.01) {
+                this.showMessage(`Insufficient ETH on ${this.networkName()} for gas fees. Please fund your account, or turn on gasless mode.`, 'error');
                 return;
             }
             
-            // Estimate gas
-            const gasLimit = await this.estimateGasForSubmission(income, deductions);
-            const feeData = await this.provider.getFeeData();
-            const estimatedCost = gasLimit * (feeData.gasPrice || 0n);
-            
-            this.showMessage(`Gas estimate: ${gasLimit.toString()} units (~${ethers.formatEther(estimatedCost)} ETH)`, 'info');
-            
-            // Create encrypted data (simulated FHE)
-            const timestamp = Date.now();
-            const encryptedIncome = [
-                ethers.keccak256(ethers.toUtf8Bytes(income.toString() + timestamp)), 
-                ethers.ZeroHash
-            ];
-            const encryptedDeductions = [
-                ethers.keccak256(ethers.toUtf8Bytes(deductions.toString() + timestamp)), 
-                ethers.ZeroHash
-            ];
-            
-            // Create proof data (mock implementation)
-            const incomeProof = ethers.toUtf8Bytes(`proof_income_${income}_${timestamp}`);
-            const deductionsProof = ethers.toUtf8Bytes(`proof_deductions_${deductions}_${timestamp}`);
-            
-            // 显示加载状态
-            this.showMessage('🔐 Submitting encrypted tax information to blockchain...', 'info');
-            
-            // Submit transaction - MetaMask will show confirmation dialog
-            const tx = await this.contract.submitTaxInfo(
-                encryptedIncome,
-                incomeProof,
-                encryptedDeductions,
-                deductionsProof,
-                {
-                    gasLimit: gasLimit,
-                    gasPrice: feeData.gasPrice
-                }
-            );
+            const { contractInputs, encryptedInput } = this.encryptTaxInputs(incomes, itemized, filingStatus);
+            
+            let tx;
+            if (gasless) {
+                tx = await this.gaslessRelay.submit(taxYear, this.filingStatusCode(filingStatus), encryptedInput, oneStep);
+                if (!tx) return;
+            } else {
+                // Estimate gas
+                const gasLimit = await this.estimateGasForSubmission(method, filingStatus, encryptedInput);
+                const feeData = await this.provider.getFeeData();
+                const estimatedCost = gasLimit * (feeData.gasPrice || 0n);
+                
+                this.showMessage(`Gas estimate: ${gasLimit.toString()} units (~${ethers.formatEther(estimatedCost)} ETH)`, 'info');
+                
+                // 显示加载状态
+                this.showMessage(oneStep
+                    ? `🔐 Submitting and calculating encrypted ${taxYear} tax information in one transaction...`
+                    : `🔐 Submitting encrypted ${taxYear} tax information to blockchain...`, 'info');
+                
+                // Submit transaction - the wallet will show its confirmation dialog
+                tx = await this.contract[method](
+                    taxYear,
+                    this.filingStatusCode(filingStatus),
+                    encryptedInput.handles[0],
+                    encryptedInput.handles[1],
+                    encryptedInput.handles[2],
+                    encryptedInput.inputProof,
+                    {
+                        gasLimit: gasLimit,
+                        gasPrice: feeData.gasPrice
+                    }
+                );
+            }
             
             // 更新用户界面提示
             this.showMessage(`Transaction submitted! Hash: ${tx.hash}`, 'info');
-            this.addPendingTransaction(tx.hash, 'Tax Submission');
+            this.addPendingTransaction(tx.hash, oneStep ? 'Tax Submission + Calculation' : 'Tax Submission');
             
             // 等待区块链确认
             // Wait for confirmation
@@ -608,30 +1303,32 @@ class PrivacyTaxCalculatorApp {
                 const actualCost = gasUsed * receipt.gasPrice;
                 
                 // Save the submitted data for later reference
-                this.submittedTaxData = {
-                    income: income,
-                    deductions: deductions,
+                this.saveSubmittedTaxData(taxYear, {
+                    taxYear: taxYear,
+                    incomes: incomes,
+                    itemized: itemized,
+                    credits: credits,
+                    jurisdictions: jurisdictions,
+                    payments: payments,
+                    filingStatus: filingStatus,
+                    // The plaintext behind the encrypted inputs, to check the decrypted result against
+                    contractInputs: contractInputs,
                     scenario: this.selectedScenario,
                     submissionTime: Date.now(),
                     txHash: tx.hash
-                };
-                
-                // Store in localStorage for persistence
-                localStorage.setItem('submittedTaxData', JSON.stringify(this.submittedTaxData));
+                });
                 
                 this.showMessage(
-                    `✅ Tax information submitted successfully!\n` +
+                    (oneStep
+                        ? `✅ ${taxYear} tax information submitted and calculated in one transaction!\n`
+                        : `✅ ${taxYear} tax information submitted successfully!\n`) +
                     `Gas used: ${gasUsed.toString()}\n` +
-                    `Cost: ${ethers.formatEther(actualCost)} ETH\n` +
+                    `Cost: ${ethers.formatEther(actualCost)} ETH${gasless ? ' (paid by the relayer)' : ''}\n` +
                     `Block: ${receipt.blockNumber}`,
                     'success'
                 );
                 
-                // Clear form
-                if (this.selectedScenario === 'custom') {
-                    document.getElementById('incomeInput').value = '';
-                    document.getElementById('deductionsInput').value = '';
-                }
+                this.clearCustomInputs();
                 
                 // 刷新页面状态
                 await this.updateTaxStatus();
@@ -646,9 +1343,9 @@ class PrivacyTaxCalculatorApp {
             if (error.code === 4001) {
                 this.showMessage('❌ Transaction cancelled by user', 'warning');
             } else if (error.code === -32000) {
-                this.showMessage('❌ Insufficient funds for gas fees. Please add more Sepolia ETH.', 'error');
+                this.showMessage(`❌ Insufficient funds for gas fees. Please add more ETH on ${this.networkName()}.`, 'error');
             } else if (error.code === -32002) {
-                this.showMessage('⏳ Transaction request already pending in MetaMask', 'warning');
+                this.showMessage(`⏳ Transaction request already pending in ${this.walletName()}`, 'warning');
             } else if (error.code === -32003) {
                 this.showMessage('❌ Transaction rejected due to invalid parameters', 'error');
             } else if (error.code === 4100) {
@@ -664,7 +1361,7 @@ class PrivacyTaxCalculatorApp {
             } else if (error.message?.includes('gas')) {
                 this.showMessage('❌ Gas estimation failed. Transaction may fail.', 'error');
             } else if (error.message?.includes('nonce')) {
-                this.showMessage('❌ Transaction nonce error. Please reset MetaMask account.', 'error');
+                this.showMessage(`❌ Transaction nonce error. Please reset the account in ${this.walletName()}.`, 'error');
             } else if (error.message?.includes('network')) {
                 this.showMessage('❌ Network error. Please check your connection.', 'error');
             } else if (error.message?.includes('reverted')) {
@@ -675,28 +1372,134 @@ class PrivacyTaxCalculatorApp {
         }
     }
     
-    async calculateTax() {
-        if (!this.contract) {
-            this.showMessage('Please connect your wallet first!', 'error');
+    // Replace the selected year's encrypted inputs with the current scenario or custom form.
+    // The record keeps its original submission time; its tax has to be calculated again.
+    async amendTaxInfo() {
+        if (!this.requireWallet()) return;
+        
+        if (await this.rejectIfPaused()) return;
+        
+        if (!this.selectedScenario) {
+            this.showMessage('Please select a tax scenario with the corrected amounts first!', 'error');
+            return;
+        }
+        
+        if (!this.fheClient) {
+            this.showMessage('FHE executor unavailable - cannot encrypt inputs for this contract', 'error');
+            return;
+        }
+        
+        const inputs = this.collectTaxInputs();
+        if (!inputs) return;
+        const { incomes, itemized, credits, payments } = inputs;
+        const taxYear = this.selectedTaxYear;
+        const filingStatus = this.getSelectedFilingStatus();
+        const jurisdictions = this.getSelectedJurisdictions();
+        if (await this.rejectIfNoSchedule(taxYear, filingStatus)) return;
+        
+        if (!confirm(`Amend your ${taxYear} return with these amounts? Any calculated tax for ${taxYear} will have to be recalculated.`)) {
             return;
         }
         
         try {
-            this.showMessage('🧮 Preparing tax calculation transaction...', 'info');
+            this.showMessage(`📝 Preparing ${taxYear} amendment...`, 'info');
             
-            // Estimate gas for calculation
-            const gasLimit = 120n * await this.contract.calculateTax.estimateGas() / 100n;
-            const feeData = await this.provider.getFeeData();
-            const estimatedCost = gasLimit * (feeData.gasPrice || 0n);
+            const { contractInputs, encryptedInput } = this.encryptTaxInputs(incomes, itemized, filingStatus);
+            const args = [taxYear, this.filingStatusCode(filingStatus), ...encryptedInput.handles, encryptedInput.inputProof];
             
-            this.showMessage(`Gas estimate: ${gasLimit.toString()} units (~${ethers.formatEther(estimatedCost)} ETH)`, 'info');
+            const gasLimit = 120n * await this.contract.amendTaxInfo.estimateGas(...args) / 100n;
+            const feeData = await this.provider.getFeeData();
             
-            // Execute calculation
-            const tx = await this.contract.calculateTax({
+            const tx = await this.contract.amendTaxInfo(...args, {
                 gasLimit: gasLimit,
                 gasPrice: feeData.gasPrice
             });
             
+            this.showMessage(`Amendment transaction submitted! Hash: ${tx.hash}`, 'info');
+            this.addPendingTransaction(tx.hash, 'Tax Amendment');
+            
+            const receipt = await tx.wait();
+            this.removePendingTransaction(tx.hash);
+            
+            if (receipt.status === 1) {
+                const amendment = Number(await this.contract.getAmendmentCount(this.account, taxYear));
+                const previous = this.getSubmittedTaxData(taxYear);
+                
+                this.saveSubmittedTaxData(taxYear, {
+                    taxYear: taxYear,
+                    incomes: incomes,
+                    itemized: itemized,
+                    credits: credits,
+                    jurisdictions: jurisdictions,
+                    payments: payments,
+                    filingStatus: filingStatus,
+                    contractInputs: contractInputs,
+                    scenario: this.selectedScenario,
+                    submissionTime: previous ? previous.submissionTime : Date.now(),
+                    amendment: amendment,
+                    amendmentTime: Date.now(),
+                    txHash: tx.hash
+                });
+                
+                this.showMessage(
+                    `✅ ${taxYear} return amended (amendment #${amendment})!\n` +
+                    `Gas used: ${receipt.gasUsed.toString()}\n` +
+                    `Block: ${receipt.blockNumber}\n` +
+                    `Calculate tax again to get the amended result.`,
+                    'success'
+                );
+                
+                this.clearCustomInputs();
+                await this.updateTaxStatus();
+            } else {
+                this.showMessage('❌ Amendment failed', 'error');
+            }
+            
+        } catch (error) {
+            this.showMessage(this.handleBlockchainError(error, 'Amendment'), error.code === 4001 ? 'warning' : 'error');
+        }
+    }
+    
+    // On-chain amendments of a year's record, oldest first
+    // Read through the filing history's cache, which scans the chain in bounded block windows
+    async getAmendmentHistory(taxYear) {
+        const entries = await this.filingHistory.amendments(taxYear);
+        return entries.map((entry, index) => ({
+            amendment: entries.length - index,
+            timestamp: entry.timestamp,
+            txHash: entry.txHash
+        })).reverse();
+    }
+    
+    async calculateTax() {
+        if (!this.requireWallet()) return;
+        
+        if (await this.rejectIfPaused()) return;
+        
+        const taxYear = this.selectedTaxYear;
+        const gasless = this.gaslessRelay.enabled;
+        try {
+            this.showMessage(`🧮 Preparing ${taxYear} tax calculation transaction...`, 'info');
+            
+            let tx;
+            if (gasless) {
+                tx = await this.gaslessRelay.calculate(taxYear);
+                if (!tx) return;
+            } else {
+                // Estimate gas for calculation
+                const gasLimit = 120n * await this.contract.calculateTax.estimateGas(taxYear) / 100n;
+                const feeData = await this.provider.getFeeData();
+                const estimatedCost = gasLimit * (feeData.gasPrice || 0n);
+                
+                this.showMessage(`Gas estimate: ${gasLimit.toString()} units (~${ethers.formatEther(estimatedCost)} ETH)`, 'info');
+                
+                // Execute calculation
+                tx = await this.contract.calculateTax(taxYear, {
+                    gasLimit: gasLimit,
+                    gasPrice: feeData.gasPrice
+                });
+            }
+            
             this.showMessage(`Calculation transaction submitted! Hash: ${tx.hash}`, 'info');
             this.addPendingTransaction(tx.hash, 'Tax Calculation');
             
@@ -711,9 +1514,9 @@ class PrivacyTaxCalculatorApp {
                 const actualCost = gasUsed * receipt.gasPrice;
                 
                 this.showMessage(
-                    `✅ Tax calculated successfully using FHE!\n` +
+                    `✅ ${taxYear} tax calculated successfully using FHE!\n` +
                     `Gas used: ${gasUsed.toString()}\n` +
-                    `Cost: ${ethers.formatEther(actualCost)} ETH\n` +
+                    `Cost: ${ethers.formatEther(actualCost)} ETH${gasless ? ' (paid by the relayer)' : ''}\n` +
                     `Block: ${receipt.blockNumber}`,
                     'success'
                 );
@@ -731,7 +1534,7 @@ class PrivacyTaxCalculatorApp {
             } else if (error.code === -32000) {
                 this.showMessage('❌ Insufficient funds for gas fees', 'error');
             } else if (error.code === -32002) {
-                this.showMessage('⏳ Calculation request already pending in MetaMask', 'warning');
+                this.showMessage(`⏳ Calculation request already pending in ${this.walletName()}`, 'warning');
             } else if (error.message?.includes('insufficient funds')) {
                 this.showMessage('❌ Insufficient ETH balance for calculation', 'error');
             } else if (error.message?.includes('reverted')) {
@@ -745,59 +1548,74 @@ class PrivacyTaxCalculatorApp {
     }
     
     async viewTaxResult() {
-        if (!this.contract) {
-            this.showMessage('Please connect your wallet first!', 'error');
-            return;
-        }
+        if (!this.requireWallet()) return;
         
+        const taxYear = this.selectedTaxYear;
         try {
-            this.showMessage('🔍 Retrieving your encrypted tax result...', 'info');
+            this.showMessage(`🔍 Retrieving your encrypted ${taxYear} tax result...`, 'info');
             
             // Check if tax has been calculated
-            const isCalculated = await this.contract.isCalculated(this.account);
+            const isCalculated = await this.contract.isCalculated(this.account, taxYear);
             if (!isCalculated) {
                 this.showMessage('❌ Tax not yet calculated. Please calculate tax first.', 'error');
                 return;
             }
             
-            // Get the encrypted result
-            const encryptedResult = await this.contract.getTaxOwed();
+            // Get the encrypted result (a ciphertext handle only this account may decrypt)
+            const encryptedResult = await this.contract.getTaxOwed(taxYear);
             
             // Get calculation details
-            const submissionTime = await this.contract.getSubmissionTime(this.account);
-            const calculationTime = await this.contract.getCalculationTime(this.account);
-            
-            // Get submitted tax data (from memory or localStorage)
-            let submittedData = this.submittedTaxData;
-            if (!submittedData) {
-                const stored = localStorage.getItem('submittedTaxData');
-                if (stored) {
-                    submittedData = JSON.parse(stored);
-                    this.submittedTaxData = submittedData;
-                }
-            }
+            const submissionTime = await this.contract.getSubmissionTime(this.account, taxYear);
+            const calculationTime = await this.contract.getCalculationTime(this.account, taxYear);
+            
+            // Get the data submitted for this year (restored from localStorage on load)
+            const submittedData = this.getSubmittedTaxData(taxYear);
+            
+            const amendments = await this.getAmendmentHistory(taxYear);
+            
+            const decryptedSummary = await this.getDecryptedResultSummary(taxYear, encryptedResult, submittedData);
             
             // Calculate actual tax results based on submitted data
             let taxCalculation = '';
-            if (submittedData && submittedData.income && submittedData.deductions) {
-                const income = submittedData.income;
-                const deductions = submittedData.deductions;
-                const taxableIncome = Math.max(0, income - deductions);
-                const calculatedTax = this.calculateProgressiveTax(taxableIncome);
-                const effectiveRate = ((calculatedTax / income) * 100).toFixed(2);
-                const marginalRate = this.getMarginalTaxRate(taxableIncome);
+            if (submittedData && (submittedData.incomes || submittedData.income)) {
+                const result = this.taxEngine.computeReturn({
+                    // Records saved before income types existed only hold a wage total
+                    incomes: submittedData.incomes || { wages: submittedData.income },
+                    itemized: submittedData.itemized || {},
+                    credits: submittedData.credits || {},
+                    jurisdictions: submittedData.jurisdictions || {},
+                    payments: submittedData.payments || {},
+                    filingStatus: submittedData.filingStatus || 'single'
+                });
+                const filingStatusLabel = TaxScheduleEngine.FILING_STATUSES[result.filingStatus];
                 
-                taxCalculation = `💰 YOUR TAX CALCULATION RESULTS:\n\n` +
+                taxCalculation = `💰 YOUR ${taxYear} TAX CALCULATION RESULTS:\n\n` +
                     `📋 Income Information:\n` +
-                    `• Annual Income: $${income.toLocaleString()}\n` +
-                    `• Total Deductions: $${deductions.toLocaleString()}\n` +
-                    `• Taxable Income: $${taxableIncome.toLocaleString()}\n\n` +
+                    `• Tax Year: ${taxYear}\n` +
+                    `• Filing Status: ${filingStatusLabel}\n` +
+                    `• Annual Income: ${Money.format(result.income)}\n` +
+                    `• Ordinary Income: ${Money.format(result.ordinaryIncome)}\n` +
+                    `• Gains & Qualified Dividends: ${Money.format(result.preferentialIncome)}\n` +
+                    `• Adjusted Gross Income: ${Money.format(result.adjustedGrossIncome)}\n` +
+                    `• Deduction (${result.deductions.method}): ${Money.format(result.deductions.amount)}\n` +
+                    `• Taxable Income: ${Money.format(result.taxableIncome)}\n\n` +
                     `💸 Tax Calculation:\n` +
-                    `• Federal Tax Owed: $${calculatedTax.toLocaleString()}\n` +
-                    `• Effective Tax Rate: ${effectiveRate}%\n` +
-                    `• Marginal Tax Rate: ${marginalRate}%\n` +
-                    `• After-Tax Income: $${(income - calculatedTax).toLocaleString()}\n\n` +
-                    this.getDetailedTaxBreakdown(taxableIncome, calculatedTax);
+                    `• Income Tax Before Credits (calculated on-chain): ${Money.format(result.tax)}\n` +
+                    `• Credits Applied: -${Money.format(result.credits.total)}\n` +
+                    `• Federal Income Tax: ${this.formatSignedAmount(result.netTax)}\n` +
+                    `• Payroll Tax: ${Money.format(result.payroll.total)}\n` +
+                    result.layers.map(layer =>
+                        `• ${layer.jurisdiction} ${layer.level === 'state' ? 'State' : 'Local'} Tax: ${Money.format(layer.tax)}\n`
+                    ).join('') +
+                    (result.totalTax >= 0
+                        ? `• Total Tax Owed: ${Money.format(result.totalTax)}\n`
+                        : `• Total Refund: ${Money.format(-result.totalTax)}\n`) +
+                    `• Effective Income Tax Rate: ${result.effectiveRate.toFixed(2)}%\n` +
+                    `• Combined Effective Rate: ${result.combinedEffectiveRate.toFixed(2)}%\n` +
+                    `• Marginal Tax Rate: ${result.marginalRate}%\n` +
+                    `• After-Tax Income: ${Money.format(result.income - result.totalTax)}\n\n` +
+                    this.getReconciliationSummary(result.reconciliation) +
+                    this.getDetailedTaxBreakdown(result);
             } else {
                 taxCalculation = `💰 TAX CALCULATION COMPLETED\n\n` +
                     `Your tax has been calculated using encrypted data.\n` +
@@ -807,9 +1625,12 @@ class PrivacyTaxCalculatorApp {
             }
             
             // Display user-friendly result
-            const resultText = taxCalculation +
+            const resultText = decryptedSummary + taxCalculation +
                 `⏰ Processing Timeline:\n` +
                 `• Data Submitted: ${new Date(Number(submissionTime) * 1000).toLocaleString()}\n` +
+                amendments.map(amendment =>
+                    `• Amendment #${amendment.amendment}: ${new Date(amendment.timestamp * 1000).toLocaleString()}\n`
+                ).join('') +
                 `• Tax Calculated: ${new Date(Number(calculationTime) * 1000).toLocaleString()}\n\n` +
                 `🔒 Privacy Protection:\n` +
                 `• All calculations performed on encrypted data\n` +
@@ -817,7 +1638,8 @@ class PrivacyTaxCalculatorApp {
                 `• Results decrypted only in your browser\n\n` +
                 `🔗 Blockchain Verification:\n` +
                 `• Contract Address: ${this.contractAddress}\n` +
-                `• Encrypted Hash: ${encryptedResult[0].substring(0, 20)}...`;
+                `• Ciphertext Handle: ${encryptedResult.substring(0, 20)}...\n` +
+                `• Filing ID: ${await this.contract.getFilingCommitment(this.account, taxYear)}`;
             
             // Show in message box
             this.showMessage(resultText, 'success');
@@ -838,6 +1660,66 @@ class PrivacyTaxCalculatorApp {
         }
     }
     
+    // Decrypt the contract's bracket tax and check it against the same brackets computed locally
+    // on the saved inputs
+    async getDecryptedResultSummary(taxYear, encryptedResult, submittedData) {
+        if (!this.fheClient) {
+            return `🔓 On-Chain Result:\n• Not decrypted - FHE executor unavailable\n\n`;
+        }
+        
+        let taxOwed;
+        try {
+            taxOwed = await this.fheClient.decrypt(encryptedResult);
+        } catch (error) {
+            console.error('Decryption failed:', error);
+            return `🔓 On-Chain Result:\n• Decryption failed: ${error.reason || error.message}\n\n`;
+        }
+        
+        // The record keeps its filing status and the schedule version it was calculated with,
+        // even if the schedule changed since
+        const filingStatus = await this.contract.getFilingStatus(this.account, taxYear);
+        const version = await this.contract.getCalculationSchedule(this.account, taxYear);
+        const [thresholds, ratesBps, gainsThresholds, gainsRatesBps] = await this.contract.getTaxSchedule(taxYear, filingStatus, version);
+        const brackets = this.bracketsFromChain(thresholds, ratesBps);
+        const capitalGainsBrackets = this.bracketsFromChain(gainsThresholds, gainsRatesBps);
+        
+        let summary = `🔓 On-Chain Result (decrypted, ${this.fheClient.backend} FHE backend):\n` +
+            `• Income Tax Before Credits, Computed on Encrypted Data: ${Money.format(taxOwed)}\n` +
+            `• Schedule: ${taxYear} v${version}, ${TaxScheduleEngine.FILING_STATUSES[this.filingStatusFromCode(filingStatus)]} (` +
+            this.describeBrackets(brackets, capitalGainsBrackets) + `)\n`;
+        
+        // The filing ID commits to the record's encrypted inputs
+        const handles = [...await this.contract.getEncryptedInputs(this.account, taxYear)];
+        const commitment = await this.contract.getFilingCommitment(this.account, taxYear);
+        const derived = ProofOfFiling.filingCommitment(this.account, taxYear, filingStatus, handles) === commitment;
+        summary += `• Filing ID vs Encrypted Inputs: ` + (derived ? '✅ derived from them\n' : '⚠️ differs\n');
+        
+        // The contract taxes ordinary income less deductions at the ordinary brackets and the gains
+        // above it at the gains brackets of the record's filing status. Records saved before gains
+        // were encrypted separately hold a single income total.
+        const saved = submittedData && submittedData.contractInputs;
+        if (saved) {
+            const inputs = {
+                ordinaryIncome: Money.from(saved.ordinaryIncome !== undefined ? saved.ordinaryIncome : saved.income),
+                preferentialIncome: Money.from(saved.preferentialIncome),
+                deductions: Money.from(saved.deductions)
+            };
+            const localTax = this.taxEngine.computeContractTax(inputs, brackets, capitalGainsBrackets);
+            const matches = this.taxEngine.roundTotal(taxOwed) === localTax;
+            summary += `• Local Check (same brackets on ${Money.format(inputs.ordinaryIncome)} ordinary income, ` +
+                `${Money.format(inputs.preferentialIncome)} gains, ${Money.format(inputs.deductions)} deductions): ${Money.format(localTax)} ` +
+                (matches ? '✅ matches\n' : '⚠️ differs\n');
+            
+            // Saved amounts belong to the current record only if its inputs decrypt to them
+            const amounts = await Promise.all(handles.map(handle => this.fheClient.decrypt(handle)));
+            const opens = [inputs.ordinaryIncome, inputs.preferentialIncome, inputs.deductions]
+                .every((amount, index) => amount === amounts[index]);
+            summary += `• Saved Inputs vs Encrypted Inputs: ` +
+                (opens ? '✅ match\n' : '⚠️ differ - this browser holds other inputs than the current record\n');
+        }
+        return summary + `\n`;
+    }
+    
     // Show tax result in dedicated display area
     showTaxResult(resultText) {
         const resultDisplay = document.getElementById('taxResultDisplay');
@@ -847,7 +1729,7 @@ class PrivacyTaxCalculatorApp {
             // Format the text for better display
             const formattedText = resultText
                 .replace(/🔐 Encrypted Hash: (0x[a-fA-F0-9]+)/g, '🔐 Encrypted Hash:\n<span class="hash">$1</span>')
-                .replace(/\$(\d{1,3}(?:,\d{3})*)/g, '<span class="amount">$$$1</span>')
+                .replace(/\$(\d{1,3}(?:,\d{3})*(?:\.\d{2})?)/g, '<span class="amount">$$$1</span>')
                 .replace(/(✅|🔐|⏰|📊|🔒|🔗)/g, '<span class="highlight">$1</span>');
             
             resultContent.innerHTML = formattedText;
@@ -858,79 +1740,193 @@ class PrivacyTaxCalculatorApp {
         }
     }
     
-    // Calculate progressive tax based on brackets
-    calculateProgressiveTax(taxableIncome) {
-        let tax = 0;
-        
-        if (taxableIncome <= 50000) {
-            // 10% bracket
-            tax = taxableIncome * 0.10;
-        } else if (taxableIncome <= 100000) {
-            // 10% on first $50,000, 20% on remainder
-            tax = (50000 * 0.10) + ((taxableIncome - 50000) * 0.20);
-        } else {
-            // 10% on first $50,000, 20% on next $50,000, 30% on remainder
-            tax = (50000 * 0.10) + (50000 * 0.20) + ((taxableIncome - 100000) * 0.30);
-        }
-        
-        return Math.round(tax);
+    // Calculate progressive tax using the active tax schedule
+    calculateProgressiveTax(taxableIncome, filingStatus) {
+        return this.taxEngine.calculateTax(taxableIncome, filingStatus);
     }
 
     // Get marginal tax rate based on income
-    getMarginalTaxRate(taxableIncome) {
-        if (taxableIncome <= 50000) {
-            return '10';
-        } else if (taxableIncome <= 100000) {
-            return '20';
-        } else {
-            return '30';
-        }
+    getMarginalTaxRate(taxableIncome, filingStatus) {
+        return this.taxEngine.getMarginalRate(taxableIncome, filingStatus).toString();
     }
 
-    // Get detailed tax breakdown by bracket
-    getDetailedTaxBreakdown(taxableIncome, totalTax) {
-        let breakdown = `📊 Tax Bracket Breakdown:\n`;
-        
-        if (taxableIncome <= 50000) {
-            breakdown += `• 10% bracket: $${Math.round(taxableIncome * 0.10).toLocaleString()} (on $${taxableIncome.toLocaleString()})\n`;
-        } else if (taxableIncome <= 100000) {
-            const bracket1 = 50000 * 0.10;
-            const bracket2 = (taxableIncome - 50000) * 0.20;
-            breakdown += `• 10% bracket: $${Math.round(bracket1).toLocaleString()} (on first $50,000)\n`;
-            breakdown += `• 20% bracket: $${Math.round(bracket2).toLocaleString()} (on $${(taxableIncome - 50000).toLocaleString()})\n`;
+    // Get detailed tax breakdown by deduction and bracket
+    getDetailedTaxBreakdown(result) {
+        const schedule = this.taxEngine.getActiveSchedule();
+        const { deductions } = result;
+        
+        let breakdown = `🧾 Deductions Used (${deductions.method === 'itemized' ? 'Itemized' : 'Standard'}):\n`;
+        if (deductions.method === 'itemized') {
+            deductions.items.filter(item => item.allowed > 0).forEach(item => {
+                breakdown += `• ${item.label}: ${Money.format(item.allowed)}` +
+                    (item.note ? ` (${item.note})` : '') + `\n`;
+            });
         } else {
-            const bracket1 = 50000 * 0.10;
-            const bracket2 = 50000 * 0.20;
-            const bracket3 = (taxableIncome - 100000) * 0.30;
-            breakdown += `• 10% bracket: $${Math.round(bracket1).toLocaleString()} (on first $50,000)\n`;
-            breakdown += `• 20% bracket: $${Math.round(bracket2).toLocaleString()} (on next $50,000)\n`;
-            breakdown += `• 30% bracket: $${Math.round(bracket3).toLocaleString()} (on $${(taxableIncome - 100000).toLocaleString()})\n`;
+            breakdown += `• Standard Deduction: ${Money.format(deductions.standardDeduction)}\n`;
+        }
+        breakdown += `• Why: ${deductions.reason}\n\n`;
+        
+        breakdown += `📊 Tax Bracket Breakdown (${schedule.jurisdiction} ${schedule.taxYear}):\n`;
+        breakdown += this.formatBracketSlices(result.brackets);
+        
+        if (result.capitalGainsBrackets.length > 0) {
+            breakdown += `\n📈 Capital Gains & Qualified Dividends (stacked on ordinary income):\n`;
+            breakdown += this.formatBracketSlices(result.capitalGainsBrackets);
+        }
+        
+        breakdown += `\n💼 Tax by Income Type:\n`;
+        result.incomeTypes.filter(entry => entry.amount > 0).forEach(entry => {
+            breakdown += `• ${entry.label}: ${Money.format(entry.tax)} (on ${Money.format(entry.amount)})\n`;
+        });
+        
+        breakdown += `• Total Tax: ${Money.format(result.tax)}\n\n`;
+        
+        if (result.credits.items.length > 0) {
+            breakdown += `🎓 Credits (after bracket tax):\n`;
+            result.credits.items.forEach(item => {
+                const kind = item.refundable ? 'refundable' : 'non-refundable';
+                const capped = !item.refundable && item.applied < item.eligible
+                    ? `, capped at liability from ${Money.format(item.eligible)}`
+                    : '';
+                breakdown += `• ${item.label} (${kind}): -${Money.format(item.applied)}${capped}` +
+                    (item.note ? ` — ${item.note}` : '') + `\n`;
+            });
+            breakdown += `• Net Liability: ` + (result.netTax >= 0
+                ? `${Money.format(result.netTax)}\n\n`
+                : `refund of ${Money.format(-result.netTax)}\n\n`);
+        }
+        
+        if (result.payroll.lines.length > 0) {
+            breakdown += `🏦 Payroll Tax:\n`;
+            result.payroll.lines.forEach(line => {
+                breakdown += `• ${line.label}: ${Money.format(line.amount)}` +
+                    (line.note ? ` (${line.note})` : '') + `\n`;
+            });
+            if (result.payroll.selfEmploymentDeduction > 0) {
+                breakdown += `• Deduction for half of SE tax: ${Money.format(result.payroll.selfEmploymentDeduction)} (reduces income tax)\n`;
+            }
+            breakdown += `• Total Payroll Tax: ${Money.format(result.payroll.total)}\n\n`;
         }
         
-        breakdown += `• Total Tax: $${totalTax.toLocaleString()}\n\n`;
+        breakdown += this.getJurisdictionBreakdown(result);
         return breakdown;
     }
     
-    async clearTaxRecord() {
-        if (!this.contract) {
-            this.showMessage('Please connect your wallet first!', 'error');
-            return;
+    // Each jurisdiction layer separately, with a combined effective rate
+    getJurisdictionBreakdown(result) {
+        const schedule = this.taxEngine.getActiveSchedule();
+        let breakdown = `🏛️ Tax by Jurisdiction:\n` +
+            `• Federal (${schedule.jurisdiction}): ${this.formatSignedAmount(result.federalTax)} ` +
+            `(income tax ${this.formatSignedAmount(result.netTax)} + payroll ${Money.format(result.payroll.total)})\n`;
+        
+        result.layers.forEach(layer => {
+            const allowances = [];
+            if (layer.standardDeduction > 0) {
+                allowances.push(`standard deduction ${Money.format(layer.standardDeduction)}`);
+            }
+            if (layer.exemptions > 0) {
+                allowances.push(`${layer.exemptionCount} exemption${layer.exemptionCount > 1 ? 's' : ''} ${Money.format(layer.exemptions)}`);
+            }
+            const rates = layer.type === 'flat'
+                ? `flat ${layer.marginalRate}%`
+                : `progressive, ${layer.marginalRate}% marginal`;
+            
+            breakdown += `• ${layer.jurisdiction} (${layer.level}, ${rates}): ${Money.format(layer.tax)} ` +
+                `on ${Money.format(layer.taxableIncome)} of ${layer.incomeBase}` +
+                (allowances.length > 0 ? ` after ${allowances.join(', ')}` : '') +
+                ` — ${layer.effectiveRate.toFixed(2)}% effective\n`;
+        });
+        
+        breakdown += `• Combined Effective Rate: ${result.combinedEffectiveRate.toFixed(2)}%\n\n`;
+        return breakdown;
+    }
+    
+    // Refund or balance due, safe-harbor check, penalty estimate and next year's plan
+    getReconciliationSummary(reconciliation) {
+        const formatDate = date => date.toLocaleDateString(undefined, { timeZone: 'UTC' });
+        
+        let summary = `🧾 Payments & Reconciliation:\n` +
+            `• Federal Liability (excluding employer-withheld FICA): ${this.formatSignedAmount(reconciliation.liability)}\n` +
+            `• Federal Withholding: ${Money.format(reconciliation.withholding)}\n` +
+            `• Estimated Payments: ` + reconciliation.estimated
+                .map((amount, index) => `Q${index + 1} ${Money.format(amount)}`).join(', ') + `\n` +
+            `• Total Payments: ${Money.format(reconciliation.totalPayments)}\n` +
+            (reconciliation.balance > 0
+                ? `• Balance Due: ${Money.format(reconciliation.balance)}\n`
+                : `• Refund: ${Money.format(-reconciliation.balance)}\n`);
+        
+        if (reconciliation.safeHarbor.met) {
+            summary += `• Underpayment Penalty: none — ${reconciliation.safeHarbor.reason}\n`;
+        } else {
+            summary += `• Underpayment Penalty: ~${Money.format(reconciliation.penalty)} ` +
+                `(${reconciliation.safeHarbor.reason}; ${reconciliation.penaltyRate}% annual rate)\n`;
+            reconciliation.quarters.filter(quarter => quarter.shortfall > 0).forEach(quarter => {
+                summary += `   - Q${quarter.quarter} (due ${formatDate(quarter.dueDate)}): ` +
+                    `${Money.format(quarter.shortfall)} short, ~${Money.format(quarter.penalty)}\n`;
+            });
+        }
+        
+        summary += `\n📅 Next Year's Estimated Payments:\n`;
+        if (reconciliation.nextYearPlan[0].amount === 0n) {
+            summary += `• None needed — withholding covers ${Money.format(reconciliation.nextYearTarget)} safe-harbor target\n\n`;
+        } else {
+            reconciliation.nextYearPlan.forEach(installment => {
+                summary += `• Q${installment.quarter} (due ${formatDate(installment.dueDate)}): ${Money.format(installment.amount)}\n`;
+            });
+            summary += `• Target: ${Money.format(reconciliation.nextYearTarget)} (this year's tax) at the same withholding\n\n`;
         }
+        return summary;
+    }
+    
+    // "$1,234" for amounts owed, "-$1,234 (refund)" for negative balances
+    formatSignedAmount(amount) {
+        return amount >= 0
+            ? Money.format(amount)
+            : `-${Money.format(-amount)} (refund)`;
+    }
+    
+    // One line per bracket slice, e.g. "20% bracket: $2,600 (on $13,000)"
+    formatBracketSlices(slices) {
+        return slices.map((slice, index) => {
+            const isFull = slice.to !== null && slice.taxableAmount === slice.to - slice.from;
+            let basis;
+            if (isFull && index === 0) {
+                basis = `on first ${Money.format(slice.taxableAmount)}`;
+            } else if (isFull) {
+                basis = `on next ${Money.format(slice.taxableAmount)}`;
+            } else {
+                basis = `on ${Money.format(slice.taxableAmount)}`;
+            }
+            return `• ${slice.rate}% bracket: ${Money.format(slice.tax)} (${basis})\n`;
+        }).join('');
+    }
+    
+    async clearTaxRecord() {
+        if (!this.requireWallet()) return;
         
-        if (!confirm('Are you sure you want to clear your tax record? This action cannot be undone.')) {
+        if (await this.rejectIfPaused()) return;
+        
+        const taxYear = this.selectedTaxYear;
+        if (!confirm(`Are you sure you want to clear your ${taxYear} tax record? Other years are kept. This action cannot be undone.`)) {
             return;
         }
         
         try {
-            this.showMessage('🗑️ Clearing tax record...', 'info');
-            
-            const gasLimit = 120n * await this.contract.clearTaxRecord.estimateGas() / 100n;
-            const feeData = await this.provider.getFeeData();
+            this.showMessage(`🗑️ Clearing ${taxYear} tax record...`, 'info');
             
-            const tx = await this.contract.clearTaxRecord({
-                gasLimit: gasLimit,
-                gasPrice: feeData.gasPrice
-            });
+            let tx;
+            if (this.gaslessRelay.enabled) {
+                tx = await this.gaslessRelay.clear(taxYear);
+                if (!tx) return;
+            } else {
+                const gasLimit = 120n * await this.contract.clearTaxRecord.estimateGas(taxYear) / 100n;
+                const feeData = await this.provider.getFeeData();
+                
+                tx = await this.contract.clearTaxRecord(taxYear, {
+                    gasLimit: gasLimit,
+                    gasPrice: feeData.gasPrice
+                });
+            }
             
             this.showMessage(`Clear transaction submitted! Hash: ${tx.hash}`, 'info');
             this.addPendingTransaction(tx.hash, 'Clear Record');
@@ -939,7 +1935,8 @@ class PrivacyTaxCalculatorApp {
             this.removePendingTransaction(tx.hash);
             
             if (receipt.status === 1) {
-                this.showMessage('✅ Tax record cleared successfully!', 'success');
+                this.saveSubmittedTaxData(taxYear, null);
+                this.showMessage(`✅ ${taxYear} tax record cleared successfully!`, 'success');
                 await this.updateTaxStatus();
                 
                 // Reset scenario selection
@@ -957,7 +1954,7 @@ class PrivacyTaxCalculatorApp {
             } else if (error.code === -32000) {
                 this.showMessage('❌ Insufficient funds for gas fees', 'error');
             } else if (error.code === -32002) {
-                this.showMessage('⏳ Clear request already pending in MetaMask', 'warning');
+                this.showMessage(`⏳ Clear request already pending in ${this.walletName()}`, 'warning');
             } else if (error.message?.includes('insufficient funds')) {
                 this.showMessage('❌ Insufficient ETH balance for clear operation', 'error');
             } else if (error.message?.includes('reverted')) {
@@ -970,6 +1967,24 @@ class PrivacyTaxCalculatorApp {
         }
     }
     
+    // Empty the custom form after its values were sent
+    clearCustomInputs() {
+        if (this.selectedScenario !== 'custom') return;
+        
+        Object.keys(TaxScheduleEngine.INCOME_TYPES).forEach(type => {
+            document.getElementById(`${type}Input`).value = '';
+        });
+        Object.keys(TaxScheduleEngine.ITEMIZED_CATEGORIES).forEach(category => {
+            document.getElementById(`${category}Input`).value = '';
+        });
+        ['childrenInput', 'otherDependentsInput', 'educationExpensesInput', 'customCreditInput',
+            'withholdingInput', 'estimatedQ1Input', 'estimatedQ2Input', 'estimatedQ3Input',
+            'estimatedQ4Input', 'priorYearTaxInput'].forEach(id => {
+            document.getElementById(id).value = '';
+        });
+        document.getElementById('customCreditRefundable').checked = false;
+    }
+    
     addPendingTransaction(txHash, description) {
         this.pendingTransactions.set(txHash, {
             description: description,
@@ -1057,15 +2072,20 @@ class PrivacyTaxCalculatorApp {
     }
     
     updateUI() {
+        this.updateSubmitMode();
+        this.gaslessRelay.updateControls();
+        
         // Show all buttons when wallet is connected
         const submitBtn = document.getElementById('submitBtn');
         const calculateBtn = document.getElementById('calculateBtn');
         const viewBtn = document.getElementById('viewBtn');
+        const amendBtn = document.getElementById('amendBtn');
         const clearBtn = document.getElementById('clearBtn');
         
         if (submitBtn) submitBtn.style.display = 'inline-block';
         if (calculateBtn) calculateBtn.style.display = 'inline-block';
         if (viewBtn) viewBtn.style.display = 'inline-block';
+        if (amendBtn) amendBtn.style.display = 'inline-block';
         if (clearBtn) clearBtn.style.display = 'inline-block';
         
         // Update tax status to set proper enable/disable states
@@ -1101,18 +2121,76 @@ function selectScenario(scenarioType) {
         document.getElementById('taxInputs').style.display = 'block';
         document.getElementById('selectedScenario').style.display = 'none';
     } else {
-        const scenario = taxCalculator.scenarios[scenarioType];
-        const estimatedTax = taxCalculator.calculateEstimatedTax(scenario.income, scenario.deductions);
-        
-        document.getElementById('displayIncome').textContent = `$${scenario.income.toLocaleString()}`;
-        document.getElementById('displayDeductions').textContent = `$${scenario.deductions.toLocaleString()}`;
-        document.getElementById('estimatedTax').textContent = `$${estimatedTax.toLocaleString()}`;
+        updateScenarioSummary();
         
         document.getElementById('selectedScenario').style.display = 'block';
         document.getElementById('taxInputs').style.display = 'none';
     }
 }
 
+async function selectTaxYear(taxYear) {
+    await taxCalculator.selectTaxYear(taxYear);
+}
+
+async function selectTaxSchedule() {
+    await taxCalculator.selectTaxSchedule(document.getElementById('taxScheduleSelect').value);
+}
+
+// State changed: offer that state's local layers, then refresh the estimates
+function selectStateJurisdiction() {
+    taxCalculator.populateJurisdictionOptions();
+    refreshEstimates();
+}
+
+// Filing status or jurisdiction changed: recompute everything estimated locally
+function refreshEstimates() {
+    updateScenarioSummary();
+    taxCalculator.simulator.update();
+}
+
+function updateSimulator() {
+    taxCalculator.simulator.update();
+}
+
+function pinSimulatorScenario() {
+    if (!taxCalculator.simulator.pinCurrent()) {
+        taxCalculator.showMessage(`You can pin up to ${taxCalculator.simulator.maxPinned} scenarios`, 'warning');
+    }
+}
+
+function unpinSimulatorScenario(index) {
+    taxCalculator.simulator.unpin(index);
+}
+
+// Refresh the preset summary for the current scenario, filing status and jurisdictions
+function updateScenarioSummary() {
+    const scenarioType = taxCalculator.selectedScenario;
+    if (!scenarioType || scenarioType === 'custom') return;
+    
+    const scenario = taxCalculator.scenarios[scenarioType];
+    const filingStatus = taxCalculator.getSelectedFilingStatus();
+    const result = taxCalculator.taxEngine.computeReturn({
+        incomes: scenario.incomes,
+        itemized: scenario.itemized,
+        credits: scenario.credits,
+        payments: scenario.payments,
+        jurisdictions: taxCalculator.getSelectedJurisdictions(),
+        filingStatus: filingStatus
+    });
+    
+    document.getElementById('displayIncome').textContent = Money.format(result.income);
+    document.getElementById('displayStandardDeduction').textContent = Money.format(result.deductions.standardDeduction);
+    document.getElementById('displayDeductions').textContent = Money.format(result.deductions.itemizedTotal);
+    document.getElementById('displayDeductionMethod').textContent =
+        `${result.deductions.method === 'itemized' ? 'Itemized' : 'Standard'} (${Money.format(result.deductions.amount)})`;
+    // The bracket tax the contract calculates; the estimate adds credits, payroll and state tax
+    document.getElementById('displayOnChainTax').textContent = Money.format(result.tax);
+    document.getElementById('estimatedTax').textContent = taxCalculator.formatSignedAmount(result.totalTax);
+    document.getElementById('displayBalance').textContent = result.reconciliation.balance > 0
+        ? `${Money.format(result.reconciliation.balance)} due`
+        : `${Money.format(-result.reconciliation.balance)} refund`;
+}
+
 async function connectWallet() {
     await taxCalculator.connectWallet();
 }
@@ -1121,6 +2199,26 @@ async function submitTaxInfo() {
     await taxCalculator.submitTaxInfo();
 }
 
+function setOneStepFiling(enabled) {
+    taxCalculator.setOneStepFiling(enabled);
+}
+
+async function selectWallet(rdns) {
+    await taxCalculator.selectWallet(rdns);
+}
+
+async function selectNetwork(key) {
+    await taxCalculator.selectNetwork(key);
+}
+
+function setGaslessMode(enabled) {
+    taxCalculator.gaslessRelay.setEnabled(enabled);
+}
+
+function setRelayerUrl(url) {
+    taxCalculator.gaslessRelay.setUrl(url);
+}
+
 async function calculateTax() {
     await taxCalculator.calculateTax();
 }
@@ -1129,10 +2227,62 @@ async function viewTaxResult() {
     await taxCalculator.viewTaxResult();
 }
 
+async function amendTaxInfo() {
+    await taxCalculator.amendTaxInfo();
+}
+
+async function grantViewAccess() {
+    await taxCalculator.sharedAccess.grant();
+}
+
+async function revokeViewAccess(viewer) {
+    await taxCalculator.sharedAccess.revoke(viewer);
+}
+
+async function viewSharedResult(taxpayer, taxYear) {
+    await taxCalculator.sharedAccess.viewShared(taxpayer, taxYear);
+}
+
+async function createProofOfFiling() {
+    await taxCalculator.proofOfFiling.create();
+}
+
+async function payTax() {
+    await taxCalculator.settlement.pay();
+}
+
+async function quoteTaxPayment() {
+    await taxCalculator.settlement.updateQuote();
+}
+
+async function refundTaxPayment() {
+    await taxCalculator.settlement.refund();
+}
+
+async function confirmTaxPayment() {
+    await taxCalculator.settlement.confirmPayment();
+}
+
+async function withdrawTaxPayments() {
+    await taxCalculator.settlement.withdraw();
+}
+
+async function showMoreFilingHistory() {
+    await taxCalculator.filingHistory.showMore();
+}
+
+async function reloadFilingHistory() {
+    await taxCalculator.filingHistory.reload();
+}
+
 async function clearTaxRecord() {
     await taxCalculator.clearTaxRecord();
 }
 
+async function inspectTaxpayer() {
+    await taxCalculator.readOnly.inspect();
+}
+
 async function refreshContractStats() {
     await taxCalculator.loadContractStats();
     taxCalculator.showMessage('✅ Contract statistics refreshed!', 'success');
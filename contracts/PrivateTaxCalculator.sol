@@ -1,14 +1,31 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.24;
 
+import "./fhe/FHE.sol";
+import "./interfaces/IERC20.sol";
+
 /// @title Privacy Tax Calculator - Production Version
-/// @notice A privacy-preserving tax calculation system (simplified version for compatibility)
-/// @dev This contract handles blockchain transactions on Sepolia testnet with MetaMask integration
-/// @dev All operations require real Sepolia ETH for gas fees and user confirmation in MetaMask
+/// @notice A privacy-preserving tax calculation system computing on encrypted 64-bit amounts
+/// @dev Ordinary income, long-term gains and qualified dividends, deductions and tax owed are FHE
+///      handles; the bracket tax is evaluated homomorphically, with the gains taxed at
+///      preferential rates stacked on top of ordinary taxable income.
+/// @dev Brackets come from owner-managed schedules, versioned per tax year and filing status.
+/// @dev Each taxpayer holds one record per tax year, calculated with that year's brackets for the
+///      filing status it was filed under.
+/// @dev Taxpayers can share read access to their results with other addresses, optionally expiring.
+/// @dev Each record carries a filing ID the contract derives from the verified input handles,
+///      so it commits to the encrypted amounts that are taxed. Taxpayers can publish encrypted
+///      range checks on their tax owed for proofs of filing.
+/// @dev Calculated tax is settled in ETH or the owner's configured stablecoin. A payment settles
+///      the year only once the owner confirms it covers the encrypted tax owed; only confirmed
+///      payments can be withdrawn to the treasury, and payments found short can be refunded.
+/// @dev Submit, calculate and clear also accept EIP-712 signed requests, so a relayer can pay
+///      the gas on the taxpayer's behalf; each signature carries a nonce and a deadline.
+/// @dev Deploy with the address of an FHE executor (MockFHEExecutor on a local chain).
 contract PrivateTaxCalculator {
     
     // Contract version for frontend compatibility
-    uint256 public constant VERSION = 1;
+    uint256 public constant VERSION = 16;
     
     // Owner for contract management
     address public owner;
@@ -16,34 +33,187 @@ contract PrivateTaxCalculator {
     // Contract deployment timestamp
     uint256 public immutable deploymentTime;
     
-    // Total number of taxpayers who have used the system
+    // While paused, tax records cannot be created, changed or cleared; reads keep working
+    bool public paused;
+    
+    // Total number of taxpayers who have used the system, each counted once
     uint256 public totalTaxpayers;
+    mapping(address => bool) private isKnownTaxpayer;
+    
+    // Filing statuses with their own brackets, in the frontend's order
+    enum FilingStatus { Single, MarriedJoint, MarriedSeparate, HeadOfHousehold }
     
     struct TaxRecord {
-        bytes32 incomeHash;      // Hash of encrypted income
-        bytes32 deductionsHash;  // Hash of encrypted deductions
-        bytes32 taxOwedHash;     // Hash of encrypted tax owed
+        euint64 income;          // Encrypted ordinary income, after adjustments such as half the self-employment tax
+        euint64 gains;           // Encrypted long-term capital gains and qualified dividends
+        euint64 deductions;      // Encrypted total deductions
+        euint64 taxOwed;         // Encrypted tax owed
         bool calculated;
+        uint16 taxYear;          // Tax year the record is filed for
+        FilingStatus filingStatus; // Public: selects the brackets the tax is calculated with
+        uint32 scheduleVersion;  // Version of that year and status' schedule used for the calculation
+        uint32 amendmentCount;   // Times the inputs were replaced since the original submission
+        bytes32 commitment;      // Filing ID: hash of the taxpayer, year, filing status and input handles
         uint256 submissionTime;
         uint256 calculationTime;
         uint256 lastAccessTime;
     }
     
-    mapping(address => TaxRecord) private taxRecords;
-    mapping(address => bool) public hasSubmitted;
+    // Records by taxpayer and tax year
+    mapping(address => mapping(uint16 => TaxRecord)) private taxRecords;
+    mapping(address => mapping(uint16 => bool)) public hasSubmitted;
+    
+    // Tax years each taxpayer currently holds a record for, in filing order
+    mapping(address => uint16[]) private taxYears;
+    
+    // Public check that a record's tax owed lies in a disclosed range; `inRange` is publicly
+    // decryptable and tied to the record's filing ID at the time of the check
+    struct RangeAttestation {
+        address taxpayer;
+        uint16 taxYear;
+        uint64 minTaxOwed;
+        uint64 maxTaxOwed;
+        bytes32 commitment;
+        ebool inRange;
+        uint256 createdAt;
+    }
+    
+    mapping(uint256 => RangeAttestation) private rangeAttestations;
+    uint256 public rangeAttestationCount;
+    
+    // Where withdrawn tax payments go, the stablecoin accepted besides ETH (address(0) for
+    // none) and the ETH price in 6-decimal USD used to quote ETH settlements (0 disables ETH)
+    address public treasury;
+    address public paymentToken;
+    uint256 public ethUsdPrice;
+    
+    // Unpaid until the first payment, then Pending until the owner has decrypted the coverage
+    // check: Confirmed settles the year, Underpaid lets the taxpayer pay the shortfall
+    enum SettlementStatus { Unpaid, Pending, Confirmed, Underpaid }
+    
+    // Receipt of a year's tax payments. The taxpayer declares the amount from their decrypted
+    // result; `coversTaxOwed` encrypts whether the total declared is at least the computed tax owed.
+    struct Settlement {
+        SettlementStatus status;
+        uint256 receiptId;       // the latest payment's receipt
+        address token;           // address(0) for ETH
+        uint256 amountPaid;      // total, in wei or the token's base units
+        uint64 taxAmount;        // total declared tax in 6-decimal USD units
+        ebool coversTaxOwed;     // decryptable by the taxpayer and the owner
+        uint256 paidAt;          // time of the latest payment
+    }
+    
+    mapping(address => mapping(uint16 => Settlement)) private settlements;
+    uint256 public settlementCount;
+    
+    // Confirmed payments not yet withdrawn, by currency (address(0) for ETH). Pending and
+    // underpaid payments are not counted: they still belong to the taxpayer.
+    mapping(address => uint256) public withdrawableBalance;
+    
+    // EIP-712 signed requests: the domain is rebuilt if the chain forks, and each taxpayer's
+    // nonce is consumed by their next relayed request so a signature works only once
+    string public constant EIP712_NAME = "PrivateTaxCalculator";
+    string public constant EIP712_VERSION = "1";
+    bytes32 private constant EIP712_DOMAIN_TYPEHASH = keccak256(
+        "EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"
+    );
+    bytes32 public constant SUBMIT_TAX_INFO_TYPEHASH = keccak256(
+        "SubmitTaxInfo(address taxpayer,uint16 taxYear,uint8 filingStatus,bytes32 encryptedIncome,bytes32 encryptedGains,bytes32 encryptedDeductions,bytes inputProof,bool calculate,uint256 nonce,uint256 deadline)"
+    );
+    bytes32 public constant CALCULATE_TAX_TYPEHASH = keccak256(
+        "CalculateTax(address taxpayer,uint16 taxYear,uint256 nonce,uint256 deadline)"
+    );
+    bytes32 public constant CLEAR_TAX_RECORD_TYPEHASH = keccak256(
+        "ClearTaxRecord(address taxpayer,uint16 taxYear,uint256 nonce,uint256 deadline)"
+    );
+    // Upper bound of `s` in canonical signatures (secp256k1 order / 2)
+    uint256 private constant MAX_SIGNATURE_S = 0x7FFFFFFFFFFFFFFFFFFFFFFFFFFFFFFF5D576E7357A4501DDFE92F46681B20A0;
+    
+    uint256 private immutable initialChainId;
+    bytes32 private immutable initialDomainSeparator;
+    mapping(address => uint256) public nonces;
+    
+    // Read access a taxpayer granted to a viewer such as an accountant or auditor
+    struct ViewGrant {
+        bool active;
+        uint64 expiresAt;        // 0 for no expiry
+    }
+    
+    mapping(address => mapping(address => ViewGrant)) private viewGrants;
+    
+    // Addresses each taxpayer granted access to, and taxpayers who granted each viewer access;
+    // entries stay listed after expiry until revoked
+    mapping(address => address[]) private viewers;
+    mapping(address => address[]) private sharedWith;
+    
+    // Bracket schedule: ascending upper thresholds in 6-decimal USD units and one rate per
+    // bracket in basis points, the last rate applying above the highest threshold. Ordinary
+    // income uses the first brackets, gains the second, in the same format.
+    struct TaxSchedule {
+        uint64[] thresholds;
+        uint16[] ratesBps;
+        uint64[] gainsThresholds;
+        uint16[] gainsRatesBps;
+        uint256 createdAt;
+    }
+    
+    // Schedules by tax year, filing status and version; versions start at 1 for each year and
+    // status and are never overwritten
+    mapping(uint16 => mapping(FilingStatus => mapping(uint32 => TaxSchedule))) private taxSchedules;
+    mapping(uint16 => mapping(FilingStatus => uint32)) public latestScheduleVersion;
+    
+    // Current filing year, offered by default to new submissions
+    uint16 public activeTaxYear;
     
-    // Tax bracket thresholds (using actual USD amounts in wei-like units)
+    uint16 private constant RATE_SCALE = 10000; // basis points
+    uint256 private constant MAX_BRACKETS = 8;  // bounds the encrypted operations per calculation
+    
+    // Initial schedules set at deployment (2024): 10% to the first threshold, 20% to the second,
+    // 30% above. Single and married filing separately use these thresholds; married filing
+    // jointly doubles them and head of household uses $75,000 and $150,000. Gains are taxed at
+    // 0%, 15% and 20% with each status' 2024 federal thresholds.
+    uint16 private constant INITIAL_TAX_YEAR = 2024;
     uint64 private constant BRACKET_1_THRESHOLD = 50000 * 10**6;  // $50,000 (using 6 decimals for USD)
     uint64 private constant BRACKET_2_THRESHOLD = 100000 * 10**6; // $100,000
     
     // Events for real blockchain monitoring
-    event TaxSubmitted(address indexed taxpayer, uint256 timestamp, bytes32 indexed txHash);
-    event TaxCalculated(address indexed taxpayer, uint256 timestamp, bytes32 indexed txHash);
-    event TaxRecordCleared(address indexed taxpayer, uint256 timestamp);
+    event TaxSubmitted(address indexed taxpayer, uint16 indexed taxYear, uint256 timestamp, bytes32 indexed txHash);
+    event TaxCalculated(address indexed taxpayer, uint16 indexed taxYear, uint256 timestamp, bytes32 indexed txHash);
+    event TaxAmended(address indexed taxpayer, uint16 indexed taxYear, uint32 amendment, uint256 timestamp);
+    event TaxRecordCleared(address indexed taxpayer, uint16 indexed taxYear, uint256 timestamp);
+    event ViewAccessGranted(address indexed taxpayer, address indexed viewer, uint64 expiresAt);
+    event ViewAccessRevoked(address indexed taxpayer, address indexed viewer);
+    event SharedResultAccessed(address indexed taxpayer, address indexed viewer, uint16 indexed taxYear);
+    event TaxRangeAttested(uint256 indexed attestationId, address indexed taxpayer, uint16 indexed taxYear, uint64 minTaxOwed, uint64 maxTaxOwed);
+    event TaxSettled(uint256 indexed receiptId, address indexed taxpayer, uint16 indexed taxYear, address token, uint256 amountPaid, uint64 taxAmount);
+    event SettlementConfirmed(uint256 indexed receiptId, address indexed taxpayer, uint16 indexed taxYear, bool covered);
+    event PaymentConfigUpdated(address treasury, address paymentToken, uint256 ethUsdPrice);
+    event SettlementRefunded(uint256 indexed receiptId, address indexed taxpayer, uint16 indexed taxYear, address token, uint256 amount);
+    event PaymentsWithdrawn(address indexed token, address indexed treasury, uint256 amount);
+    event MetaTransactionRelayed(address indexed taxpayer, address indexed relayer, uint256 nonce);
     event ContractDeployed(address indexed owner, uint256 timestamp);
+    event ContractPaused(address indexed by, uint256 timestamp);
+    event ContractUnpaused(address indexed by, uint256 timestamp);
+    event TaxScheduleSet(uint16 indexed taxYear, FilingStatus indexed filingStatus, uint32 indexed version, uint64[] thresholds, uint16[] ratesBps, uint64[] gainsThresholds, uint16[] gainsRatesBps);
+    event ActiveTaxYearChanged(uint16 previousTaxYear, uint16 newTaxYear);
+    
+    modifier onlyTaxpayer(uint16 taxYear) {
+        require(hasSubmitted[msg.sender][taxYear], "No tax record found");
+        _;
+    }
+    
+    modifier onlyViewerOf(address taxpayer) {
+        require(hasViewAccess(taxpayer, msg.sender), "No view access");
+        _;
+    }
+    
+    modifier whenUnpaid(uint16 taxYear) {
+        require(settlements[msg.sender][taxYear].status == SettlementStatus.Unpaid, "Tax payment on record");
+        _;
+    }
     
-    modifier onlyTaxpayer() {
-        require(hasSubmitted[msg.sender], "No tax record found");
+    modifier whenNotPaused() {
+        require(!paused, "Contract is paused");
         _;
     }
     
@@ -52,95 +222,600 @@ contract PrivateTaxCalculator {
         _;
     }
     
-    /// @notice Constructor - called when contract is deployed to Sepolia
-    constructor() {
+    /// @notice Constructor - called when contract is deployed
+    /// @param executor FHE executor that holds the ciphertexts and evaluates operations
+    constructor(address executor) {
+        FHE.setExecutor(executor);
         owner = msg.sender;
         deploymentTime = block.timestamp;
         totalTaxpayers = 0;
+        initialChainId = block.chainid;
+        initialDomainSeparator = _buildDomainSeparator();
+        
+        uint16[] memory ratesBps = new uint16[](3);
+        ratesBps[0] = 1000;
+        ratesBps[1] = 2000;
+        ratesBps[2] = 3000;
+        uint16[] memory gainsRatesBps = new uint16[](3);
+        gainsRatesBps[0] = 0;
+        gainsRatesBps[1] = 1500;
+        gainsRatesBps[2] = 2000;
+        _setTaxSchedule(INITIAL_TAX_YEAR, FilingStatus.Single, _thresholds(BRACKET_1_THRESHOLD, BRACKET_2_THRESHOLD), ratesBps,
+            _thresholds(47025 * 10**6, 518900 * 10**6), gainsRatesBps);
+        _setTaxSchedule(INITIAL_TAX_YEAR, FilingStatus.MarriedJoint, _thresholds(2 * BRACKET_1_THRESHOLD, 2 * BRACKET_2_THRESHOLD), ratesBps,
+            _thresholds(94050 * 10**6, 583750 * 10**6), gainsRatesBps);
+        _setTaxSchedule(INITIAL_TAX_YEAR, FilingStatus.MarriedSeparate, _thresholds(BRACKET_1_THRESHOLD, BRACKET_2_THRESHOLD), ratesBps,
+            _thresholds(47025 * 10**6, 291850 * 10**6), gainsRatesBps);
+        _setTaxSchedule(INITIAL_TAX_YEAR, FilingStatus.HeadOfHousehold, _thresholds(75000 * 10**6, 150000 * 10**6), ratesBps,
+            _thresholds(63000 * 10**6, 551350 * 10**6), gainsRatesBps);
+        activeTaxYear = INITIAL_TAX_YEAR;
         
         emit ContractDeployed(msg.sender, block.timestamp);
+        emit ActiveTaxYearChanged(0, INITIAL_TAX_YEAR);
     }
     
-    /// @notice Submit encrypted income and deductions for tax calculation
-    /// @dev This function requires real Sepolia ETH for gas and MetaMask confirmation
-    /// @param encryptedIncome Encrypted annual income (represented as bytes32 hash)
-    /// @param incomeProof Cryptographic proof for encrypted income
-    /// @param encryptedDeductions Encrypted total deductions (represented as bytes32 hash)
-    /// @param deductionsProof Cryptographic proof for encrypted deductions
+    function _thresholds(uint64 first, uint64 second) private pure returns (uint64[] memory thresholds) {
+        thresholds = new uint64[](2);
+        thresholds[0] = first;
+        thresholds[1] = second;
+    }
+    
+    /// @notice Publish a new schedule version for a tax year and filing status (owner only)
+    /// @param taxYear Tax year the schedule applies to
+    /// @param filingStatus Filing status the brackets apply to
+    /// @param thresholds Ascending bracket upper bounds in 6-decimal USD units
+    /// @param ratesBps Bracket rates in basis points; one more than thresholds
+    /// @param gainsThresholds Ascending upper bounds of the long-term gains brackets, measured
+    ///        on total taxable income, in 6-decimal USD units
+    /// @param gainsRatesBps Gains bracket rates in basis points; one more than gainsThresholds
+    function setTaxSchedule(
+        uint16 taxYear,
+        FilingStatus filingStatus,
+        uint64[] calldata thresholds,
+        uint16[] calldata ratesBps,
+        uint64[] calldata gainsThresholds,
+        uint16[] calldata gainsRatesBps
+    ) external onlyOwner returns (uint32) {
+        return _setTaxSchedule(taxYear, filingStatus, thresholds, ratesBps, gainsThresholds, gainsRatesBps);
+    }
+    
+    /// @notice Switch the current filing year (owner only); every filing status needs a schedule for it
+    function setActiveTaxYear(uint16 taxYear) external onlyOwner {
+        for (uint8 status = 0; status <= uint8(type(FilingStatus).max); status++) {
+            require(latestScheduleVersion[taxYear][FilingStatus(status)] > 0, "No schedule for tax year");
+        }
+        
+        uint16 previousTaxYear = activeTaxYear;
+        activeTaxYear = taxYear;
+        
+        emit ActiveTaxYearChanged(previousTaxYear, taxYear);
+    }
+    
+    /// @notice Get one version of a tax year's schedule for a filing status
+    function getTaxSchedule(uint16 taxYear, FilingStatus filingStatus, uint32 version) external view returns (
+        uint64[] memory thresholds,
+        uint16[] memory ratesBps,
+        uint64[] memory gainsThresholds,
+        uint16[] memory gainsRatesBps,
+        uint256 createdAt
+    ) {
+        require(version > 0 && version <= latestScheduleVersion[taxYear][filingStatus], "Unknown schedule version");
+        TaxSchedule storage schedule = taxSchedules[taxYear][filingStatus][version];
+        return (schedule.thresholds, schedule.ratesBps, schedule.gainsThresholds, schedule.gainsRatesBps, schedule.createdAt);
+    }
+    
+    /// @notice Get the latest schedule of the current filing year for a filing status
+    function getActiveTaxSchedule(FilingStatus filingStatus) external view returns (
+        uint16 taxYear,
+        uint32 version,
+        uint64[] memory thresholds,
+        uint16[] memory ratesBps,
+        uint64[] memory gainsThresholds,
+        uint16[] memory gainsRatesBps
+    ) {
+        version = latestScheduleVersion[activeTaxYear][filingStatus];
+        TaxSchedule storage schedule = taxSchedules[activeTaxYear][filingStatus][version];
+        return (activeTaxYear, version, schedule.thresholds, schedule.ratesBps, schedule.gainsThresholds, schedule.gainsRatesBps);
+    }
+    
+    function _setTaxSchedule(
+        uint16 taxYear,
+        FilingStatus filingStatus,
+        uint64[] memory thresholds,
+        uint16[] memory ratesBps,
+        uint64[] memory gainsThresholds,
+        uint16[] memory gainsRatesBps
+    ) private returns (uint32 version) {
+        require(taxYear > 0, "Tax year required");
+        _checkBrackets(thresholds, ratesBps);
+        _checkBrackets(gainsThresholds, gainsRatesBps);
+        
+        version = latestScheduleVersion[taxYear][filingStatus] + 1;
+        TaxSchedule storage schedule = taxSchedules[taxYear][filingStatus][version];
+        schedule.thresholds = thresholds;
+        schedule.ratesBps = ratesBps;
+        schedule.gainsThresholds = gainsThresholds;
+        schedule.gainsRatesBps = gainsRatesBps;
+        schedule.createdAt = block.timestamp;
+        latestScheduleVersion[taxYear][filingStatus] = version;
+        
+        emit TaxScheduleSet(taxYear, filingStatus, version, thresholds, ratesBps, gainsThresholds, gainsRatesBps);
+    }
+    
+    function _checkBrackets(uint64[] memory thresholds, uint16[] memory ratesBps) private pure {
+        require(thresholds.length > 0 && thresholds.length < MAX_BRACKETS, "Invalid number of brackets");
+        require(ratesBps.length == thresholds.length + 1, "Need one rate per bracket");
+        
+        for (uint256 i = 0; i < thresholds.length; i++) {
+            require(thresholds[i] > (i == 0 ? 0 : thresholds[i - 1]), "Thresholds must be ascending");
+        }
+        for (uint256 i = 0; i < ratesBps.length; i++) {
+            require(ratesBps[i] <= RATE_SCALE, "Rate above 100%");
+        }
+    }
+    
+    /// @notice Address of the FHE executor this contract computes with
+    function fheExecutor() external view returns (address) {
+        return address(FHE.getExecutor());
+    }
+    
+    /// @notice Submit encrypted income and deductions for one tax year
+    /// @dev Amounts are uint64 in 6-decimal USD units, encrypted client-side for this contract and sender
+    /// @param taxYear Tax year the income was earned in; it must have a published schedule
+    /// @param filingStatus Filing status whose brackets apply; it is public
+    /// @param encryptedIncome Handle of the encrypted ordinary income, after adjustments
+    /// @param encryptedGains Handle of the encrypted long-term capital gains and qualified dividends
+    /// @param encryptedDeductions Handle of the encrypted total deductions
+    /// @param inputProof Proof binding the three handles to the sender and this contract
     function submitTaxInfo(
-        bytes32[2] calldata encryptedIncome,
-        bytes calldata incomeProof,
-        bytes32[2] calldata encryptedDeductions,
-        bytes calldata deductionsProof
-    ) external payable {
-        require(!hasSubmitted[msg.sender], "Tax information already submitted for this address");
-        require(incomeProof.length > 0, "Income proof required");
-        require(deductionsProof.length > 0, "Deductions proof required");
-        
-        // Store hashed tax record (simplified FHE representation)
-        taxRecords[msg.sender] = TaxRecord({
-            incomeHash: encryptedIncome[0],
-            deductionsHash: encryptedDeductions[0],
-            taxOwedHash: bytes32(0), // Will be calculated later
+        uint16 taxYear,
+        FilingStatus filingStatus,
+        externalEuint64 encryptedIncome,
+        externalEuint64 encryptedGains,
+        externalEuint64 encryptedDeductions,
+        bytes calldata inputProof
+    ) external whenNotPaused {
+        _submitTaxInfo(msg.sender, taxYear, filingStatus, encryptedIncome, encryptedGains, encryptedDeductions, inputProof);
+    }
+    
+    /// @notice Submit a year's encrypted income and deductions and calculate its tax in one transaction
+    /// @dev Same checks, state and events as `submitTaxInfo` followed by `calculateTax`, with
+    ///      one confirmation and one base transaction fee instead of two
+    function submitAndCalculateTax(
+        uint16 taxYear,
+        FilingStatus filingStatus,
+        externalEuint64 encryptedIncome,
+        externalEuint64 encryptedGains,
+        externalEuint64 encryptedDeductions,
+        bytes calldata inputProof
+    ) external whenNotPaused {
+        _submitTaxInfo(msg.sender, taxYear, filingStatus, encryptedIncome, encryptedGains, encryptedDeductions, inputProof);
+        _calculateTax(msg.sender, taxYear);
+    }
+    
+    /// @notice Submit, and optionally calculate, a taxpayer's return from their EIP-712 signed request
+    /// @dev Sent by anyone, usually a relayer paying the gas; the records, permissions and events
+    ///      are the taxpayer's, exactly as if they had sent `submitTaxInfo` or `submitAndCalculateTax`.
+    ///      The inputs must be encrypted for the taxpayer and this contract.
+    /// @param taxpayer Signer of the request and owner of the new record
+    /// @param calculate Also calculate the tax in the same transaction
+    /// @param deadline Unix time after which the signature is rejected
+    /// @param signature Taxpayer's 65-byte signature of the SubmitTaxInfo typed data
+    function submitTaxInfoBySig(
+        address taxpayer,
+        uint16 taxYear,
+        FilingStatus filingStatus,
+        externalEuint64 encryptedIncome,
+        externalEuint64 encryptedGains,
+        externalEuint64 encryptedDeductions,
+        bytes calldata inputProof,
+        bool calculate,
+        uint256 deadline,
+        bytes calldata signature
+    ) external whenNotPaused {
+        bytes32 structHash = _submitTaxInfoHash(
+            taxpayer, taxYear, filingStatus, encryptedIncome, encryptedGains, encryptedDeductions, keccak256(inputProof), calculate, deadline
+        );
+        _useSignature(taxpayer, structHash, deadline, signature);
+        
+        _submitTaxInfo(taxpayer, taxYear, filingStatus, encryptedIncome, encryptedGains, encryptedDeductions, inputProof);
+        if (calculate) {
+            _calculateTax(taxpayer, taxYear);
+        }
+    }
+    
+    /// @dev EIP-712 hash of a SubmitTaxInfo request at the taxpayer's current nonce, encoded in
+    ///      two halves to stay within the stack limit; the concatenation equals one abi.encode
+    function _submitTaxInfoHash(
+        address taxpayer,
+        uint16 taxYear,
+        FilingStatus filingStatus,
+        externalEuint64 encryptedIncome,
+        externalEuint64 encryptedGains,
+        externalEuint64 encryptedDeductions,
+        bytes32 inputProofHash,
+        bool calculate,
+        uint256 deadline
+    ) private view returns (bytes32) {
+        return keccak256(bytes.concat(
+            abi.encode(SUBMIT_TAX_INFO_TYPEHASH, taxpayer, taxYear, filingStatus, encryptedIncome, encryptedGains, encryptedDeductions),
+            abi.encode(inputProofHash, calculate, nonces[taxpayer], deadline)
+        ));
+    }
+    
+    function _submitTaxInfo(
+        address taxpayer,
+        uint16 taxYear,
+        FilingStatus filingStatus,
+        externalEuint64 encryptedIncome,
+        externalEuint64 encryptedGains,
+        externalEuint64 encryptedDeductions,
+        bytes calldata inputProof
+    ) private {
+        require(latestScheduleVersion[taxYear][filingStatus] > 0, "No schedule for tax year");
+        require(!hasSubmitted[taxpayer][taxYear], "Tax information already submitted for this tax year");
+        require(inputProof.length > 0, "Input proof required");
+        
+        euint64 income = FHE.fromExternal(encryptedIncome, taxpayer, inputProof);
+        euint64 gains = FHE.fromExternal(encryptedGains, taxpayer, inputProof);
+        euint64 deductions = FHE.fromExternal(encryptedDeductions, taxpayer, inputProof);
+        
+        // The contract keeps computing on the inputs; the taxpayer can decrypt their own values
+        FHE.allowThis(income);
+        FHE.allowThis(gains);
+        FHE.allowThis(deductions);
+        FHE.allow(income, taxpayer);
+        FHE.allow(gains, taxpayer);
+        FHE.allow(deductions, taxpayer);
+        
+        taxRecords[taxpayer][taxYear] = TaxRecord({
+            income: income,
+            gains: gains,
+            deductions: deductions,
+            taxOwed: euint64.wrap(0), // Will be calculated later
             calculated: false,
+            taxYear: taxYear,
+            filingStatus: filingStatus,
+            scheduleVersion: 0,
+            amendmentCount: 0,
+            commitment: _filingCommitment(taxpayer, taxYear, filingStatus, income, gains, deductions),
             submissionTime: block.timestamp,
             calculationTime: 0,
             lastAccessTime: block.timestamp
         });
         
-        hasSubmitted[msg.sender] = true;
-        totalTaxpayers++;
+        hasSubmitted[taxpayer][taxYear] = true;
+        taxYears[taxpayer].push(taxYear);
+        if (!isKnownTaxpayer[taxpayer]) {
+            isKnownTaxpayer[taxpayer] = true;
+            totalTaxpayers++;
+        }
         
         // Emit event with transaction hash for frontend tracking
-        emit TaxSubmitted(msg.sender, block.timestamp, keccak256(abi.encodePacked(block.timestamp, msg.sender)));
+        emit TaxSubmitted(taxpayer, taxYear, block.timestamp, keccak256(abi.encodePacked(block.timestamp, taxpayer)));
     }
     
-    /// @notice Calculate tax owed based on progressive tax brackets
-    /// @dev This function performs tax calculations and requires MetaMask confirmation
-    function calculateTax() external {
-        require(hasSubmitted[msg.sender], "No tax information submitted");
-        require(!taxRecords[msg.sender].calculated, "Tax already calculated");
+    /// @notice Replace a year's encrypted income and deductions, keeping the original submission time
+    /// @dev Any calculated tax is discarded; calculate again to get the amended result. Years
+    ///      with a payment on record cannot be amended.
+    /// @param taxYear Tax year of the record to amend
+    /// @param filingStatus Corrected filing status; it needs a schedule for the year
+    /// @param encryptedIncome Handle of the corrected encrypted ordinary income
+    /// @param encryptedGains Handle of the corrected encrypted long-term gains and qualified dividends
+    /// @param encryptedDeductions Handle of the corrected encrypted total deductions
+    /// @param inputProof Proof binding the three handles to the sender and this contract
+    function amendTaxInfo(
+        uint16 taxYear,
+        FilingStatus filingStatus,
+        externalEuint64 encryptedIncome,
+        externalEuint64 encryptedGains,
+        externalEuint64 encryptedDeductions,
+        bytes calldata inputProof
+    ) external whenNotPaused onlyTaxpayer(taxYear) whenUnpaid(taxYear) {
+        require(latestScheduleVersion[taxYear][filingStatus] > 0, "No schedule for tax year");
+        require(inputProof.length > 0, "Input proof required");
         
-        TaxRecord storage record = taxRecords[msg.sender];
+        euint64 income = FHE.fromExternal(encryptedIncome, inputProof);
+        euint64 gains = FHE.fromExternal(encryptedGains, inputProof);
+        euint64 deductions = FHE.fromExternal(encryptedDeductions, inputProof);
         
-        // Simulate tax calculation (in a real FHE implementation, this would be done on encrypted data)
-        bytes32 calculatedTaxHash = keccak256(abi.encodePacked(
-            record.incomeHash,
-            record.deductionsHash,
-            block.timestamp,
-            "tax_calculation"
-        ));
+        FHE.allowThis(income);
+        FHE.allowThis(gains);
+        FHE.allowThis(deductions);
+        FHE.allow(income, msg.sender);
+        FHE.allow(gains, msg.sender);
+        FHE.allow(deductions, msg.sender);
+        
+        TaxRecord storage record = taxRecords[msg.sender][taxYear];
+        record.income = income;
+        record.gains = gains;
+        record.deductions = deductions;
+        record.filingStatus = filingStatus;
+        record.taxOwed = euint64.wrap(0);
+        record.calculated = false;
+        record.scheduleVersion = 0;
+        record.calculationTime = 0;
+        record.amendmentCount++;
+        record.commitment = _filingCommitment(msg.sender, taxYear, filingStatus, income, gains, deductions);
+        record.lastAccessTime = block.timestamp;
+        
+        emit TaxAmended(msg.sender, taxYear, record.amendmentCount, block.timestamp);
+    }
+    
+    /// @notice Calculate a year's tax owed with the latest brackets published for that year and
+    ///         the record's filing status
+    /// @dev Evaluated on ciphertexts: nothing about income or deductions is revealed on-chain
+    function calculateTax(uint16 taxYear) external whenNotPaused {
+        _calculateTax(msg.sender, taxYear);
+    }
+    
+    /// @notice Calculate a taxpayer's tax from their EIP-712 signed request, sent by a relayer
+    function calculateTaxBySig(
+        address taxpayer,
+        uint16 taxYear,
+        uint256 deadline,
+        bytes calldata signature
+    ) external whenNotPaused {
+        bytes32 structHash = keccak256(abi.encode(CALCULATE_TAX_TYPEHASH, taxpayer, taxYear, nonces[taxpayer], deadline));
+        _useSignature(taxpayer, structHash, deadline, signature);
+        
+        _calculateTax(taxpayer, taxYear);
+    }
+    
+    function _calculateTax(address taxpayer, uint16 taxYear) private {
+        require(hasSubmitted[taxpayer][taxYear], "No tax information submitted");
+        require(!taxRecords[taxpayer][taxYear].calculated, "Tax already calculated");
+        
+        TaxRecord storage record = taxRecords[taxpayer][taxYear];
+        
+        uint32 version = latestScheduleVersion[taxYear][record.filingStatus];
+        euint64 taxOwed = computeBracketTax(record.income, record.gains, record.deductions, taxSchedules[taxYear][record.filingStatus][version]);
+        FHE.allowThis(taxOwed);
+        FHE.allow(taxOwed, taxpayer);
         
-        // Store calculated tax
-        record.taxOwedHash = calculatedTaxHash;
+        // Store calculated tax along with the schedule it was calculated with
+        record.taxOwed = taxOwed;
         record.calculated = true;
+        record.scheduleVersion = version;
         record.calculationTime = block.timestamp;
         record.lastAccessTime = block.timestamp;
         
         // Emit event for blockchain monitoring
-        emit TaxCalculated(msg.sender, block.timestamp, keccak256(abi.encodePacked(block.timestamp, msg.sender, "calculate")));
+        emit TaxCalculated(taxpayer, taxYear, block.timestamp, keccak256(abi.encodePacked(block.timestamp, taxpayer, "calculate")));
+    }
+    
+    /// @notice Bracket tax in 6-decimal USD units: ordinary taxable income, max(income - deductions, 0),
+    ///         at the ordinary brackets, and the gains stacked above it up to the total taxable
+    ///         income, max(income + gains - deductions, 0), at the gains brackets
+    /// @dev The gains share is the gains schedule applied to the total minus the same schedule
+    ///      applied to the ordinary part. The weighted sum is divided once, truncating sub-unit
+    ///      remainders; it stays within uint64 for taxable income up to about $1.8 billion.
+    function computeBracketTax(
+        euint64 income,
+        euint64 gains,
+        euint64 deductions,
+        TaxSchedule storage schedule
+    ) private returns (euint64) {
+        euint64 ordinaryTaxable = FHE.sub(income, FHE.min(income, deductions));
+        euint64 total = FHE.add(income, gains);
+        euint64 taxable = FHE.sub(total, FHE.min(total, deductions));
+        
+        euint64 weighted = _weightedTax(ordinaryTaxable, schedule.thresholds, schedule.ratesBps);
+        weighted = FHE.add(weighted, _weightedTax(taxable, schedule.gainsThresholds, schedule.gainsRatesBps));
+        weighted = FHE.sub(weighted, _weightedTax(ordinaryTaxable, schedule.gainsThresholds, schedule.gainsRatesBps));
+        
+        return FHE.div(weighted, RATE_SCALE);
+    }
+    
+    /// @dev Bracket tax of an amount times RATE_SCALE. Each bracket's share is the difference of
+    ///      clamped prefixes, so no encrypted comparison branches are needed.
+    function _weightedTax(
+        euint64 amount,
+        uint64[] storage thresholds,
+        uint16[] storage ratesBps
+    ) private returns (euint64) {
+        euint64 weighted = FHE.asEuint64(0);
+        euint64 lowerBound = weighted;
+        
+        uint256 brackets = thresholds.length;
+        for (uint256 i = 0; i < brackets; i++) {
+            euint64 upperBound = FHE.min(amount, thresholds[i]);
+            weighted = FHE.add(weighted, FHE.mul(FHE.sub(upperBound, lowerBound), ratesBps[i]));
+            lowerBound = upperBound;
+        }
+        return FHE.add(weighted, FHE.mul(FHE.sub(amount, lowerBound), ratesBps[brackets]));
+    }
+    
+    /// @notice Get a year's encrypted tax owed (only accessible by taxpayer)
+    /// @dev Returns the ciphertext handle; only the taxpayer is allowed to decrypt it
+    function getTaxOwed(uint16 taxYear) external view onlyTaxpayer(taxYear) returns (euint64) {
+        require(taxRecords[msg.sender][taxYear].calculated, "Tax not yet calculated");
+        return taxRecords[msg.sender][taxYear].taxOwed;
+    }
+    
+    /// @notice Let a viewer read all of your calculated results, until revoked or expired
+    /// @dev Granting again updates the expiry
+    /// @param viewer Address of the accountant, preparer or auditor
+    /// @param expiresAt Unix time the access ends, or 0 for no expiry
+    function grantViewAccess(address viewer, uint64 expiresAt) external {
+        require(viewer != address(0) && viewer != msg.sender, "Invalid viewer");
+        require(expiresAt == 0 || expiresAt > block.timestamp, "Expiry must be in the future");
+        
+        ViewGrant storage grant = viewGrants[msg.sender][viewer];
+        if (!grant.active) {
+            grant.active = true;
+            viewers[msg.sender].push(viewer);
+            sharedWith[viewer].push(msg.sender);
+        }
+        grant.expiresAt = expiresAt;
+        
+        emit ViewAccessGranted(msg.sender, viewer, expiresAt);
+    }
+    
+    /// @notice Stop a viewer's access to your results
+    /// @dev Results the viewer was already allowed to decrypt stay decryptable by them, as
+    ///      ciphertext permissions cannot be withdrawn; they get no access to new results.
+    function revokeViewAccess(address viewer) external {
+        require(viewGrants[msg.sender][viewer].active, "Viewer has no access");
+        
+        delete viewGrants[msg.sender][viewer];
+        _removeAddress(viewers[msg.sender], viewer);
+        _removeAddress(sharedWith[viewer], msg.sender);
+        
+        emit ViewAccessRevoked(msg.sender, viewer);
+    }
+    
+    /// @notice Check whether a viewer currently has access to a taxpayer's results
+    function hasViewAccess(address taxpayer, address viewer) public view returns (bool) {
+        ViewGrant storage grant = viewGrants[taxpayer][viewer];
+        return grant.active && (grant.expiresAt == 0 || block.timestamp < grant.expiresAt);
+    }
+    
+    /// @notice Viewers a taxpayer granted access to, with their expiry (0 for none)
+    function getViewers(address taxpayer) external view returns (address[] memory accounts, uint64[] memory expiresAt) {
+        accounts = viewers[taxpayer];
+        expiresAt = new uint64[](accounts.length);
+        for (uint256 i = 0; i < accounts.length; i++) {
+            expiresAt[i] = viewGrants[taxpayer][accounts[i]].expiresAt;
+        }
+    }
+    
+    /// @notice Taxpayers who granted a viewer access, with the expiry of each grant (0 for none)
+    function getSharedWith(address viewer) external view returns (address[] memory taxpayers, uint64[] memory expiresAt) {
+        taxpayers = sharedWith[viewer];
+        expiresAt = new uint64[](taxpayers.length);
+        for (uint256 i = 0; i < taxpayers.length; i++) {
+            expiresAt[i] = viewGrants[taxpayers[i]][viewer].expiresAt;
+        }
+    }
+    
+    /// @notice Get a taxpayer's encrypted tax owed as a viewer they granted access to
+    function getSharedTaxOwed(address taxpayer, uint16 taxYear) external view onlyViewerOf(taxpayer) returns (euint64) {
+        require(taxRecords[taxpayer][taxYear].calculated, "Tax not yet calculated");
+        return taxRecords[taxpayer][taxYear].taxOwed;
+    }
+    
+    /// @notice Allow the calling viewer to decrypt a taxpayer's calculated result
+    /// @dev Needed once per result; an amended and recalculated return has a new result
+    function allowSharedTaxOwed(address taxpayer, uint16 taxYear) external onlyViewerOf(taxpayer) {
+        require(taxRecords[taxpayer][taxYear].calculated, "Tax not yet calculated");
+        FHE.allow(taxRecords[taxpayer][taxYear].taxOwed, msg.sender);
+        
+        emit SharedResultAccessed(taxpayer, msg.sender, taxYear);
+    }
+    
+    /// @notice Filing ID of a record's current inputs; changes on every amendment
+    /// @dev keccak256(abi.encode(taxpayer, taxYear, filingStatus, income, gains, deductions)) over
+    ///      the verified input handles. Each handle is salted by its encryption, so the ID commits
+    ///      to the taxed amounts without revealing them.
+    function getFilingCommitment(address taxpayer, uint16 taxYear) external view returns (bytes32) {
+        return taxRecords[taxpayer][taxYear].commitment;
+    }
+    
+    /// @notice Handles of a record's encrypted inputs, to recompute its filing ID
+    /// @dev Only the taxpayer can decrypt them
+    function getEncryptedInputs(address taxpayer, uint16 taxYear) external view returns (
+        euint64 income,
+        euint64 gains,
+        euint64 deductions
+    ) {
+        require(hasSubmitted[taxpayer][taxYear], "No tax record found");
+        TaxRecord storage record = taxRecords[taxpayer][taxYear];
+        return (record.income, record.gains, record.deductions);
+    }
+    
+    function _filingCommitment(
+        address taxpayer,
+        uint16 taxYear,
+        FilingStatus filingStatus,
+        euint64 income,
+        euint64 gains,
+        euint64 deductions
+    ) private pure returns (bytes32) {
+        return keccak256(abi.encode(taxpayer, taxYear, filingStatus, income, gains, deductions));
+    }
+    
+    /// @notice Publish whether your calculated tax owed lies in [minTaxOwed, maxTaxOwed]
+    /// @dev Only the encrypted comparison result is made publicly decryptable, so a verifier
+    ///      learns the answer for this range and nothing else about the return.
+    /// @return attestationId Identifier to put in a proof of filing
+    function attestTaxOwedRange(
+        uint16 taxYear,
+        uint64 minTaxOwed,
+        uint64 maxTaxOwed
+    ) external onlyTaxpayer(taxYear) returns (uint256 attestationId) {
+        require(minTaxOwed <= maxTaxOwed, "Invalid range");
+        TaxRecord storage record = taxRecords[msg.sender][taxYear];
+        require(record.calculated, "Tax not yet calculated");
+        
+        ebool inRange = FHE.and(FHE.ge(record.taxOwed, minTaxOwed), FHE.le(record.taxOwed, maxTaxOwed));
+        FHE.makePubliclyDecryptable(inRange);
+        
+        attestationId = ++rangeAttestationCount;
+        rangeAttestations[attestationId] = RangeAttestation({
+            taxpayer: msg.sender,
+            taxYear: taxYear,
+            minTaxOwed: minTaxOwed,
+            maxTaxOwed: maxTaxOwed,
+            commitment: record.commitment,
+            inRange: inRange,
+            createdAt: block.timestamp
+        });
+        
+        emit TaxRangeAttested(attestationId, msg.sender, taxYear, minTaxOwed, maxTaxOwed);
+    }
+    
+    /// @notice Get a range attestation; `inRange` decrypts publicly to 1 if the tax owed was in range
+    function getRangeAttestation(uint256 attestationId) external view returns (RangeAttestation memory) {
+        require(attestationId > 0 && attestationId <= rangeAttestationCount, "Unknown attestation");
+        return rangeAttestations[attestationId];
     }
     
-    /// @notice Get encrypted tax owed (only accessible by taxpayer)
-    /// @dev Returns encrypted result hash, requires proper decryption on frontend
-    function getTaxOwed() external view onlyTaxpayer returns (bytes32[2] memory) {
-        require(taxRecords[msg.sender].calculated, "Tax not yet calculated");
-        return [taxRecords[msg.sender].taxOwedHash, bytes32(0)];
+    function _removeAddress(address[] storage list, address account) private {
+        for (uint256 i = 0; i < list.length; i++) {
+            if (list[i] == account) {
+                list[i] = list[list.length - 1];
+                list.pop();
+                return;
+            }
+        }
     }
     
-    /// @notice Check if taxpayer has calculated their tax
-    function isCalculated(address taxpayer) external view returns (bool) {
-        return taxRecords[taxpayer].calculated;
+    /// @notice Check if taxpayer has calculated their tax for a year
+    function isCalculated(address taxpayer, uint16 taxYear) external view returns (bool) {
+        return taxRecords[taxpayer][taxYear].calculated;
+    }
+    
+    /// @notice Tax years a taxpayer holds records for
+    function getTaxYears(address taxpayer) external view returns (uint16[] memory) {
+        return taxYears[taxpayer];
+    }
+    
+    /// @notice Filing status a record was filed under, selecting its brackets
+    function getFilingStatus(address taxpayer, uint16 taxYear) external view returns (FilingStatus) {
+        require(hasSubmitted[taxpayer][taxYear], "No tax record found");
+        return taxRecords[taxpayer][taxYear].filingStatus;
+    }
+    
+    /// @notice Schedule version of the record's tax year and filing status its tax was calculated with
+    function getCalculationSchedule(address taxpayer, uint16 taxYear) external view returns (uint32 version) {
+        require(taxRecords[taxpayer][taxYear].calculated, "Tax not yet calculated");
+        return taxRecords[taxpayer][taxYear].scheduleVersion;
+    }
+    
+    /// @notice Number of amendments made to a year's record
+    function getAmendmentCount(address taxpayer, uint16 taxYear) external view returns (uint32) {
+        return taxRecords[taxpayer][taxYear].amendmentCount;
     }
     
     /// @notice Get submission timestamp
-    function getSubmissionTime(address taxpayer) external view returns (uint256) {
-        return taxRecords[taxpayer].submissionTime;
+    function getSubmissionTime(address taxpayer, uint16 taxYear) external view returns (uint256) {
+        return taxRecords[taxpayer][taxYear].submissionTime;
     }
     
     /// @notice Get calculation timestamp
-    function getCalculationTime(address taxpayer) external view returns (uint256) {
-        return taxRecords[taxpayer].calculationTime;
+    function getCalculationTime(address taxpayer, uint16 taxYear) external view returns (uint256) {
+        return taxRecords[taxpayer][taxYear].calculationTime;
     }
     
     /// @notice Get contract statistics for transparency
@@ -153,29 +828,241 @@ contract PrivateTaxCalculator {
         return (totalTaxpayers, deploymentTime, owner, VERSION);
     }
     
-    /// @notice Clear tax record (for testing and privacy)
-    /// @dev Requires MetaMask confirmation and gas payment
-    function clearTaxRecord() external onlyTaxpayer {
-        delete taxRecords[msg.sender];
-        hasSubmitted[msg.sender] = false;
+    /// @notice Clear one year's tax record (for testing and privacy); other years are kept
+    /// @dev Requires MetaMask confirmation and gas payment. Paid years keep their record.
+    function clearTaxRecord(uint16 taxYear) external whenNotPaused {
+        _clearTaxRecord(msg.sender, taxYear);
+    }
+    
+    /// @notice Clear one year of a taxpayer's records from their EIP-712 signed request, sent by a relayer
+    function clearTaxRecordBySig(
+        address taxpayer,
+        uint16 taxYear,
+        uint256 deadline,
+        bytes calldata signature
+    ) external whenNotPaused {
+        bytes32 structHash = keccak256(abi.encode(CLEAR_TAX_RECORD_TYPEHASH, taxpayer, taxYear, nonces[taxpayer], deadline));
+        _useSignature(taxpayer, structHash, deadline, signature);
         
-        emit TaxRecordCleared(msg.sender, block.timestamp);
+        _clearTaxRecord(taxpayer, taxYear);
     }
     
-    /// @notice Emergency function for contract management (owner only)
+    function _clearTaxRecord(address taxpayer, uint16 taxYear) private {
+        require(hasSubmitted[taxpayer][taxYear], "No tax record found");
+        require(settlements[taxpayer][taxYear].status == SettlementStatus.Unpaid, "Tax payment on record");
+        
+        delete taxRecords[taxpayer][taxYear];
+        hasSubmitted[taxpayer][taxYear] = false;
+        
+        uint16[] storage filedYears = taxYears[taxpayer];
+        for (uint256 i = 0; i < filedYears.length; i++) {
+            if (filedYears[i] == taxYear) {
+                filedYears[i] = filedYears[filedYears.length - 1];
+                filedYears.pop();
+                break;
+            }
+        }
+        
+        emit TaxRecordCleared(taxpayer, taxYear, block.timestamp);
+    }
+    
+    /// @notice EIP-712 domain separator signed requests are bound to
+    function DOMAIN_SEPARATOR() public view returns (bytes32) {
+        return block.chainid == initialChainId ? initialDomainSeparator : _buildDomainSeparator();
+    }
+    
+    function _buildDomainSeparator() private view returns (bytes32) {
+        return keccak256(abi.encode(
+            EIP712_DOMAIN_TYPEHASH,
+            keccak256(bytes(EIP712_NAME)),
+            keccak256(bytes(EIP712_VERSION)),
+            block.chainid,
+            address(this)
+        ));
+    }
+    
+    /// @dev Check a taxpayer's signature over a request and consume their nonce. `structHash`
+    ///      must include the current nonce; only EOA signers are supported.
+    function _useSignature(address taxpayer, bytes32 structHash, uint256 deadline, bytes calldata signature) private {
+        require(block.timestamp <= deadline, "Signature expired");
+        require(signature.length == 65, "Invalid signature");
+        
+        bytes32 r = bytes32(signature[0:32]);
+        bytes32 s = bytes32(signature[32:64]);
+        uint8 v = uint8(signature[64]);
+        require(uint256(s) <= MAX_SIGNATURE_S, "Invalid signature");
+        
+        bytes32 digest = keccak256(abi.encodePacked("\x19\x01", DOMAIN_SEPARATOR(), structHash));
+        address signer = ecrecover(digest, v, r, s);
+        require(signer != address(0) && signer == taxpayer, "Invalid signature");
+        
+        uint256 nonce = nonces[taxpayer]++;
+        emit MetaTransactionRelayed(taxpayer, msg.sender, nonce);
+    }
+    
+    /// @notice Stop submitting, amending, calculating, paying, refunding and clearing tax records (owner only)
+    /// @dev Reads, decryption and shared access keep working while paused
     function emergencyPause() external onlyOwner {
-        // Implementation for emergency pause if needed
-        // This is a placeholder for production safety measures
+        require(!paused, "Contract is paused");
+        paused = true;
+        
+        emit ContractPaused(msg.sender, block.timestamp);
+    }
+    
+    /// @notice Resume normal operation after an emergency pause (owner only)
+    function unpause() external onlyOwner {
+        require(paused, "Contract is not paused");
+        paused = false;
+        
+        emit ContractUnpaused(msg.sender, block.timestamp);
+    }
+    
+    /// @notice Configure tax payments (owner only)
+    /// @param newTreasury Address withdrawn payments are sent to
+    /// @param token Stablecoin accepted besides ETH, or address(0) to accept ETH only
+    /// @param newEthUsdPrice USD per ETH in 6-decimal units, or 0 to stop accepting ETH
+    function setPaymentConfig(address newTreasury, address token, uint256 newEthUsdPrice) external onlyOwner {
+        require(newTreasury != address(0), "Treasury required");
+        treasury = newTreasury;
+        paymentToken = token;
+        ethUsdPrice = newEthUsdPrice;
+        
+        emit PaymentConfigUpdated(newTreasury, token, newEthUsdPrice);
+    }
+    
+    /// @notice Amount to pay for a tax amount in ETH (token address(0)) or the payment token
+    /// @dev Rounds up, so a settlement never pays less than the declared amount
+    function quoteSettlement(uint64 taxAmount, address token) public view returns (uint256) {
+        if (token == address(0)) {
+            require(ethUsdPrice > 0, "ETH payments disabled");
+            return (uint256(taxAmount) * 1 ether + ethUsdPrice - 1) / ethUsdPrice;
+        }
+        require(token == paymentToken, "Token not accepted");
+        uint8 decimals = IERC20(token).decimals();
+        if (decimals >= 6) {
+            return uint256(taxAmount) * 10**(decimals - 6);
+        }
+        uint256 divisor = 10**(6 - decimals);
+        return (uint256(taxAmount) + divisor - 1) / divisor;
+    }
+    
+    /// @notice Pay a calculated year's tax, or the shortfall of an underpaid year, and get a receipt
+    /// @dev ERC-20 payments need an allowance of `quoteSettlement(taxAmount, token)` first.
+    ///      The amount paid is public; whether it covers the encrypted tax owed is not, so the
+    ///      payment stays pending until the owner confirms it with `confirmSettlement`.
+    /// @param taxYear Calculated tax year to settle
+    /// @param taxAmount Tax owed in 6-decimal USD units, as decrypted by the taxpayer; for an
+    ///        underpaid year, the amount still due
+    /// @param token address(0) to pay in ETH, or the payment token; a shortfall is paid in the
+    ///        currency of the first payment
+    /// @return receiptId Settlement receipt number
+    function settleTax(
+        uint16 taxYear,
+        uint64 taxAmount,
+        address token
+    ) external payable whenNotPaused onlyTaxpayer(taxYear) returns (uint256 receiptId) {
+        require(treasury != address(0), "Payments not configured");
+        require(taxAmount > 0, "Tax amount required");
+        TaxRecord storage record = taxRecords[msg.sender][taxYear];
+        require(record.calculated, "Tax not yet calculated");
+        Settlement storage settlement = settlements[msg.sender][taxYear];
+        require(settlement.status != SettlementStatus.Pending, "Payment awaiting confirmation");
+        require(settlement.status != SettlementStatus.Confirmed, "Tax already settled");
+        require(settlement.status == SettlementStatus.Unpaid || token == settlement.token, "Use the first payment's currency");
+        
+        uint256 amount = quoteSettlement(taxAmount, token);
+        if (token == address(0)) {
+            require(msg.value == amount, "Incorrect ETH amount");
+        } else {
+            require(msg.value == 0, "ETH sent with token payment");
+            require(IERC20(token).transferFrom(msg.sender, address(this), amount), "Token transfer failed");
+        }
+        
+        receiptId = ++settlementCount;
+        settlement.status = SettlementStatus.Pending;
+        settlement.receiptId = receiptId;
+        settlement.token = token;
+        settlement.amountPaid += amount;
+        settlement.taxAmount += taxAmount;
+        settlement.coversTaxOwed = FHE.le(record.taxOwed, settlement.taxAmount);
+        settlement.paidAt = block.timestamp;
+        FHE.allow(settlement.coversTaxOwed, msg.sender);
+        FHE.allow(settlement.coversTaxOwed, owner);
+        record.lastAccessTime = block.timestamp;
+        
+        emit TaxSettled(receiptId, msg.sender, taxYear, token, amount, taxAmount);
+    }
+    
+    /// @notice Record the decrypted coverage check of a pending payment (owner only)
+    /// @dev A covered payment settles the year and its total becomes withdrawable; an uncovered
+    ///      one marks it Underpaid, so the taxpayer can pay the shortfall with `settleTax` or
+    ///      take the payments back with `refundSettlement`
+    /// @param covered Whether `coversTaxOwed` decrypted to true
+    function confirmSettlement(address taxpayer, uint16 taxYear, bool covered) external onlyOwner {
+        Settlement storage settlement = settlements[taxpayer][taxYear];
+        require(settlement.status == SettlementStatus.Pending, "No payment awaiting confirmation");
+        settlement.status = covered ? SettlementStatus.Confirmed : SettlementStatus.Underpaid;
+        if (covered) {
+            withdrawableBalance[settlement.token] += settlement.amountPaid;
+        }
+        
+        emit SettlementConfirmed(settlement.receiptId, taxpayer, taxYear, covered);
+    }
+    
+    /// @notice Take back every payment of a year the owner marked Underpaid
+    /// @dev Clears the receipt, so the year is Unpaid again and can be amended, cleared or paid in full
+    function refundSettlement(uint16 taxYear) external whenNotPaused onlyTaxpayer(taxYear) {
+        Settlement storage settlement = settlements[msg.sender][taxYear];
+        require(settlement.status == SettlementStatus.Underpaid, "No underpaid payment to refund");
+        uint256 receiptId = settlement.receiptId;
+        address token = settlement.token;
+        uint256 amount = settlement.amountPaid;
+        
+        delete settlements[msg.sender][taxYear];
+        _transferOut(token, msg.sender, amount);
+        
+        emit SettlementRefunded(receiptId, msg.sender, taxYear, token, amount);
+    }
+    
+    /// @notice Get a year's settlement receipt; `status` is Unpaid until the first payment
+    function getSettlement(address taxpayer, uint16 taxYear) external view returns (Settlement memory) {
+        return settlements[taxpayer][taxYear];
+    }
+    
+    /// @notice Whether the owner confirmed the year's payments cover its tax owed
+    function isSettled(address taxpayer, uint16 taxYear) external view returns (bool) {
+        return settlements[taxpayer][taxYear].status == SettlementStatus.Confirmed;
+    }
+    
+    /// @notice Send the confirmed ETH (token address(0)) or token payments to the treasury (owner only)
+    /// @dev Pending and underpaid payments stay in the contract until confirmed or refunded
+    function withdrawPayments(address token) external onlyOwner {
+        require(treasury != address(0), "Payments not configured");
+        uint256 amount = withdrawableBalance[token];
+        require(amount > 0, "Nothing to withdraw");
+        withdrawableBalance[token] = 0;
+        _transferOut(token, treasury, amount);
+        
+        emit PaymentsWithdrawn(token, treasury, amount);
+    }
+    
+    function _transferOut(address token, address to, uint256 amount) private {
+        if (token == address(0)) {
+            (bool sent, ) = payable(to).call{value: amount}("");
+            require(sent, "ETH transfer failed");
+        } else {
+            require(IERC20(token).transfer(to, amount), "Token transfer failed");
+        }
     }
     
-    /// @notice Check if address has valid tax record
-    function hasValidTaxRecord(address taxpayer) external view returns (bool) {
-        return hasSubmitted[taxpayer] && taxRecords[taxpayer].submissionTime > 0;
+    /// @notice Check if address has valid tax record for a year
+    function hasValidTaxRecord(address taxpayer, uint16 taxYear) external view returns (bool) {
+        return hasSubmitted[taxpayer][taxYear] && taxRecords[taxpayer][taxYear].submissionTime > 0;
     }
     
     /// @notice Get last access time for analytics
-    function getLastAccessTime(address taxpayer) external view returns (uint256) {
-        require(hasSubmitted[taxpayer], "No tax record found");
-        return taxRecords[taxpayer].lastAccessTime;
+    function getLastAccessTime(address taxpayer, uint16 taxYear) external view returns (uint256) {
+        require(hasSubmitted[taxpayer][taxYear], "No tax record found");
+        return taxRecords[taxpayer][taxYear].lastAccessTime;
     }
 }
\ No newline at end of file
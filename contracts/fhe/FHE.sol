@@ -0,0 +1,137 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+/// @notice Handle to an encrypted 64-bit unsigned integer held by the FHE executor
+type euint64 is bytes32;
+
+/// @notice Handle to an encrypted boolean, the result of an encrypted comparison
+type ebool is bytes32;
+
+/// @notice Handle to an encrypted input as submitted by a user, before verification
+type externalEuint64 is bytes32;
+
+/// @title FHE executor interface
+/// @notice Backend that stores ciphertexts behind handles and evaluates operations on them.
+/// @dev Every operation requires the caller to be allowed on its input handles; results are
+///      allowed to the caller. `MockFHEExecutor` implements this in plaintext for local chains.
+interface IFHEExecutor {
+    /// @notice Backend identifier, e.g. "mock"; the frontend picks its client from this
+    function backend() external view returns (string memory);
+
+    function verifyInput(bytes32 inputHandle, address user, bytes calldata inputProof) external returns (bytes32);
+    function trivialEncrypt(uint64 value) external returns (bytes32);
+    function add(bytes32 lhs, bytes32 rhs) external returns (bytes32);
+    function sub(bytes32 lhs, bytes32 rhs) external returns (bytes32);
+    function min(bytes32 lhs, bytes32 rhs) external returns (bytes32);
+    function minScalar(bytes32 lhs, uint64 rhs) external returns (bytes32);
+    function mulScalar(bytes32 lhs, uint64 rhs) external returns (bytes32);
+    function divScalar(bytes32 lhs, uint64 rhs) external returns (bytes32);
+    function leScalar(bytes32 lhs, uint64 rhs) external returns (bytes32);
+    function geScalar(bytes32 lhs, uint64 rhs) external returns (bytes32);
+    function and(bytes32 lhs, bytes32 rhs) external returns (bytes32);
+    function allow(bytes32 handle, address account) external;
+    function isAllowed(bytes32 handle, address account) external view returns (bool);
+    /// @notice Let anyone decrypt a handle; used for results meant to be published
+    function makePubliclyDecryptable(bytes32 handle) external;
+    function isPubliclyDecryptable(bytes32 handle) external view returns (bool);
+}
+
+/// @title FHE
+/// @notice Encrypted uint64 arithmetic for contracts, dispatched to the configured executor.
+/// @dev The executor address lives in a fixed storage slot of the calling contract, so the same
+///      contract code runs against the mock backend locally and a real coprocessor elsewhere.
+///      Arithmetic wraps modulo 2^64 like the underlying ciphertext operations.
+library FHE {
+    bytes32 private constant EXECUTOR_SLOT = keccak256("privacy-tax-calculator.fhe.executor");
+
+    function setExecutor(address executor) internal {
+        require(executor != address(0), "FHE executor required");
+        bytes32 slot = EXECUTOR_SLOT;
+        assembly {
+            sstore(slot, executor)
+        }
+    }
+
+    function getExecutor() internal view returns (IFHEExecutor executor) {
+        bytes32 slot = EXECUTOR_SLOT;
+        assembly {
+            executor := sload(slot)
+        }
+    }
+
+    /// @notice Verify a user's encrypted input against its proof and take ownership of it
+    function fromExternal(externalEuint64 input, bytes calldata inputProof) internal returns (euint64) {
+        return euint64.wrap(getExecutor().verifyInput(externalEuint64.unwrap(input), msg.sender, inputProof));
+    }
+
+    /// @notice Verify an input encrypted by `user` rather than the caller, e.g. one relayed
+    ///         on the user's behalf; the caller must have authenticated `user` itself
+    function fromExternal(externalEuint64 input, address user, bytes calldata inputProof) internal returns (euint64) {
+        return euint64.wrap(getExecutor().verifyInput(externalEuint64.unwrap(input), user, inputProof));
+    }
+
+    /// @notice Encrypt a public constant
+    function asEuint64(uint64 value) internal returns (euint64) {
+        return euint64.wrap(getExecutor().trivialEncrypt(value));
+    }
+
+    function add(euint64 lhs, euint64 rhs) internal returns (euint64) {
+        return euint64.wrap(getExecutor().add(euint64.unwrap(lhs), euint64.unwrap(rhs)));
+    }
+
+    function sub(euint64 lhs, euint64 rhs) internal returns (euint64) {
+        return euint64.wrap(getExecutor().sub(euint64.unwrap(lhs), euint64.unwrap(rhs)));
+    }
+
+    function min(euint64 lhs, euint64 rhs) internal returns (euint64) {
+        return euint64.wrap(getExecutor().min(euint64.unwrap(lhs), euint64.unwrap(rhs)));
+    }
+
+    function min(euint64 lhs, uint64 rhs) internal returns (euint64) {
+        return euint64.wrap(getExecutor().minScalar(euint64.unwrap(lhs), rhs));
+    }
+
+    function mul(euint64 lhs, uint64 rhs) internal returns (euint64) {
+        return euint64.wrap(getExecutor().mulScalar(euint64.unwrap(lhs), rhs));
+    }
+
+    /// @dev Division by a plaintext divisor, truncating toward zero
+    function div(euint64 lhs, uint64 rhs) internal returns (euint64) {
+        return euint64.wrap(getExecutor().divScalar(euint64.unwrap(lhs), rhs));
+    }
+
+    function le(euint64 lhs, uint64 rhs) internal returns (ebool) {
+        return ebool.wrap(getExecutor().leScalar(euint64.unwrap(lhs), rhs));
+    }
+
+    function ge(euint64 lhs, uint64 rhs) internal returns (ebool) {
+        return ebool.wrap(getExecutor().geScalar(euint64.unwrap(lhs), rhs));
+    }
+
+    function and(ebool lhs, ebool rhs) internal returns (ebool) {
+        return ebool.wrap(getExecutor().and(ebool.unwrap(lhs), ebool.unwrap(rhs)));
+    }
+
+    /// @notice Publish an encrypted boolean: anyone may decrypt it, nothing else is revealed
+    function makePubliclyDecryptable(ebool value) internal {
+        getExecutor().makePubliclyDecryptable(ebool.unwrap(value));
+    }
+
+    /// @notice Let this contract keep using a handle in later transactions
+    function allowThis(euint64 value) internal {
+        getExecutor().allow(euint64.unwrap(value), address(this));
+    }
+
+    /// @notice Let an account decrypt a handle
+    function allow(euint64 value, address account) internal {
+        getExecutor().allow(euint64.unwrap(value), account);
+    }
+
+    function allow(ebool value, address account) internal {
+        getExecutor().allow(ebool.unwrap(value), account);
+    }
+
+    function isInitialized(euint64 value) internal pure returns (bool) {
+        return euint64.unwrap(value) != bytes32(0);
+    }
+}
@@ -0,0 +1,146 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "../fhe/FHE.sol";
+
+/// @title Mock FHE Executor
+/// @notice Plaintext stand-in for an FHE coprocessor so the full encrypted flow runs on a local chain
+/// @dev FOR LOCAL TESTING ONLY. Values are stored unencrypted in contract storage and anyone who
+///      reads storage can see them. Handles, access control and the input-proof format match what
+///      the frontend's mock client produces, so contracts behave as they would against real FHE.
+///
+///      Input proof format: abi.encode(uint64[] values, bytes32 salt). The handle of value i is
+///      keccak256(abi.encode(values[i], salt, i, user, contract)), binding it to the submitting
+///      user and the contract that verifies it.
+contract MockFHEExecutor is IFHEExecutor {
+
+    mapping(bytes32 => uint64) private plaintexts;
+    mapping(bytes32 => bool) private exists;
+    mapping(bytes32 => mapping(address => bool)) private allowed;
+    mapping(bytes32 => bool) private publiclyDecryptable;
+    uint256 private handleCount;
+
+    event HandleAllowed(bytes32 indexed handle, address indexed account);
+    event HandlePublished(bytes32 indexed handle);
+
+    modifier onlyAllowed(bytes32 handle) {
+        require(exists[handle], "Unknown handle");
+        require(allowed[handle][msg.sender], "Caller not allowed on handle");
+        _;
+    }
+
+    function backend() external pure returns (string memory) {
+        return "mock";
+    }
+
+    /// @notice Check an input handle against its proof; the verifying contract is allowed on it
+    function verifyInput(bytes32 inputHandle, address user, bytes calldata inputProof) external returns (bytes32) {
+        (uint64[] memory values, bytes32 salt) = abi.decode(inputProof, (uint64[], bytes32));
+
+        for (uint256 i = 0; i < values.length; i++) {
+            if (keccak256(abi.encode(values[i], salt, i, user, msg.sender)) == inputHandle) {
+                plaintexts[inputHandle] = values[i];
+                exists[inputHandle] = true;
+                _allow(inputHandle, msg.sender);
+                return inputHandle;
+            }
+        }
+        revert("Invalid input proof");
+    }
+
+    function trivialEncrypt(uint64 value) external returns (bytes32) {
+        return _store(value);
+    }
+
+    function add(bytes32 lhs, bytes32 rhs) external onlyAllowed(lhs) onlyAllowed(rhs) returns (bytes32) {
+        unchecked {
+            return _store(plaintexts[lhs] + plaintexts[rhs]);
+        }
+    }
+
+    function sub(bytes32 lhs, bytes32 rhs) external onlyAllowed(lhs) onlyAllowed(rhs) returns (bytes32) {
+        unchecked {
+            return _store(plaintexts[lhs] - plaintexts[rhs]);
+        }
+    }
+
+    function min(bytes32 lhs, bytes32 rhs) external onlyAllowed(lhs) onlyAllowed(rhs) returns (bytes32) {
+        uint64 a = plaintexts[lhs];
+        uint64 b = plaintexts[rhs];
+        return _store(a < b ? a : b);
+    }
+
+    function minScalar(bytes32 lhs, uint64 rhs) external onlyAllowed(lhs) returns (bytes32) {
+        uint64 a = plaintexts[lhs];
+        return _store(a < rhs ? a : rhs);
+    }
+
+    function mulScalar(bytes32 lhs, uint64 rhs) external onlyAllowed(lhs) returns (bytes32) {
+        unchecked {
+            return _store(plaintexts[lhs] * rhs);
+        }
+    }
+
+    function divScalar(bytes32 lhs, uint64 rhs) external onlyAllowed(lhs) returns (bytes32) {
+        require(rhs != 0, "Division by zero");
+        return _store(plaintexts[lhs] / rhs);
+    }
+
+    // Booleans are stored as 0 or 1
+    function leScalar(bytes32 lhs, uint64 rhs) external onlyAllowed(lhs) returns (bytes32) {
+        return _store(plaintexts[lhs] <= rhs ? 1 : 0);
+    }
+
+    function geScalar(bytes32 lhs, uint64 rhs) external onlyAllowed(lhs) returns (bytes32) {
+        return _store(plaintexts[lhs] >= rhs ? 1 : 0);
+    }
+
+    function and(bytes32 lhs, bytes32 rhs) external onlyAllowed(lhs) onlyAllowed(rhs) returns (bytes32) {
+        return _store(plaintexts[lhs] & plaintexts[rhs]);
+    }
+
+    function allow(bytes32 handle, address account) external onlyAllowed(handle) {
+        _allow(handle, account);
+    }
+
+    function isAllowed(bytes32 handle, address account) external view returns (bool) {
+        return allowed[handle][account];
+    }
+
+    function makePubliclyDecryptable(bytes32 handle) external onlyAllowed(handle) {
+        publiclyDecryptable[handle] = true;
+        emit HandlePublished(handle);
+    }
+
+    function isPubliclyDecryptable(bytes32 handle) external view returns (bool) {
+        return publiclyDecryptable[handle];
+    }
+
+    /// @notice Decrypt a handle that was made publicly decryptable; anyone may call this
+    function publicDecrypt(bytes32 handle) external view returns (uint64) {
+        require(exists[handle], "Unknown handle");
+        require(publiclyDecryptable[handle], "Handle is not public");
+        return plaintexts[handle];
+    }
+
+    /// @notice Decrypt a handle for an allowed account
+    /// @dev Called with eth_call from the account; a real backend needs a signed decryption request instead
+    function decrypt(bytes32 handle) external view returns (uint64) {
+        require(exists[handle], "Unknown handle");
+        require(allowed[handle][msg.sender], "Not allowed to decrypt");
+        return plaintexts[handle];
+    }
+
+    function _store(uint64 value) private returns (bytes32 handle) {
+        handleCount++;
+        handle = keccak256(abi.encode(address(this), handleCount));
+        plaintexts[handle] = value;
+        exists[handle] = true;
+        _allow(handle, msg.sender);
+    }
+
+    function _allow(bytes32 handle, address account) private {
+        allowed[handle][account] = true;
+        emit HandleAllowed(handle, account);
+    }
+}
@@ -0,0 +1,65 @@
+// Privacy Tax Calculator - Deployment Registry
+// Contract address per chain and the compiled ABI, both written by scripts/deploy.cjs
+
+class DeploymentRegistry {
+    constructor(baseUrl = 'deployments/') {
+        this.baseUrl = baseUrl;
+        this.artifact = null;
+        this.addresses = null;
+    }
+
+    async load() {
+        if (!this.artifact) {
+            const [artifact, addresses] = await Promise.all([
+                this.fetchJson(`${this.baseUrl}PrivateTaxCalculator.json`),
+                this.fetchJson(`${this.baseUrl}addresses.json`)
+            ]);
+            this.artifact = artifact;
+            this.addresses = addresses;
+        }
+        return this;
+    }
+
+    async fetchJson(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Failed to load ${url}: HTTP ${response.status}`);
+        }
+        return response.json();
+    }
+
+    // The registered deployment for the provider's chain, checked against the chain itself.
+    // Throws when the chain has none, nothing is deployed at the address (e.g. a restarted
+    // local chain), or the deployed VERSION() differs from the ABI's.
+    async resolve(provider) {
+        await this.load();
+        const chainId = Number((await provider.getNetwork()).chainId);
+        const entry = this.addresses[chainId];
+        if (!entry) {
+            throw new Error(`No Privacy Tax Calculator deployment is registered for chain ${chainId}. ` +
+                'Deploy one with `npm run deploy:contract`.');
+        }
+
+        if (await provider.getCode(entry.address) === '0x') {
+            throw new Error(`No contract found at the registered address ${entry.address} on chain ${chainId}. ` +
+                'Redeploy with `npm run deploy:contract`.');
+        }
+
+        const contract = new ethers.Contract(entry.address, this.artifact.abi, provider);
+        const version = Number(await contract.VERSION().catch(() => 0n));
+        if (version !== this.artifact.version) {
+            throw new Error(`The contract at ${entry.address} is version ${version || 'unknown'}, ` +
+                `but this app was built for version ${this.artifact.version}. Redeploy with \`npm run deploy:contract\`.`);
+        }
+
+        return {
+            chainId: chainId,
+            address: entry.address,
+            abi: this.artifact.abi,
+            version: version,
+            // Nothing older than the deployment block can hold the contract's events
+            blockNumber: Number(entry.blockNumber || 0),
+            entry: entry
+        };
+    }
+}
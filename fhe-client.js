@@ -0,0 +1,66 @@
+// Privacy Tax Calculator - FHE Client
+// Encrypts contract inputs and decrypts results for the FHE executor the contract is deployed with
+
+class FheClient {
+    constructor(executor, backend) {
+        this.executor = executor;
+        this.backend = backend;
+        this.abiCoder = ethers.AbiCoder.defaultAbiCoder();
+    }
+
+    // Discover the tax contract's executor and pick the matching client backend
+    static async create(contract, runner) {
+        const executorAddress = await contract.fheExecutor();
+        const executor = new ethers.Contract(executorAddress, FheClient.EXECUTOR_ABI, runner);
+        const backend = await executor.backend();
+
+        if (!FheClient.SUPPORTED_BACKENDS.includes(backend)) {
+            throw new Error(`Unsupported FHE backend "${backend}" at ${executorAddress}`);
+        }
+        return new FheClient(executor, backend);
+    }
+
+    // Encrypt uint64 amounts for one contract and sender. Returns one handle per value and a
+    // single proof covering all of them, in the format MockFHEExecutor.verifyInput checks.
+    encryptInputs(contractAddress, userAddress, values) {
+        const amounts = values.map(value => {
+            const amount = BigInt(value);
+            if (amount < 0n || amount >= 2n ** 64n) {
+                throw new Error(`Value out of uint64 range: ${amount}`);
+            }
+            return amount;
+        });
+        const salt = ethers.hexlify(ethers.randomBytes(32));
+
+        const handles = amounts.map((amount, index) => ethers.keccak256(this.abiCoder.encode(
+            ['uint64', 'bytes32', 'uint256', 'address', 'address'],
+            [amount, salt, index, userAddress, contractAddress]
+        )));
+        const inputProof = this.abiCoder.encode(['uint64[]', 'bytes32'], [amounts, salt]);
+
+        return { handles, inputProof };
+    }
+
+    // Decrypt a handle the connected account is allowed on
+    async decrypt(handle) {
+        if (handle === ethers.ZeroHash) {
+            throw new Error('Nothing to decrypt: the value has not been computed');
+        }
+        return BigInt(await this.executor.decrypt(handle));
+    }
+
+    // Decrypt a handle its owner made publicly decryptable; works without a wallet
+    async publicDecrypt(handle) {
+        return BigInt(await this.executor.publicDecrypt(handle));
+    }
+}
+
+FheClient.SUPPORTED_BACKENDS = ['mock'];
+
+FheClient.EXECUTOR_ABI = [
+    "function backend() external view returns (string)",
+    "function isAllowed(bytes32 handle, address account) external view returns (bool)",
+    "function decrypt(bytes32 handle) external view returns (uint64)",
+    "function isPubliclyDecryptable(bytes32 handle) external view returns (bool)",
+    "function publicDecrypt(bytes32 handle) external view returns (uint64)"
+];
@@ -0,0 +1,242 @@
+// Privacy Tax Calculator - Filing History
+// Timeline of the connected account's filings, read from contract events and cached in the browser
+
+class FilingHistory {
+    constructor(app) {
+        // Contract, account, provider and messaging come from the main app
+        this.app = app;
+        this.cache = null;
+        this.visible = FilingHistory.PAGE_SIZE;
+        this.loading = false;
+    }
+
+    // Cache key per chain, contract and account, so switching any of them starts a new history
+    cacheKey() {
+        return `filingHistory:${Number(this.app.chainId)}:${this.app.contractAddress.toLowerCase()}:${this.app.account.toLowerCase()}`;
+    }
+
+    loadCache() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.cacheKey()));
+            if (stored && stored.version === FilingHistory.CACHE_VERSION) {
+                return stored;
+            }
+        } catch (error) {
+            console.error('Failed to read cached filing history:', error);
+        }
+        return null;
+    }
+
+    saveCache() {
+        try {
+            localStorage.setItem(this.cacheKey(), JSON.stringify(this.cache));
+        } catch (error) {
+            // A full storage quota only costs re-fetching next time
+            console.error('Failed to cache filing history:', error);
+        }
+    }
+
+    // Fetch events newer than the cache, then fill the first page. On a fresh cache this scans
+    // backwards from the latest block until a page is full or the contract's deployment.
+    async refresh() {
+        const app = this.app;
+        if (!app.contract || !app.account || this.loading) return;
+
+        this.loading = true;
+        try {
+            await this.scanNewer();
+            await this.scanOlder(this.visible);
+            await this.fillDetails();
+            this.saveCache();
+            this.render();
+        } catch (error) {
+            console.error('Failed to load filing history:', error);
+            app.showMessage('⚠️ Could not load the filing history from the contract', 'warning');
+        } finally {
+            this.loading = false;
+        }
+    }
+
+    // Load the cache and add the events mined since it was saved
+    async scanNewer() {
+        // getBlockNumber() answers from a short-lived cache and can miss the transaction just mined
+        const latest = Number(await this.app.provider.send('eth_blockNumber', []));
+        const cached = this.loadCache();
+
+        // A local chain that was restarted is behind the cache; start over
+        if (!cached || cached.scannedTo > latest) {
+            this.cache = { version: FilingHistory.CACHE_VERSION, entries: [], scannedFrom: latest + 1, scannedTo: latest, complete: false };
+            this.visible = FilingHistory.PAGE_SIZE;
+        } else {
+            this.cache = cached;
+            if (latest > cached.scannedTo) {
+                this.addEntries(await this.queryRange(cached.scannedTo + 1, latest));
+                this.cache.scannedTo = latest;
+            }
+        }
+    }
+
+    // Amendments of the account's current record for a tax year, newest first. The contract
+    // counts them, so older windows are only scanned until that many are cached.
+    async amendments(taxYear) {
+        const app = this.app;
+        const count = Number(await app.contract.getAmendmentCount(app.account, taxYear));
+        if (count === 0) return [];
+
+        const cached = () => this.cache.entries.filter(entry => entry.event === 'TaxAmended' && entry.taxYear === taxYear);
+        await this.scanNewer();
+        while (cached().length < count && !this.cache.complete) {
+            await this.scanOlder(this.cache.entries.length + 1);
+        }
+
+        const entries = cached().slice(0, count);
+        await this.fillDetails(entries);
+        this.saveCache();
+        return entries;
+    }
+
+    // Show the next page, scanning further back when the cache runs out
+    async showMore() {
+        if (!this.cache || this.loading) return;
+
+        this.loading = true;
+        try {
+            this.visible += FilingHistory.PAGE_SIZE;
+            await this.scanOlder(this.visible);
+            await this.fillDetails();
+            this.saveCache();
+            this.render();
+        } catch (error) {
+            console.error('Failed to load older filing history:', error);
+            this.app.showMessage('⚠️ Could not load older filing history', 'warning');
+        } finally {
+            this.loading = false;
+        }
+    }
+
+    // Scan block windows backwards until `count` entries are cached or the deployment block
+    // registered for this chain is reached; nothing older can hold the contract's events
+    async scanOlder(count) {
+        const deploymentBlock = this.app.deploymentBlock;
+
+        while (!this.cache.complete && this.cache.entries.length < count) {
+            const toBlock = this.cache.scannedFrom - 1;
+            if (toBlock < deploymentBlock) {
+                this.cache.complete = true;
+                break;
+            }
+
+            const fromBlock = Math.max(deploymentBlock, toBlock - FilingHistory.BLOCK_WINDOW + 1);
+            this.addEntries(await this.queryRange(fromBlock, toBlock));
+            this.cache.scannedFrom = fromBlock;
+            this.cache.complete = fromBlock === deploymentBlock;
+        }
+    }
+
+    // The account's filing events in a block range
+    async queryRange(fromBlock, toBlock) {
+        const contract = this.app.contract;
+        const account = this.app.account;
+        const results = await Promise.all(Object.entries(FilingHistory.EVENTS).map(([name, { filter }]) =>
+            contract.queryFilter(contract.filters[name](...filter(account)), fromBlock, toBlock)
+        ));
+
+        return results.flat().map(event => ({
+            event: event.fragment.name,
+            taxYear: Number(event.args.taxYear),
+            detail: FilingHistory.EVENTS[event.fragment.name].detail(event.args),
+            blockNumber: event.blockNumber,
+            logIndex: event.index,
+            txHash: event.transactionHash,
+            timestamp: null,
+            gasUsed: null
+        }));
+    }
+
+    // Newest first, without duplicates from overlapping scans
+    addEntries(entries) {
+        const seen = new Set(this.cache.entries.map(entry => `${entry.txHash}:${entry.logIndex}`));
+        entries.forEach(entry => {
+            if (!seen.has(`${entry.txHash}:${entry.logIndex}`)) {
+                this.cache.entries.push(entry);
+            }
+        });
+        this.cache.entries.sort((a, b) => b.blockNumber - a.blockNumber || b.logIndex - a.logIndex);
+    }
+
+    // Block time and gas used for the visible entries; cached once fetched
+    async fillDetails(entries = this.cache.entries.slice(0, this.visible)) {
+        const provider = this.app.provider;
+        for (const entry of entries) {
+            if (entry.timestamp === null) {
+                entry.timestamp = (await provider.getBlock(entry.blockNumber)).timestamp;
+            }
+            if (entry.gasUsed === null) {
+                entry.gasUsed = (await provider.getTransactionReceipt(entry.txHash)).gasUsed.toString();
+            }
+        }
+    }
+
+    explorerUrl(txHash) {
+        return this.app.networks.explorerUrl(this.app.chainId, 'tx', txHash);
+    }
+
+    render() {
+        const container = document.getElementById('filingHistoryList');
+        if (!container) return;
+
+        const entries = this.cache.entries.slice(0, this.visible);
+        if (entries.length === 0) {
+            container.innerHTML = '<p class="simulator-empty">No filings from this account yet.</p>';
+        } else {
+            container.innerHTML = entries.map(entry => {
+                const { icon, label } = FilingHistory.EVENTS[entry.event];
+                const url = this.explorerUrl(entry.txHash);
+                const hash = `${entry.txHash.slice(0, 10)}...${entry.txHash.slice(-8)}`;
+                return `
+                    <div class="history-entry history-${entry.event}">
+                        <span class="history-label">${icon} ${entry.taxYear} ${label}${entry.detail ? ` ${entry.detail}` : ''}</span>
+                        <span>${new Date(entry.timestamp * 1000).toLocaleString()}</span>
+                        <span>Block ${entry.blockNumber}</span>
+                        <span>Gas ${Number(entry.gasUsed).toLocaleString()}</span>
+                        ${url
+                            ? `<a class="mono" href="${url}" target="_blank" rel="noopener">${hash}</a>`
+                            : `<span class="mono" title="${entry.txHash}">${hash}</span>`}
+                    </div>
+                `;
+            }).join('');
+        }
+
+        const moreBtn = document.getElementById('filingHistoryMoreBtn');
+        if (moreBtn) {
+            const hasMore = this.cache.entries.length > this.visible || !this.cache.complete;
+            moreBtn.style.display = hasMore ? 'inline-block' : 'none';
+        }
+    }
+
+    // Forget the cached history for this account and read it again from the chain
+    async reload() {
+        if (!this.app.account) return;
+        localStorage.removeItem(this.cacheKey());
+        this.visible = FilingHistory.PAGE_SIZE;
+        await this.refresh();
+    }
+}
+
+FilingHistory.PAGE_SIZE = 10;
+
+// Blocks per log query; public RPC endpoints commonly cap eth_getLogs ranges
+FilingHistory.BLOCK_WINDOW = 5000;
+
+// Bump when the cached entry format changes
+FilingHistory.CACHE_VERSION = 1;
+
+// Events in the history: the filter arguments selecting one taxpayer, and how to show them
+FilingHistory.EVENTS = {
+    TaxSubmitted: { filter: account => [account], icon: '📝', label: 'submitted', detail: () => '' },
+    TaxCalculated: { filter: account => [account], icon: '🧮', label: 'calculated', detail: () => '' },
+    TaxAmended: { filter: account => [account], icon: '✏️', label: 'amended', detail: args => `(#${args.amendment})` },
+    TaxRecordCleared: { filter: account => [account], icon: '🗑️', label: 'record cleared', detail: () => '' },
+    TaxSettled: { filter: account => [null, account], icon: '🧾', label: 'paid', detail: args => `(receipt #${args.receiptId})` },
+    SettlementConfirmed: { filter: account => [null, account], icon: '✔️', label: 'payment checked', detail: args => args.covered ? '(covers the tax owed)' : '(underpaid)' }
+};
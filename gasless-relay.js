@@ -0,0 +1,186 @@
+// Privacy Tax Calculator - Gasless Relay
+// Signs submit, calculate and clear requests as EIP-712 typed data and has a relayer send them and pay the gas
+
+class GaslessRelay {
+    constructor(app) {
+        // Contract, account, provider, signer and messaging come from the main app
+        this.app = app;
+        this.enabled = localStorage.getItem('gaslessMode') === 'true';
+        this.url = localStorage.getItem('relayerUrl') || GaslessRelay.DEFAULT_URL;
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        localStorage.setItem('gaslessMode', String(enabled));
+        this.updateControls();
+        if (enabled) {
+            this.checkRelayer();
+        }
+    }
+
+    setUrl(url) {
+        this.url = url.trim().replace(/\/+$/, '') || GaslessRelay.DEFAULT_URL;
+        localStorage.setItem('relayerUrl', this.url);
+        this.updateControls();
+        if (this.enabled) {
+            this.checkRelayer();
+        }
+    }
+
+    updateControls() {
+        const toggle = document.getElementById('gaslessToggle');
+        if (toggle) toggle.checked = this.enabled;
+
+        const urlInput = document.getElementById('relayerUrlInput');
+        if (urlInput) {
+            urlInput.value = this.url;
+            urlInput.style.display = this.enabled ? 'block' : 'none';
+        }
+
+        const status = document.getElementById('relayerStatus');
+        if (status && !this.enabled) status.textContent = '';
+    }
+
+    // Show which account pays and confirm the relayer serves this chain and contract
+    async checkRelayer() {
+        const status = document.getElementById('relayerStatus');
+        try {
+            const response = await fetch(`${this.url}/health`);
+            const health = await response.json();
+            const app = this.app;
+            const matches = !app.chainId ||
+                (health.chainId === Number(app.chainId) && health.contract.toLowerCase() === app.contractAddress.toLowerCase());
+            if (status) {
+                status.textContent = matches
+                    ? `⛽ Relayer ${health.relayer.slice(0, 8)}... pays the gas (${Number(health.balance).toFixed(4)} ETH left)`
+                    : `⚠️ This relayer serves contract ${health.contract} on chain ${health.chainId}`;
+            }
+            return matches;
+        } catch (error) {
+            console.error('Relayer unreachable:', error);
+            if (status) status.textContent = `⚠️ No relayer reachable at ${this.url}`;
+            return false;
+        }
+    }
+
+    // EIP-712 domain of the connected contract; must match the contract's DOMAIN_SEPARATOR
+    async domain() {
+        return {
+            name: GaslessRelay.DOMAIN_NAME,
+            version: GaslessRelay.DOMAIN_VERSION,
+            chainId: Number((await this.app.provider.getNetwork()).chainId),
+            verifyingContract: ethers.getAddress(this.app.contractAddress)
+        };
+    }
+
+    // Base of every request: the taxpayer, their next nonce and a deadline
+    async baseRequest(taxYear) {
+        const app = this.app;
+        return {
+            taxpayer: ethers.getAddress(app.account),
+            taxYear: taxYear,
+            nonce: (await app.contract.nonces(app.account)).toString(),
+            deadline: String(Math.floor(Date.now() / 1000) + GaslessRelay.DEADLINE_SECONDS)
+        };
+    }
+
+    async submit(taxYear, filingStatus, encryptedInput, calculate) {
+        const request = await this.baseRequest(taxYear);
+        return this.relay('submitTaxInfo', {
+            ...request,
+            filingStatus: filingStatus,
+            encryptedIncome: encryptedInput.handles[0],
+            encryptedGains: encryptedInput.handles[1],
+            encryptedDeductions: encryptedInput.handles[2],
+            inputProof: encryptedInput.inputProof,
+            calculate: calculate
+        });
+    }
+
+    async calculate(taxYear) {
+        return this.relay('calculateTax', await this.baseRequest(taxYear));
+    }
+
+    async clear(taxYear) {
+        return this.relay('clearTaxRecord', await this.baseRequest(taxYear));
+    }
+
+    // Sign the request in the wallet and post it to the relayer. Resolves to a transaction-like
+    // { hash, wait() } so callers handle relayed and direct transactions alike, or to null after
+    // showing why the relayer did not take it. Declining to sign throws like a declined transaction.
+    async relay(action, request) {
+        const app = this.app;
+        const type = GaslessRelay.ACTIONS[action];
+
+        app.showMessage('✍️ Please sign the request in your wallet; the relayer pays the gas...', 'info');
+        const signature = await app.signer.signTypedData(await this.domain(), { [type]: GaslessRelay.TYPES[type] }, request);
+
+        let response;
+        try {
+            response = await fetch(`${this.url}/relay`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ action, request, signature })
+            });
+        } catch (error) {
+            console.error('Relayer unreachable:', error);
+            app.showMessage(`❌ No relayer reachable at ${this.url}. Start one, or turn off gasless mode to pay the gas yourself.`, 'error');
+            return null;
+        }
+
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            app.showMessage(`❌ The relayer refused the request: ${result.error || response.statusText}`, 'error');
+            return null;
+        }
+
+        const provider = app.provider;
+        return {
+            hash: result.txHash,
+            wait: () => provider.waitForTransaction(result.txHash)
+        };
+    }
+}
+
+GaslessRelay.DEFAULT_URL = 'http://127.0.0.1:8787';
+
+// Signed requests expire after this long, so a request the relayer sat on cannot be replayed late
+GaslessRelay.DEADLINE_SECONDS = 10 * 60;
+
+GaslessRelay.DOMAIN_NAME = 'PrivateTaxCalculator';
+GaslessRelay.DOMAIN_VERSION = '1';
+
+// Relayer action for each request, and the typed-data struct the taxpayer signs for it
+GaslessRelay.ACTIONS = {
+    submitTaxInfo: 'SubmitTaxInfo',
+    calculateTax: 'CalculateTax',
+    clearTaxRecord: 'ClearTaxRecord'
+};
+
+// Mirrors the contract's *_TYPEHASH strings
+GaslessRelay.TYPES = {
+    SubmitTaxInfo: [
+        { name: 'taxpayer', type: 'address' },
+        { name: 'taxYear', type: 'uint16' },
+        { name: 'filingStatus', type: 'uint8' },
+        { name: 'encryptedIncome', type: 'bytes32' },
+        { name: 'encryptedGains', type: 'bytes32' },
+        { name: 'encryptedDeductions', type: 'bytes32' },
+        { name: 'inputProof', type: 'bytes' },
+        { name: 'calculate', type: 'bool' },
+        { name: 'nonce', type: 'uint256' },
+        { name: 'deadline', type: 'uint256' }
+    ],
+    CalculateTax: [
+        { name: 'taxpayer', type: 'address' },
+        { name: 'taxYear', type: 'uint16' },
+        { name: 'nonce', type: 'uint256' },
+        { name: 'deadline', type: 'uint256' }
+    ],
+    ClearTaxRecord: [
+        { name: 'taxpayer', type: 'address' },
+        { name: 'taxYear', type: 'uint16' },
+        { name: 'nonce', type: 'uint256' },
+        { name: 'deadline', type: 'uint256' }
+    ]
+};
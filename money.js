@@ -0,0 +1,189 @@
+// Privacy Tax Calculator - Fixed-Point Money
+// Exact BigInt arithmetic in the contract's 6-decimal USD units (1 USD = 1,000,000 units)
+
+const Money = {
+    DECIMALS: 6,
+    UNIT: 1000000n,
+
+    // Rounding increments for Money.round, in 6-decimal units
+    UNITS: {
+        micro: 1n,
+        cent: 10000n,
+        dollar: 1000000n
+    },
+
+    ROUNDING_MODES: ['half-up', 'half-even', 'down', 'up'],
+
+    ZERO: 0n,
+
+    // Parse a dollar amount such as "75000.50", 75000.5 or "1,250" into 6-decimal units.
+    // BigInt values are taken to be 6-decimal units already.
+    from(value) {
+        if (typeof value === 'bigint') {
+            return value;
+        }
+        if (value === undefined || value === null || value === '') {
+            return 0n;
+        }
+        if (typeof value === 'number') {
+            if (!Number.isFinite(value)) {
+                throw new Error(`Invalid amount: ${value}`);
+            }
+            // Shortest round-trip representation, e.g. 0.1 -> "0.1" rather than 0.1000000000000000055,
+            // so parse rejects a number finer than 6 decimals instead of rounding it away
+            value = Money.expandExponent(String(value));
+        }
+        return Money.parse(String(value));
+    },
+
+    // Plain decimal for a number printed in exponent form, e.g. "1e-7" -> "0.0000001"
+    expandExponent(text) {
+        const match = /^(-?)(\d+)(?:\.(\d+))?e([+-]\d+)$/.exec(text);
+        if (!match) {
+            return text;
+        }
+
+        const [, sign, whole, fraction = '', exponent] = match;
+        const digits = whole + fraction;
+        const point = whole.length + Number(exponent);
+        if (point <= 0) {
+            return `${sign}0.${'0'.repeat(-point)}${digits}`;
+        }
+        if (point >= digits.length) {
+            return sign + digits + '0'.repeat(point - digits.length);
+        }
+        return `${sign}${digits.slice(0, point)}.${digits.slice(point)}`;
+    },
+
+    // Parse a decimal string into 6-decimal units; more than 6 decimals is rejected
+    parse(text) {
+        const normalized = text.trim().replace(/[$,\s]/g, '');
+        const match = /^(-)?(\d*)(?:\.(\d*))?$/.exec(normalized);
+        if (!match || (match[2] === '' && !match[3])) {
+            throw new Error(`Invalid amount: ${text}`);
+        }
+
+        const [, sign, whole, fraction = ''] = match;
+        if (fraction.length > Money.DECIMALS) {
+            throw new Error(`Amount has more than ${Money.DECIMALS} decimals: ${text}`);
+        }
+
+        const units = BigInt(whole || '0') * Money.UNIT + BigInt(fraction.padEnd(Money.DECIMALS, '0') || '0');
+        return sign ? -units : units;
+    },
+
+    // Exact quotient with an explicit rounding mode
+    divide(numerator, denominator, mode = 'half-up') {
+        if (denominator === 0n) {
+            throw new Error('Division by zero');
+        }
+        if (denominator < 0n) {
+            numerator = -numerator;
+            denominator = -denominator;
+        }
+
+        const quotient = numerator / denominator;
+        const remainder = numerator % denominator;
+        if (remainder === 0n) {
+            return quotient;
+        }
+
+        // BigInt division truncates toward zero; step away from zero when rounding says so
+        const direction = numerator < 0n ? -1n : 1n;
+        const twiceRemainder = (remainder < 0n ? -remainder : remainder) * 2n;
+        switch (mode) {
+            case 'down':
+                return quotient;
+            case 'up':
+                return quotient + direction;
+            case 'half-even':
+                if (twiceRemainder === denominator) {
+                    return quotient % 2n === 0n ? quotient : quotient + direction;
+                }
+                return twiceRemainder > denominator ? quotient + direction : quotient;
+            case 'half-up':
+                return twiceRemainder >= denominator ? quotient + direction : quotient;
+            default:
+                throw new Error(`Unknown rounding mode: ${mode}`);
+        }
+    },
+
+    // Round to a whole number of cents, dollars, or leave at 6-decimal precision
+    round(amount, unit = 'dollar', mode = 'half-up') {
+        const increment = Money.UNITS[unit];
+        if (!increment) {
+            throw new Error(`Unknown rounding unit: ${unit}`);
+        }
+        return Money.divide(amount, increment, mode) * increment;
+    },
+
+    // Percentages such as 9.3 or 92.35 as exact scaled integers (4 decimals)
+    percentToScaled(percent) {
+        const [whole, fraction = ''] = String(percent).split('.');
+        if (fraction.length > 4) {
+            throw new Error(`Rate has more than 4 decimals: ${percent}`);
+        }
+        return BigInt(whole) * 10000n + BigInt(fraction.padEnd(4, '0'));
+    },
+
+    // amount * percent / 100, rounded to 6-decimal units
+    percentOf(amount, percent, mode = 'half-up') {
+        return Money.divide(amount * Money.percentToScaled(percent), 1000000n, mode);
+    },
+
+    // amount * numerator / denominator, rounded to 6-decimal units
+    scale(amount, numerator, denominator, mode = 'half-up') {
+        return Money.divide(amount * BigInt(numerator), BigInt(denominator), mode);
+    },
+
+    // part / whole as a percentage Number, for display only
+    ratio(part, whole) {
+        if (whole === 0n) return 0;
+        return Number(Money.divide(part * 1000000n, whole)) / 10000;
+    },
+
+    min(...amounts) {
+        return amounts.reduce((a, b) => (b < a ? b : a));
+    },
+
+    max(...amounts) {
+        return amounts.reduce((a, b) => (b > a ? b : a));
+    },
+
+    sum(amounts) {
+        return amounts.reduce((total, amount) => total + amount, 0n);
+    },
+
+    // "$75,000" or "$75,000.50"; cents are shown only when present
+    format(amount) {
+        const negative = amount < 0n;
+        const cents = Money.divide(negative ? -amount : amount, Money.UNITS.cent);
+        const dollars = cents / 100n;
+        const remainder = cents % 100n;
+
+        const text = `$${dollars.toLocaleString('en-US')}` +
+            (remainder === 0n ? '' : `.${remainder.toString().padStart(2, '0')}`);
+        return negative ? `-${text}` : text;
+    },
+
+    // Contract amounts are uint64 in 6-decimal units
+    toContractUnits(amount) {
+        if (amount < 0n || amount >= 2n ** 64n) {
+            throw new Error(`Amount out of range for the contract: ${Money.format(amount)}`);
+        }
+        return amount;
+    },
+
+    // JSON.stringify replacer: BigInt amounts are stored as dollar strings such as "75000.5"
+    replacer(key, value) {
+        return typeof value === 'bigint' ? Money.toDecimalString(value) : value;
+    },
+
+    // Decimal string for storage and round-tripping through Money.from
+    toDecimalString(amount) {
+        const negative = amount < 0n;
+        const absolute = negative ? -amount : amount;
+        const fraction = (absolute % Money.UNIT).toString().padStart(Money.DECIMALS, '0').replace(/0+$/, '');
+        return (negative ? '-' : '') + (absolute / Money.UNIT).toString() + (fraction ? `.${fraction}` : '');
+    }
+};
@@ -0,0 +1,67 @@
+// Privacy Tax Calculator - Network Registry
+// Networks the app runs on, from networks.json, and the one the user selected
+
+class NetworkRegistry {
+    constructor(url = 'networks.json') {
+        this.url = url;
+        this.networks = null;
+        this.selectedKey = localStorage.getItem('selectedNetwork');
+    }
+
+    async load() {
+        if (!this.networks) {
+            const response = await fetch(this.url);
+            if (!response.ok) {
+                throw new Error(`Failed to load ${this.url}: HTTP ${response.status}`);
+            }
+            const config = await response.json();
+            this.networks = config.networks;
+            if (!this.byKey(this.selectedKey)) {
+                this.selectedKey = config.defaultNetwork;
+            }
+        }
+        return this;
+    }
+
+    get selected() {
+        return this.byKey(this.selectedKey);
+    }
+
+    select(key) {
+        if (!this.byKey(key)) {
+            throw new Error(`Unknown network "${key}"`);
+        }
+        this.selectedKey = key;
+        localStorage.setItem('selectedNetwork', key);
+        return this.selected;
+    }
+
+    byKey(key) {
+        return (this.networks || []).find(network => network.key === key);
+    }
+
+    // Accepts the wallet's hex chain ID as well as a number or bigint
+    byChainId(chainId) {
+        return (this.networks || []).find(network => network.chainId === Number(chainId));
+    }
+
+    // wallet_switchEthereumChain / wallet_addEthereumChain parameters (EIP-3085)
+    walletParams(network) {
+        const params = {
+            chainId: ethers.toQuantity(network.chainId),
+            chainName: network.chainName,
+            nativeCurrency: network.nativeCurrency,
+            rpcUrls: network.rpcUrls
+        };
+        if (network.blockExplorerUrl) {
+            params.blockExplorerUrls = [network.blockExplorerUrl];
+        }
+        return params;
+    }
+
+    // Block explorer link for a transaction or address, or null on chains without an explorer
+    explorerUrl(chainId, type, value) {
+        const network = this.byChainId(chainId);
+        return network && network.blockExplorerUrl ? `${network.blockExplorerUrl}${type}/${value}` : null;
+    }
+}
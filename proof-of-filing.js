@@ -0,0 +1,260 @@
+// Privacy Tax Calculator - Proof of Filing
+// Signed, shareable evidence that a return was filed and calculated, checkable by anyone against the chain
+
+class ProofOfFiling {
+    constructor(app) {
+        // Contract, account, signer, FHE client and messaging come from the main app
+        this.app = app;
+    }
+
+    // Build, sign and download a proof for the selected tax year, optionally publishing a
+    // tax-owed range attestation first
+    async create() {
+        const app = this.app;
+        if (!app.requireWallet()) return;
+
+        const taxYear = app.selectedTaxYear;
+        const issuedTo = document.getElementById('proofIssuedToInput').value.trim();
+        if (!issuedTo) {
+            app.showMessage('Please enter who the proof is for, e.g. a lender or landlord', 'error');
+            return;
+        }
+
+        let range;
+        try {
+            range = this.readRange();
+        } catch (error) {
+            app.showMessage(error.message, 'error');
+            return;
+        }
+
+        try {
+            if (!await app.contract.isCalculated(app.account, taxYear)) {
+                app.showMessage(`❌ Calculate your ${taxYear} tax before creating a proof of filing`, 'error');
+                return;
+            }
+
+            let attestation = null;
+            if (range) {
+                attestation = await this.attestRange(taxYear, range.min, range.max);
+                if (!attestation) return;
+            }
+
+            const proof = {
+                type: ProofOfFiling.TYPE,
+                version: ProofOfFiling.VERSION,
+                chainId: Number((await app.provider.getNetwork()).chainId),
+                contract: ethers.getAddress(app.contractAddress),
+                taxpayer: ethers.getAddress(app.account),
+                taxYear: taxYear,
+                commitment: await app.contract.getFilingCommitment(app.account, taxYear),
+                submissionTime: Number(await app.contract.getSubmissionTime(app.account, taxYear)),
+                calculationTime: Number(await app.contract.getCalculationTime(app.account, taxYear)),
+                scheduleVersion: Number(await app.contract.getCalculationSchedule(app.account, taxYear)),
+                range: attestation,
+                issuedTo: issuedTo,
+                issuedAt: Math.floor(Date.now() / 1000)
+            };
+
+            app.showMessage('✍️ Please sign the proof of filing in your wallet...', 'info');
+            proof.signature = await app.signer.signMessage(ProofOfFiling.signingMessage(proof));
+
+            this.download(proof);
+            app.showMessage(`✅ Proof of filing for ${taxYear} created for ${issuedTo}` +
+                (attestation ? ` (tax owed between ${Money.format(Money.from(attestation.min))} and ${Money.format(Money.from(attestation.max))})` : ''),
+                'success');
+        } catch (error) {
+            app.showMessage(app.handleBlockchainError(error, 'Create proof of filing'), error.code === 4001 ? 'warning' : 'error');
+        }
+    }
+
+    // Optional tax-owed range from the panel; null when both bounds are empty
+    readRange() {
+        const minText = document.getElementById('proofMinInput').value.trim();
+        const maxText = document.getElementById('proofMaxInput').value.trim();
+        if (!minText && !maxText) {
+            return null;
+        }
+
+        const min = Money.from(minText || '0');
+        const max = maxText ? Money.from(maxText) : 2n ** 64n - 1n;
+        if (min < 0n || max < min) {
+            throw new Error('The tax owed range must have a minimum at or below its maximum');
+        }
+        return { min: Money.toContractUnits(min), max: Money.toContractUnits(max) };
+    }
+
+    // Check the range against the decrypted result, then publish the encrypted comparison.
+    // The local check keeps a failing range from going on-chain, where anyone could read it.
+    async attestRange(taxYear, min, max) {
+        const app = this.app;
+        if (!app.fheClient) {
+            app.showMessage('FHE executor unavailable - cannot attest a tax owed range', 'error');
+            return null;
+        }
+
+        const taxOwed = await app.fheClient.decrypt(await app.contract.getTaxOwed(taxYear));
+        if (taxOwed < min || taxOwed > max) {
+            app.showMessage(`❌ Your ${taxYear} tax owed (${Money.format(taxOwed)}) is outside the requested range; nothing was published`, 'error');
+            return null;
+        }
+
+        app.showMessage('📐 Publishing the tax owed range attestation...', 'info');
+        const receipt = await app.sharedAccess.send('Range Attestation', 'attestTaxOwedRange', [taxYear, min, max]);
+        if (!receipt) {
+            app.showMessage('❌ Range attestation failed', 'error');
+            return null;
+        }
+
+        const event = receipt.logs
+            .map(log => { try { return app.contract.interface.parseLog(log); } catch { return null; } })
+            .find(parsed => parsed && parsed.name === 'TaxRangeAttested');
+        return {
+            attestationId: Number(event.args.attestationId),
+            min: Money.toDecimalString(min),
+            max: Money.toDecimalString(max)
+        };
+    }
+
+    download(proof) {
+        const blob = new Blob([JSON.stringify(proof, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `proof-of-filing-${proof.taxYear}-${proof.taxpayer.slice(2, 10).toLowerCase()}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    // The text the taxpayer signs; every field but the signature, readable in the wallet prompt
+    static signingMessage(proof) {
+        const lines = [
+            'Privacy Tax Calculator - Proof of Filing',
+            `Taxpayer: ${proof.taxpayer}`,
+            `Tax Year: ${proof.taxYear}`,
+            `Issued To: ${proof.issuedTo}`,
+            `Issued At: ${proof.issuedAt}`,
+            `Chain ID: ${proof.chainId}`,
+            `Contract: ${proof.contract}`,
+            `Filing ID: ${proof.commitment}`,
+            `Submitted: ${proof.submissionTime}`,
+            `Calculated: ${proof.calculationTime}`,
+            `Schedule Version: ${proof.scheduleVersion}`
+        ];
+        if (proof.range) {
+            lines.push(`Range Attestation: #${proof.range.attestationId}, tax owed ${proof.range.min} to ${proof.range.max} USD`);
+        }
+        return lines.join('\n');
+    }
+
+    // keccak256(abi.encode(taxpayer, taxYear, filingStatus, income, gains, deductions)) over a
+    // record's input handles: the filing ID as the contract derives it
+    static filingCommitment(taxpayer, taxYear, filingStatus, handles) {
+        return ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(
+            ['address', 'uint16', 'uint8', 'bytes32', 'bytes32', 'bytes32'],
+            [taxpayer, taxYear, filingStatus, ...handles]
+        ));
+    }
+
+    // Check a proof against the chain it names. Returns one { label, ok, detail } per check;
+    // the proof holds only if every check passes.
+    static async verify(proof, provider) {
+        const checks = [];
+        const check = (label, ok, detail = '') => checks.push({ label, ok: Boolean(ok), detail });
+
+        check('Proof format', proof.type === ProofOfFiling.TYPE && proof.version === ProofOfFiling.VERSION,
+            `${proof.type} v${proof.version}`);
+
+        let signer = null;
+        try {
+            signer = ethers.verifyMessage(ProofOfFiling.signingMessage(proof), proof.signature);
+        } catch (error) {
+            // Malformed signatures fail the check below
+        }
+        check('Signed by the taxpayer', signer && signer.toLowerCase() === String(proof.taxpayer).toLowerCase(),
+            signer ? `Signer ${signer}` : 'Invalid signature');
+
+        const network = await provider.getNetwork();
+        if (Number(network.chainId) !== Number(proof.chainId)) {
+            check('Network', false, `Proof is for chain ${proof.chainId}, connected to chain ${network.chainId}`);
+            return checks;
+        }
+        check('Network', true, `Chain ${proof.chainId}`);
+
+        const contract = new ethers.Contract(proof.contract, ProofOfFiling.CONTRACT_ABI, provider);
+        if (!await contract.isCalculated(proof.taxpayer, proof.taxYear)) {
+            check('Return filed and calculated', false, `No calculated ${proof.taxYear} return on-chain`);
+            return checks;
+        }
+        check('Return filed and calculated', true, `Tax year ${proof.taxYear}`);
+
+        const commitment = await contract.getFilingCommitment(proof.taxpayer, proof.taxYear);
+        check('Filing ID is current', commitment === proof.commitment,
+            commitment === proof.commitment ? commitment : 'The return was amended or cleared after the proof was issued');
+
+        // Recomputed from the record rather than trusted from the proof or the stored value
+        const filingStatus = await contract.getFilingStatus(proof.taxpayer, proof.taxYear);
+        const handles = await contract.getEncryptedInputs(proof.taxpayer, proof.taxYear);
+        const derived = ProofOfFiling.filingCommitment(proof.taxpayer, proof.taxYear, filingStatus, [...handles]);
+        check('Filing ID commits to the encrypted return', derived === commitment,
+            derived === commitment
+                ? 'Hash of the taxpayer, year, filing status and encrypted income, gains and deductions'
+                : `The record's inputs hash to ${derived}`);
+
+        const submissionTime = Number(await contract.getSubmissionTime(proof.taxpayer, proof.taxYear));
+        const calculationTime = Number(await contract.getCalculationTime(proof.taxpayer, proof.taxYear));
+        const scheduleVersion = Number(await contract.getCalculationSchedule(proof.taxpayer, proof.taxYear));
+        check('Filing dates and schedule',
+            submissionTime === proof.submissionTime && calculationTime === proof.calculationTime && scheduleVersion === proof.scheduleVersion,
+            `Submitted ${new Date(submissionTime * 1000).toLocaleString()}, calculated ${new Date(calculationTime * 1000).toLocaleString()} with schedule v${scheduleVersion}`);
+
+        if (proof.range) {
+            checks.push(await ProofOfFiling.verifyRange(proof, contract, provider));
+        }
+        return checks;
+    }
+
+    static async verifyRange(proof, contract, provider) {
+        const label = `Tax owed between ${Money.format(Money.from(proof.range.min))} and ${Money.format(Money.from(proof.range.max))}`;
+        try {
+            const attestation = await contract.getRangeAttestation(proof.range.attestationId);
+            const matches = attestation.taxpayer.toLowerCase() === proof.taxpayer.toLowerCase() &&
+                Number(attestation.taxYear) === proof.taxYear &&
+                attestation.minTaxOwed === Money.from(proof.range.min) &&
+                attestation.maxTaxOwed === Money.from(proof.range.max) &&
+                attestation.commitment === proof.commitment;
+            if (!matches) {
+                return { label, ok: false, detail: `Attestation #${proof.range.attestationId} does not match this proof` };
+            }
+
+            const fheClient = await FheClient.create(contract, provider);
+            const inRange = await fheClient.publicDecrypt(attestation.inRange);
+            return {
+                label,
+                ok: inRange === 1n,
+                detail: `Attestation #${proof.range.attestationId} decrypts to ${inRange === 1n ? 'in range' : 'out of range'}`
+            };
+        } catch (error) {
+            return { label, ok: false, detail: error.reason || error.message };
+        }
+    }
+}
+
+ProofOfFiling.TYPE = 'privacy-tax-calculator/proof-of-filing';
+// Version 2 signs the record's identifier as "Filing ID"
+ProofOfFiling.VERSION = 2;
+
+// Read-only calls a verifier needs; no wallet required
+ProofOfFiling.CONTRACT_ABI = [
+    "function fheExecutor() external view returns (address)",
+    "function isCalculated(address taxpayer, uint16 taxYear) external view returns (bool)",
+    "function getFilingCommitment(address taxpayer, uint16 taxYear) external view returns (bytes32)",
+    "function getFilingStatus(address taxpayer, uint16 taxYear) external view returns (uint8)",
+    "function getEncryptedInputs(address taxpayer, uint16 taxYear) external view returns (bytes32 income, bytes32 gains, bytes32 deductions)",
+    "function getSubmissionTime(address taxpayer, uint16 taxYear) external view returns (uint256)",
+    "function getCalculationTime(address taxpayer, uint16 taxYear) external view returns (uint256)",
+    "function getCalculationSchedule(address taxpayer, uint16 taxYear) external view returns (uint32)",
+    "function getRangeAttestation(uint256 attestationId) external view returns (tuple(address taxpayer, uint16 taxYear, uint64 minTaxOwed, uint64 maxTaxOwed, bytes32 commitment, bytes32 inRange, uint256 createdAt))"
+];
@@ -0,0 +1,122 @@
+// Privacy Tax Calculator - Read-Only Mode
+// Without a wallet, reads the selected network's contract over its public RPC: stats and any address's public status
+
+class ReadOnlyMode {
+    constructor(app) {
+        // Networks, deployments, the connected contract and messaging come from the main app
+        this.app = app;
+        this.provider = null;
+        this.contract = null;
+        // Bumped by every start and stop, so a slow start cannot outlive a later one
+        this.runs = 0;
+    }
+
+    // Contract to read from: the connected wallet's when there is one, else the read-only one
+    get reader() {
+        return this.app.contract || this.contract;
+    }
+
+    // Read the selected network's registered deployment over its first RPC URL. When that fails
+    // the local estimates still work; the reason is logged and shown in the network status.
+    async start() {
+        const app = this.app;
+        this.stop();
+        const run = this.runs;
+        const network = app.networks.selected;
+        if (!network) return false;
+
+        // A static network fails fast on an unreachable RPC instead of retrying in the background,
+        // so the chain is checked here; both local networks default to the same URL
+        const provider = new ethers.JsonRpcProvider(network.rpcUrls[0], network.chainId, { staticNetwork: true });
+        let deployment;
+        try {
+            const chainId = Number(await provider.send('eth_chainId', []));
+            if (chainId !== network.chainId) {
+                throw new Error(`${network.rpcUrls[0]} serves chain ${chainId}, not ${network.name}`);
+            }
+            deployment = await app.deployments.resolve(provider);
+        } catch (error) {
+            console.error('Read-only mode unavailable:', error);
+            provider.destroy();
+            if (run === this.runs && !app.contract) {
+                app.updateNetworkStatus(`${network.name} (read-only unavailable)`);
+                document.getElementById('contractStats').style.display = 'none';
+                document.getElementById('inspectSection').style.display = 'none';
+            }
+            return false;
+        }
+
+        // A wallet connected or another network was selected while resolving
+        if (run !== this.runs || app.contract) {
+            provider.destroy();
+            return false;
+        }
+
+        this.provider = provider;
+        this.contract = new ethers.Contract(deployment.address, deployment.abi, provider);
+        app.updateNetworkStatus(`${network.name}, read-only (Contract v${deployment.version})`);
+        document.getElementById('inspectSection').style.display = 'block';
+        await app.loadContractStats();
+        return true;
+    }
+
+    stop() {
+        this.runs++;
+        if (this.provider) {
+            this.provider.destroy();
+        }
+        this.provider = null;
+        this.contract = null;
+    }
+
+    // Public status of any address for each tax year it filed: whether the record is valid and
+    // when it was submitted and calculated. Amounts stay encrypted and are never shown.
+    async inspect() {
+        const app = this.app;
+        const contract = this.reader;
+        if (!contract) {
+            app.showMessage(`⚠️ No contract to read from on ${app.networks.selected.name}`, 'warning');
+            return;
+        }
+
+        const address = document.getElementById('inspectAddressInput').value.trim();
+        if (!ethers.isAddress(address)) {
+            app.showMessage('Please enter a valid taxpayer address', 'error');
+            return;
+        }
+
+        const container = document.getElementById('inspectResult');
+        try {
+            const taxYears = (await contract.getTaxYears(address)).map(Number).sort((a, b) => b - a);
+            if (taxYears.length === 0) {
+                container.innerHTML = '<p class="simulator-empty">This address has no tax records.</p>';
+                return;
+            }
+
+            const rows = await Promise.all(taxYears.map(async (taxYear) => {
+                const [valid, calculated, submittedAt, calculatedAt] = await Promise.all([
+                    contract.hasValidTaxRecord(address, taxYear),
+                    contract.isCalculated(address, taxYear),
+                    contract.getSubmissionTime(address, taxYear),
+                    contract.getCalculationTime(address, taxYear)
+                ]);
+                return `
+                    <div class="shared-row">
+                        <span class="mono">${taxYear}</span>
+                        <span>${valid ? '✅ Valid record' : '❌ No valid record'}</span>
+                        <span>Submitted ${this.formatTime(submittedAt)}</span>
+                        <span>${calculated ? `Calculated ${this.formatTime(calculatedAt)}` : 'Not calculated'}</span>
+                    </div>
+                `;
+            }));
+            container.innerHTML = rows.join('');
+        } catch (error) {
+            console.error('Failed to inspect address:', error);
+            app.showMessage('⚠️ Could not read this address from the contract', 'warning');
+        }
+    }
+
+    formatTime(timestamp) {
+        return Number(timestamp) === 0 ? '-' : new Date(Number(timestamp) * 1000).toLocaleString();
+    }
+}
@@ -0,0 +1,226 @@
+// Privacy Tax Calculator - Gasless Relayer
+// Forwards taxpayers' EIP-712 signed submit, calculate and clear requests to the contract and pays the gas
+//
+//   node relayer/server.cjs
+//
+// Environment:
+//   RELAYER_CONTRACT        PrivateTaxCalculator address; nothing else is ever called. Defaults to
+//                           the deployment registered for the chain in deployments/addresses.json
+//   RELAYER_RPC_URL         JSON-RPC endpoint, default http://127.0.0.1:8545
+//   RELAYER_PRIVATE_KEY     Key of the account paying the gas. Without one, a local chain's first
+//                           unlocked account is used (networks marked local in networks.json)
+//   RELAYER_PORT            HTTP port, default 8787
+//   RELAYER_ALLOWED_ORIGIN  CORS origin allowed to post requests, default *
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { ethers } = require('ethers');
+
+// Written by scripts/deploy.cjs
+const ARTIFACT_PATH = path.join(__dirname, '../deployments/PrivateTaxCalculator.json');
+const REGISTRY_PATH = path.join(__dirname, '../deployments/addresses.json');
+
+// Chains marked local in networks.json, where the first unlocked account may pay the gas
+const LOCAL_CHAIN_IDS = require('../networks.json').networks
+    .filter(network => network.local)
+    .map(network => BigInt(network.chainId));
+const MAX_BODY_BYTES = 64 * 1024;
+
+// Contract functions the relayer may call, and how a signed request maps onto their arguments
+const ACTIONS = {
+    submitTaxInfo: {
+        method: 'submitTaxInfoBySig',
+        args: (request, signature) => [
+            request.taxpayer,
+            request.taxYear,
+            request.filingStatus,
+            request.encryptedIncome,
+            request.encryptedGains,
+            request.encryptedDeductions,
+            request.inputProof,
+            request.calculate,
+            request.deadline,
+            signature
+        ]
+    },
+    calculateTax: {
+        method: 'calculateTaxBySig',
+        args: (request, signature) => [request.taxpayer, request.taxYear, request.deadline, signature]
+    },
+    clearTaxRecord: {
+        method: 'clearTaxRecordBySig',
+        args: (request, signature) => [request.taxpayer, request.taxYear, request.deadline, signature]
+    }
+};
+
+// Oldest contract version whose signed submissions carry the filing status
+const MIN_CONTRACT_VERSION = 16n;
+
+async function createRelayer(config) {
+    const provider = new ethers.JsonRpcProvider(config.rpcUrl);
+    const { chainId } = await provider.getNetwork();
+
+    let wallet;
+    if (config.privateKey) {
+        wallet = new ethers.Wallet(config.privateKey, provider);
+    } else if (LOCAL_CHAIN_IDS.includes(chainId)) {
+        wallet = await provider.getSigner(0);
+    } else {
+        throw new Error(`RELAYER_PRIVATE_KEY is required on chain ${chainId}`);
+    }
+
+    const address = config.contract || registeredAddress(chainId);
+    const artifact = JSON.parse(fs.readFileSync(ARTIFACT_PATH, 'utf8'));
+    const contract = new ethers.Contract(address, artifact.abi, wallet);
+    const version = await contract.VERSION().catch(() => null);
+    if (version === null) {
+        throw new Error(`No PrivateTaxCalculator at ${address} on chain ${chainId}`);
+    }
+    if (version < MIN_CONTRACT_VERSION) {
+        throw new Error(`Contract version ${version} does not accept this relayer's signed requests`);
+    }
+
+    return {
+        provider,
+        wallet,
+        contract,
+        chainId,
+        address: await wallet.getAddress(),
+        // Sends go out one at a time so the relayer's own nonces never collide
+        queue: Promise.resolve()
+    };
+}
+
+function registeredAddress(chainId) {
+    const registry = fs.existsSync(REGISTRY_PATH) ? JSON.parse(fs.readFileSync(REGISTRY_PATH, 'utf8')) : {};
+    const entry = registry[chainId.toString()];
+    if (!entry) {
+        throw new Error(`No deployment registered for chain ${chainId}; run npm run deploy:contract or set RELAYER_CONTRACT`);
+    }
+    return entry.address;
+}
+
+// Simulate the call first, so requests with bad signatures, spent nonces, passed deadlines or
+// failing checks are refused without spending gas, then send it
+async function relay(relayer, action, request, signature) {
+    const spec = ACTIONS[action];
+    if (!spec) {
+        throw new RelayError(`Unknown action "${action}"`, 400);
+    }
+    if (!request || typeof request !== 'object' || typeof signature !== 'string') {
+        throw new RelayError('Expected { action, request, signature }', 400);
+    }
+
+    const args = spec.args(request, signature);
+    const send = async () => {
+        const method = relayer.contract[spec.method];
+        let gasLimit;
+        try {
+            await method.staticCall(...args);
+            gasLimit = 120n * await method.estimateGas(...args) / 100n;
+        } catch (error) {
+            throw new RelayError(error.reason || error.shortMessage || 'Request rejected by the contract', 422);
+        }
+        return method(...args, { gasLimit });
+    };
+
+    const result = relayer.queue.then(send);
+    relayer.queue = result.catch(() => {});
+    const tx = await result;
+    console.log(`📨 ${action} for ${request.taxpayer} (${request.taxYear}): ${tx.hash}`);
+    return tx.hash;
+}
+
+class RelayError extends Error {
+    constructor(message, status) {
+        super(message);
+        this.status = status;
+    }
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.on('data', chunk => {
+            body += chunk;
+            if (body.length > MAX_BODY_BYTES) {
+                reject(new RelayError('Request too large', 413));
+                req.destroy();
+            }
+        });
+        req.on('end', () => resolve(body));
+        req.on('error', reject);
+    });
+}
+
+function createServer(relayer, allowedOrigin) {
+    return http.createServer(async (req, res) => {
+        const reply = (status, payload) => {
+            res.writeHead(status, {
+                'Content-Type': 'application/json',
+                'Access-Control-Allow-Origin': allowedOrigin,
+                'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+                'Access-Control-Allow-Headers': 'Content-Type'
+            });
+            res.end(payload === null ? '' : JSON.stringify(payload));
+        };
+
+        try {
+            if (req.method === 'OPTIONS') {
+                reply(204, null);
+            } else if (req.method === 'GET' && req.url === '/health') {
+                reply(200, {
+                    relayer: relayer.address,
+                    chainId: Number(relayer.chainId),
+                    contract: await relayer.contract.getAddress(),
+                    balance: ethers.formatEther(await relayer.provider.getBalance(relayer.address))
+                });
+            } else if (req.method === 'POST' && req.url === '/relay') {
+                let payload;
+                try {
+                    payload = JSON.parse(await readBody(req));
+                } catch (error) {
+                    throw error instanceof RelayError ? error : new RelayError('Body must be JSON', 400);
+                }
+                const txHash = await relay(relayer, payload.action, payload.request, payload.signature);
+                reply(200, { txHash });
+            } else {
+                reply(404, { error: 'Not found' });
+            }
+        } catch (error) {
+            if (!(error instanceof RelayError)) {
+                console.error('Relay failed:', error);
+            }
+            reply(error.status || 500, { error: error instanceof RelayError ? error.message : 'Relayer error' });
+        }
+    });
+}
+
+async function main() {
+    const config = {
+        contract: process.env.RELAYER_CONTRACT,
+        rpcUrl: process.env.RELAYER_RPC_URL || 'http://127.0.0.1:8545',
+        privateKey: process.env.RELAYER_PRIVATE_KEY,
+        port: Number(process.env.RELAYER_PORT || 8787),
+        allowedOrigin: process.env.RELAYER_ALLOWED_ORIGIN || '*'
+    };
+    if (config.contract && !ethers.isAddress(config.contract)) {
+        throw new Error(`RELAYER_CONTRACT is not an address: ${config.contract}`);
+    }
+
+    const relayer = await createRelayer(config);
+    createServer(relayer, config.allowedOrigin).listen(config.port, async () => {
+        console.log(`⛽ Relaying for ${await relayer.contract.getAddress()} on chain ${relayer.chainId} from ${relayer.address}`);
+        console.log(`✅ Listening on http://127.0.0.1:${config.port}`);
+    });
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    });
+}
+
+module.exports = { createRelayer, createServer, relay, ACTIONS };
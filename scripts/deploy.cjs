@@ -0,0 +1,183 @@
+// Compile PrivateTaxCalculator, write its ABI artifact and register deployments by chain ID.
+// The app and the relayer read both files from deployments/, so they always match the source.
+//
+//   node scripts/deploy.cjs compile    Write deployments/PrivateTaxCalculator.json only
+//   node scripts/deploy.cjs deploy     Compile, deploy and record the address in deployments/addresses.json
+//
+// Environment for deploy:
+//   DEPLOY_RPC_URL      JSON-RPC endpoint, default http://127.0.0.1:8545
+//   DEPLOY_PRIVATE_KEY  Deployer key. Without one, a local chain's first unlocked account is used
+//   FHE_EXECUTOR        FHE executor address. Required outside local chains; on a local chain
+//                       a MockFHEExecutor is deployed when it is not set
+
+const fs = require('fs');
+const path = require('path');
+const solc = require('solc');
+const { ethers } = require('ethers');
+
+const CONTRACTS_DIR = path.join(__dirname, '../contracts');
+const DEPLOYMENTS_DIR = path.join(__dirname, '../deployments');
+const ARTIFACT_PATH = path.join(DEPLOYMENTS_DIR, 'PrivateTaxCalculator.json');
+const REGISTRY_PATH = path.join(DEPLOYMENTS_DIR, 'addresses.json');
+
+const CONTRACT_FILE = 'PrivateTaxCalculator.sol';
+const CONTRACT_NAME = 'PrivateTaxCalculator';
+const MOCK_EXECUTOR_FILE = 'mocks/MockFHEExecutor.sol';
+const MOCK_EXECUTOR_NAME = 'MockFHEExecutor';
+const MOCK_TOKEN_FILE = 'mocks/MockStableToken.sol';
+const MOCK_TOKEN_NAME = 'MockStableToken';
+// EIP-170 limit on deployed code; chains reject larger contracts
+const MAX_CONTRACT_SIZE = 24576;
+
+// Chains marked local in networks.json (Hardhat/Anvil, Ganache) are the only ones that get a
+// mock executor and unlocked accounts
+const LOCAL_CHAIN_IDS = require('../networks.json').networks
+    .filter(network => network.local)
+    .map(network => BigInt(network.chainId));
+
+function readSources(dir = CONTRACTS_DIR, sources = {}) {
+    fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            readSources(fullPath, sources);
+        } else if (entry.name.endsWith('.sol')) {
+            sources[path.relative(CONTRACTS_DIR, fullPath).split(path.sep).join('/')] = {
+                content: fs.readFileSync(fullPath, 'utf8')
+            };
+        }
+    });
+    return sources;
+}
+
+function compile() {
+    console.log(`🔨 Compiling contracts with solc ${solc.version()}...`);
+    const sources = readSources();
+    const output = JSON.parse(solc.compile(JSON.stringify({
+        language: 'Solidity',
+        sources,
+        settings: {
+            // The IR pipeline keeps PrivateTaxCalculator under the 24 KB contract size limit
+            viaIR: true,
+            optimizer: { enabled: true, runs: 200 },
+            outputSelection: { '*': { '*': ['abi', 'evm.bytecode.object', 'evm.deployedBytecode.object'] } }
+        }
+    })));
+
+    const errors = (output.errors || []).filter(error => error.severity === 'error');
+    (output.errors || []).filter(error => error.severity !== 'error')
+        .forEach(warning => console.warn(`⚠️  ${warning.formattedMessage}`));
+    if (errors.length > 0) {
+        errors.forEach(error => console.error(error.formattedMessage));
+        throw new Error(`Compilation failed with ${errors.length} error(s)`);
+    }
+
+    // The frontend checks the deployed VERSION() against this before using the ABI
+    const version = sources[CONTRACT_FILE].content.match(/uint256 public constant VERSION = (\d+);/);
+    if (!version) {
+        throw new Error(`No VERSION constant found in ${CONTRACT_FILE}`);
+    }
+
+    const contract = output.contracts[CONTRACT_FILE][CONTRACT_NAME];
+    const size = contract.evm.deployedBytecode.object.length / 2;
+    if (size > MAX_CONTRACT_SIZE) {
+        throw new Error(`${CONTRACT_NAME} is ${size} bytes, above the ${MAX_CONTRACT_SIZE}-byte contract size limit`);
+    }
+    const executor = output.contracts[MOCK_EXECUTOR_FILE][MOCK_EXECUTOR_NAME];
+    const token = output.contracts[MOCK_TOKEN_FILE][MOCK_TOKEN_NAME];
+    return {
+        version: Number(version[1]),
+        abi: contract.abi,
+        bytecode: contract.evm.bytecode.object,
+        executor: { abi: executor.abi, bytecode: executor.evm.bytecode.object },
+        token: { abi: token.abi, bytecode: token.evm.bytecode.object }
+    };
+}
+
+function writeJson(file, data) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(data, null, 2) + '\n');
+}
+
+function writeArtifact(compiled) {
+    writeJson(ARTIFACT_PATH, {
+        contractName: CONTRACT_NAME,
+        version: compiled.version,
+        compiler: solc.version(),
+        abi: compiled.abi
+    });
+    console.log(`✅ Wrote ${path.relative(process.cwd(), ARTIFACT_PATH)} (v${compiled.version})`);
+}
+
+function readRegistry() {
+    return fs.existsSync(REGISTRY_PATH) ? JSON.parse(fs.readFileSync(REGISTRY_PATH, 'utf8')) : {};
+}
+
+async function getDeployer(provider, chainId) {
+    if (process.env.DEPLOY_PRIVATE_KEY) {
+        return new ethers.Wallet(process.env.DEPLOY_PRIVATE_KEY, provider);
+    }
+    if (LOCAL_CHAIN_IDS.includes(chainId)) {
+        return provider.getSigner(0);
+    }
+    throw new Error(`DEPLOY_PRIVATE_KEY is required on chain ${chainId}`);
+}
+
+async function deploy(compiled) {
+    const provider = new ethers.JsonRpcProvider(process.env.DEPLOY_RPC_URL || 'http://127.0.0.1:8545');
+    const { chainId } = await provider.getNetwork();
+    const deployer = await getDeployer(provider, chainId);
+    console.log(`🚀 Deploying to chain ${chainId} from ${await deployer.getAddress()}...`);
+
+    let executor = process.env.FHE_EXECUTOR;
+    if (!executor) {
+        if (!LOCAL_CHAIN_IDS.includes(chainId)) {
+            throw new Error(`FHE_EXECUTOR is required on chain ${chainId}; the mock executor is for local chains only`);
+        }
+        const mock = await new ethers.ContractFactory(compiled.executor.abi, compiled.executor.bytecode, deployer).deploy();
+        await mock.waitForDeployment();
+        executor = await mock.getAddress();
+        console.log(`✅ ${MOCK_EXECUTOR_NAME} deployed at ${executor}`);
+    }
+
+    const factory = new ethers.ContractFactory(compiled.abi, compiled.bytecode, deployer);
+    const contract = await factory.deploy(executor);
+    const receipt = await contract.deploymentTransaction().wait();
+    const address = await contract.getAddress();
+    console.log(`✅ ${CONTRACT_NAME} v${compiled.version} deployed at ${address}`);
+
+    const registry = readRegistry();
+    registry[chainId.toString()] = {
+        address: address,
+        executor: executor,
+        version: compiled.version,
+        deployer: await deployer.getAddress(),
+        blockNumber: receipt.blockNumber,
+        transactionHash: receipt.hash,
+        deployedAt: new Date().toISOString()
+    };
+    writeJson(REGISTRY_PATH, registry);
+    console.log(`✅ Registered in ${path.relative(process.cwd(), REGISTRY_PATH)} for chain ${chainId}`);
+}
+
+async function main() {
+    const command = process.argv[2] || 'deploy';
+    if (!['compile', 'deploy'].includes(command)) {
+        throw new Error(`Unknown command "${command}"; use compile or deploy`);
+    }
+
+    const compiled = compile();
+    writeArtifact(compiled);
+    if (command === 'deploy') {
+        await deploy(compiled);
+    }
+}
+
+// The contract tests compile through the same settings as deployments
+if (require.main === module) {
+    main().catch(error => {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    });
+}
+
+module.exports = { compile };
@@ -0,0 +1,419 @@
+// Privacy Tax Calculator - Tax Settlement
+// Taxpayers pay a calculated year's on-chain tax in ETH or the configured stablecoin; the owner
+// confirms each payment covers the encrypted tax owed and withdraws confirmed payments to the
+// treasury, while payments found short can be refunded
+
+class TaxSettlement {
+    constructor(app) {
+        // Contract, account, signer, FHE client and messaging come from the main app
+        this.app = app;
+        this.config = null;
+        // Decrypted tax still to pay for the selected year, or null when nothing can be paid
+        this.amountDue = null;
+        // Currency of the year's first payment, which a shortfall must be paid in
+        this.paidCurrency = null;
+    }
+
+    // Treasury, accepted token and ETH price, with the token's symbol and decimals
+    async loadConfig() {
+        const contract = this.app.contract;
+        const [treasury, paymentToken, ethUsdPrice] = await Promise.all([
+            contract.treasury(), contract.paymentToken(), contract.ethUsdPrice()
+        ]);
+
+        let token = null;
+        if (paymentToken !== ethers.ZeroAddress) {
+            const erc20 = new ethers.Contract(paymentToken, TaxSettlement.ERC20_ABI, this.app.signer);
+            const [symbol, decimals] = await Promise.all([erc20.symbol(), erc20.decimals()]);
+            token = { address: paymentToken, contract: erc20, symbol, decimals: Number(decimals) };
+        }
+
+        this.config = {
+            configured: treasury !== ethers.ZeroAddress,
+            treasury,
+            ethUsdPrice,
+            token
+        };
+        return this.config;
+    }
+
+    // Payment status, receipt and payment form for the selected year
+    async refresh() {
+        const app = this.app;
+        if (!app.contract || !app.account || app.selectedTaxYear === null) return;
+
+        try {
+            const config = await this.loadConfig();
+            const taxYear = app.selectedTaxYear;
+            const hasSubmitted = await app.contract.hasSubmitted(app.account, taxYear);
+            const isCalculated = hasSubmitted && await app.contract.isCalculated(app.account, taxYear);
+            const settlement = await app.contract.getSettlement(app.account, taxYear);
+
+            this.renderCurrencies(config);
+            await this.renderStatus(taxYear, hasSubmitted, isCalculated, settlement);
+            await this.renderOwnerControls(config);
+
+            // Nothing is due while a payment awaits confirmation or once the year is settled
+            const status = Number(settlement.status);
+            this.amountDue = null;
+            this.paidCurrency = status === TaxSettlement.STATUS.UNDERPAID ? settlement.token : null;
+            const canPay = config.configured && isCalculated && !app.isPaused &&
+                (status === TaxSettlement.STATUS.UNPAID || status === TaxSettlement.STATUS.UNDERPAID);
+            if (canPay && app.fheClient) {
+                const taxOwed = await app.fheClient.decrypt(await app.contract.getTaxOwed(taxYear));
+                if (taxOwed > settlement.taxAmount) {
+                    this.amountDue = taxOwed - settlement.taxAmount;
+                }
+            }
+            this.lockCurrency();
+            await this.updateQuote();
+
+            const payBtn = document.getElementById('payTaxBtn');
+            if (payBtn) {
+                payBtn.disabled = this.amountDue === null;
+                payBtn.style.opacity = this.amountDue === null ? '0.5' : '1';
+            }
+            const refundBtn = document.getElementById('refundTaxBtn');
+            if (refundBtn) {
+                refundBtn.style.display = status === TaxSettlement.STATUS.UNDERPAID && !app.isPaused ? 'inline-flex' : 'none';
+            }
+        } catch (error) {
+            console.error('Failed to load tax settlement:', error);
+            app.showMessage('⚠️ Could not load the payment status from the contract', 'warning');
+        }
+    }
+
+    renderCurrencies(config) {
+        const select = document.getElementById('paymentCurrencySelect');
+        if (!select) return;
+
+        const previous = select.value;
+        const options = [];
+        if (config.ethUsdPrice > 0n) {
+            options.push(`<option value="${ethers.ZeroAddress}">ETH</option>`);
+        }
+        if (config.token) {
+            options.push(`<option value="${config.token.address}">${config.token.symbol}</option>`);
+        }
+        select.innerHTML = options.join('');
+        if (previous && options.some(option => option.includes(`"${previous}"`))) {
+            select.value = previous;
+        }
+    }
+
+    // A shortfall is paid in the currency of the first payment
+    lockCurrency() {
+        const select = document.getElementById('paymentCurrencySelect');
+        if (!select) return;
+
+        select.disabled = this.paidCurrency !== null;
+        if (this.paidCurrency !== null) {
+            select.value = this.paidCurrency;
+        }
+    }
+
+    // Whether the year's payments cover the tax owed: true or false once decrypted, null when
+    // nothing is paid or the check cannot be decrypted
+    async coverage(settlement) {
+        if (Number(settlement.status) === TaxSettlement.STATUS.UNPAID || !this.app.fheClient) {
+            return null;
+        }
+        try {
+            return await this.app.fheClient.decrypt(settlement.coversTaxOwed) === 1n;
+        } catch (error) {
+            console.error('Failed to decrypt settlement check:', error);
+            return null;
+        }
+    }
+
+    async renderStatus(taxYear, hasSubmitted, isCalculated, settlement) {
+        const status = document.getElementById('settlementStatus');
+        const receipt = document.getElementById('settlementReceipt');
+
+        if (Number(settlement.status) !== TaxSettlement.STATUS.UNPAID) {
+            const covers = await this.coverage(settlement);
+            if (status) status.textContent = `${TaxSettlement.statusLabel(settlement, covers)} (receipt #${settlement.receiptId})`;
+            if (receipt) receipt.innerHTML = this.renderReceipt(taxYear, settlement, covers);
+            return;
+        }
+
+        if (status) {
+            status.textContent = !hasSubmitted ? '-'
+                : !isCalculated ? 'Unpaid - calculate first'
+                : this.config.configured ? '💳 Unpaid' : 'Unpaid - payments not configured';
+        }
+        if (receipt) receipt.innerHTML = '';
+    }
+
+    renderReceipt(taxYear, settlement, covers) {
+        const check = covers === null ? '' : covers ? '✅ Covers the computed tax' : '⚠️ Less than the computed tax';
+        return `
+            <div class="settlement-receipt-title">🧾 ${taxYear} Payment Receipt #${settlement.receiptId}</div>
+            <div>Tax Paid: ${Money.format(settlement.taxAmount)}</div>
+            <div>Amount: ${this.formatAmount(settlement.amountPaid, settlement.token)}</div>
+            <div>Paid: ${new Date(Number(settlement.paidAt) * 1000).toLocaleString()}</div>
+            ${check ? `<div>${check}</div>` : ''}
+        `;
+    }
+
+    // Status of a paid year. A pending payment that decrypts as short is reported as underpaid
+    // before the owner confirms it.
+    static statusLabel(settlement, covers) {
+        switch (Number(settlement.status)) {
+            case TaxSettlement.STATUS.CONFIRMED:
+                return '✅ Paid';
+            case TaxSettlement.STATUS.UNDERPAID:
+                return '⚠️ Underpaid - pay the remaining tax or take a refund';
+            default:
+                return covers === false
+                    ? '⚠️ Underpaid - awaiting confirmation'
+                    : '⏳ Paid - awaiting confirmation';
+        }
+    }
+
+    // Confirmed balances, payment confirmation and the withdraw action, for the contract owner only
+    async renderOwnerControls(config) {
+        const container = document.getElementById('treasuryControls');
+        if (!container) return;
+
+        const owner = await this.app.contract.owner();
+        if (owner.toLowerCase() !== this.app.account.toLowerCase() || !config.configured) {
+            container.style.display = 'none';
+            return;
+        }
+
+        const balances = [];
+        for (const currency of this.currencies(config)) {
+            balances.push(this.formatAmount(await this.app.contract.withdrawableBalance(currency), currency));
+        }
+
+        container.style.display = 'block';
+        document.getElementById('treasuryBalances').textContent =
+            `Confirmed: ${balances.join(', ')} - withdraws to ${config.treasury}`;
+    }
+
+    // ETH and the payment token, the currencies a payment can have been made in
+    currencies(config) {
+        return config.token ? [ethers.ZeroAddress, config.token.address] : [ethers.ZeroAddress];
+    }
+
+    formatAmount(amount, token) {
+        if (token === ethers.ZeroAddress) {
+            return `${ethers.formatEther(amount)} ETH`;
+        }
+        const known = this.config && this.config.token && this.config.token.address.toLowerCase() === token.toLowerCase();
+        return known
+            ? `${ethers.formatUnits(amount, this.config.token.decimals)} ${this.config.token.symbol}`
+            : `${amount} units of ${token}`;
+    }
+
+    selectedCurrency() {
+        const select = document.getElementById('paymentCurrencySelect');
+        return select && select.value ? select.value : null;
+    }
+
+    async updateQuote() {
+        const quote = document.getElementById('paymentQuote');
+        if (!quote) return;
+
+        const currency = this.selectedCurrency();
+        if (this.amountDue === null || !currency) {
+            quote.textContent = '-';
+            return;
+        }
+
+        const amount = await this.app.contract.quoteSettlement(this.amountDue, currency);
+        quote.textContent = `On-chain income tax ${Money.format(this.amountDue)} = ${this.formatAmount(amount, currency)}`;
+    }
+
+    // Pay the decrypted tax owed for the selected year, or the shortfall of an underpaid one.
+    // This is the contract's bracket tax, before the credits, payroll and state tax of the estimate.
+    // Token payments approve the exact amount first when the allowance is short.
+    async pay() {
+        const app = this.app;
+        if (!app.requireWallet()) return;
+
+        if (await app.rejectIfPaused()) return;
+
+        const taxYear = app.selectedTaxYear;
+        const currency = this.selectedCurrency();
+        if (this.amountDue === null || !currency) {
+            app.showMessage(`❌ Nothing to pay for ${taxYear}: calculate the tax first, and check the contract accepts payments`, 'error');
+            return;
+        }
+
+        try {
+            const amount = await app.contract.quoteSettlement(this.amountDue, currency);
+            if (!confirm(`Pay ${Money.format(this.amountDue)} of ${taxYear} on-chain income tax as ${this.formatAmount(amount, currency)}? ` +
+                'This is the bracket tax the contract calculated, before credits, payroll and state tax, so it can differ ' +
+                'from the Total Tax Owed of your estimate. The amount paid is public on-chain and the year cannot be ' +
+                'amended or cleared afterwards.')) {
+                return;
+            }
+
+            let value = 0n;
+            if (currency === ethers.ZeroAddress) {
+                value = amount;
+            } else {
+                const token = this.config.token.contract;
+                const contractAddress = await app.contract.getAddress();
+                if (await token.allowance(app.account, contractAddress) < amount) {
+                    app.showMessage(`🔓 Approving ${this.formatAmount(amount, currency)}...`, 'info');
+                    const approveTx = await token.approve(contractAddress, amount);
+                    app.addPendingTransaction(approveTx.hash, 'Approve Payment');
+                    await approveTx.wait();
+                    app.removePendingTransaction(approveTx.hash);
+                }
+            }
+
+            app.showMessage(`💸 Paying ${taxYear} tax...`, 'info');
+            const args = [taxYear, this.amountDue, currency];
+            const gasLimit = 120n * await app.contract.settleTax.estimateGas(...args, { value }) / 100n;
+            const feeData = await app.provider.getFeeData();
+            const tx = await app.contract.settleTax(...args, {
+                value: value,
+                gasLimit: gasLimit,
+                gasPrice: feeData.gasPrice
+            });
+            app.showMessage(`Payment transaction submitted! Hash: ${tx.hash}`, 'info');
+            app.addPendingTransaction(tx.hash, 'Tax Payment');
+            document.getElementById('lastTxHash').textContent = `${tx.hash.slice(0, 10)}...${tx.hash.slice(-8)}`;
+
+            const receipt = await tx.wait();
+            app.removePendingTransaction(tx.hash);
+            if (receipt.status !== 1) {
+                app.showMessage('❌ Tax payment failed', 'error');
+                return;
+            }
+
+            const settlement = await app.contract.getSettlement(app.account, taxYear);
+            app.showMessage(`✅ ${taxYear} tax paid! Receipt #${settlement.receiptId}, awaiting the owner's confirmation\n` +
+                `Total: ${this.formatAmount(settlement.amountPaid, settlement.token)} | Block: ${receipt.blockNumber}`, 'success');
+            await app.updateAccountBalance();
+            await app.updateTaxStatus();
+        } catch (error) {
+            if (error.message?.includes('Tax already settled') || error.message?.includes('Payment awaiting confirmation')) {
+                app.showMessage(`❌ Your ${taxYear} tax is already paid`, 'error');
+                await app.updateTaxStatus();
+            } else {
+                app.showMessage(app.handleBlockchainError(error, 'Tax payment'), error.code === 4001 ? 'warning' : 'error');
+            }
+        }
+    }
+
+    // Take back the payments of the selected year after the owner found them short of the tax owed
+    async refund() {
+        const app = this.app;
+        if (!app.requireWallet()) return;
+
+        if (await app.rejectIfPaused()) return;
+
+        const taxYear = app.selectedTaxYear;
+        try {
+            const settlement = await app.contract.getSettlement(app.account, taxYear);
+            if (Number(settlement.status) !== TaxSettlement.STATUS.UNDERPAID) {
+                app.showMessage(`Only a ${taxYear} payment marked underpaid can be refunded`, 'info');
+                return;
+            }
+            if (!confirm(`Refund your ${taxYear} payments of ${this.formatAmount(settlement.amountPaid, settlement.token)}? ` +
+                'The year becomes unpaid again.')) {
+                return;
+            }
+
+            const receipt = await app.sharedAccess.send('Refund Payment', 'refundSettlement', [taxYear]);
+            if (!receipt) {
+                app.showMessage('❌ Refund failed', 'error');
+                return;
+            }
+            app.showMessage(`✅ Receipt #${settlement.receiptId} refunded: ${this.formatAmount(settlement.amountPaid, settlement.token)}`, 'success');
+            await app.updateAccountBalance();
+            await app.updateTaxStatus();
+        } catch (error) {
+            app.showMessage(app.handleBlockchainError(error, 'Refund'), error.code === 4001 ? 'warning' : 'error');
+        }
+    }
+
+    // Owner only: decrypt the coverage check of a taxpayer's pending payment for the selected
+    // year and record it on-chain, settling the year or marking it underpaid
+    async confirmPayment() {
+        const app = this.app;
+        if (!app.requireWallet()) return;
+
+        const taxpayer = document.getElementById('confirmTaxpayerInput').value.trim();
+        if (!ethers.isAddress(taxpayer)) {
+            app.showMessage('Please enter a valid taxpayer address', 'error');
+            return;
+        }
+
+        const taxYear = app.selectedTaxYear;
+        try {
+            const settlement = await app.contract.getSettlement(taxpayer, taxYear);
+            if (Number(settlement.status) !== TaxSettlement.STATUS.PENDING) {
+                app.showMessage(`No ${taxYear} payment from ${taxpayer} is awaiting confirmation`, 'info');
+                return;
+            }
+
+            const covers = await this.coverage(settlement);
+            if (covers === null) {
+                app.showMessage('FHE executor unavailable - cannot check the payment', 'error');
+                return;
+            }
+
+            const receipt = await app.sharedAccess.send('Confirm Payment', 'confirmSettlement', [taxpayer, taxYear, covers]);
+            if (!receipt) {
+                app.showMessage('❌ Payment confirmation failed', 'error');
+                return;
+            }
+            app.showMessage(covers
+                ? `✅ Receipt #${settlement.receiptId} covers the ${taxYear} tax owed; the year is settled`
+                : `⚠️ Receipt #${settlement.receiptId} is less than the ${taxYear} tax owed; marked underpaid`,
+                covers ? 'success' : 'warning');
+            document.getElementById('confirmTaxpayerInput').value = '';
+            await this.refresh();
+        } catch (error) {
+            app.showMessage(app.handleBlockchainError(error, 'Payment confirmation'), error.code === 4001 ? 'warning' : 'error');
+        }
+    }
+
+    // Owner only: send every confirmed balance to the treasury; pending and underpaid payments stay
+    async withdraw() {
+        const app = this.app;
+        if (!app.contract || !this.config) return;
+
+        try {
+            const currencies = [];
+            for (const currency of this.currencies(this.config)) {
+                if (await app.contract.withdrawableBalance(currency) > 0n) {
+                    currencies.push(currency);
+                }
+            }
+            if (currencies.length === 0) {
+                app.showMessage('No confirmed payments to withdraw yet', 'info');
+                return;
+            }
+
+            for (const currency of currencies) {
+                const receipt = await app.sharedAccess.send('Withdraw Payments', 'withdrawPayments', [currency]);
+                if (!receipt) {
+                    app.showMessage('❌ Withdrawal failed', 'error');
+                    return;
+                }
+            }
+            app.showMessage(`✅ Payments withdrawn to the treasury ${this.config.treasury}`, 'success');
+            await this.refresh();
+        } catch (error) {
+            app.showMessage(app.handleBlockchainError(error, 'Withdrawal'), error.code === 4001 ? 'warning' : 'error');
+        }
+    }
+}
+
+// Settlement status as returned by the contract's getSettlement
+TaxSettlement.STATUS = { UNPAID: 0, PENDING: 1, CONFIRMED: 2, UNDERPAID: 3 };
+
+TaxSettlement.ERC20_ABI = [
+    "function symbol() external view returns (string)",
+    "function decimals() external view returns (uint8)",
+    "function balanceOf(address account) external view returns (uint256)",
+    "function allowance(address owner, address spender) external view returns (uint256)",
+    "function approve(address spender, uint256 amount) external returns (bool)"
+];
@@ -0,0 +1,247 @@
+// Privacy Tax Calculator - Shared Access
+// Taxpayers grant accountants and auditors read access to their results; delegates view what was shared with them
+
+class SharedAccessPanel {
+    constructor(app) {
+        // Contract, account, FHE client and messaging come from the main app
+        this.app = app;
+    }
+
+    async refresh() {
+        if (!this.app.contract || !this.app.account) return;
+
+        try {
+            await this.renderViewers();
+            await this.renderSharedWithMe();
+        } catch (error) {
+            console.error('Failed to load shared access:', error);
+            this.app.showMessage('⚠️ Could not load shared access from the contract', 'warning');
+        }
+    }
+
+    // Unix time the access ends: the end of the chosen day, or 0 for no expiry
+    readExpiry() {
+        const input = document.getElementById('viewerExpiryInput');
+        if (!input || !input.value) {
+            return 0;
+        }
+
+        const expiresAt = Math.floor(new Date(`${input.value}T23:59:59`).getTime() / 1000);
+        if (!Number.isFinite(expiresAt) || expiresAt * 1000 <= Date.now()) {
+            throw new Error('Expiry date must be in the future');
+        }
+        return expiresAt;
+    }
+
+    formatExpiry(expiresAt) {
+        if (expiresAt === 0) {
+            return 'No expiry';
+        }
+        const date = new Date(expiresAt * 1000).toLocaleString();
+        return expiresAt * 1000 > Date.now() ? `Until ${date}` : `Expired ${date}`;
+    }
+
+    isExpired(expiresAt) {
+        return expiresAt !== 0 && expiresAt * 1000 <= Date.now();
+    }
+
+    shortAddress(address) {
+        return `${address.slice(0, 10)}...${address.slice(-8)}`;
+    }
+
+    // Addresses the connected taxpayer shares results with
+    async renderViewers() {
+        const container = document.getElementById('sharedViewers');
+        if (!container) return;
+
+        const [accounts, expiries] = await this.app.contract.getViewers(this.app.account);
+        if (accounts.length === 0) {
+            container.innerHTML = '<p class="simulator-empty">You have not shared your results with anyone.</p>';
+            return;
+        }
+
+        container.innerHTML = accounts.map((account, index) => {
+            const expiresAt = Number(expiries[index]);
+            return `
+                <div class="shared-row${this.isExpired(expiresAt) ? ' expired' : ''}">
+                    <span class="mono" title="${account}">${this.shortAddress(account)}</span>
+                    <span>${this.formatExpiry(expiresAt)}</span>
+                    <button class="simulator-unpin" title="Revoke access" onclick="revokeViewAccess('${account}')">
+                        <i class="fas fa-user-slash"></i>
+                    </button>
+                </div>
+            `;
+        }).join('');
+    }
+
+    // Taxpayers who share results with the connected account, with their calculated years
+    async renderSharedWithMe() {
+        const container = document.getElementById('sharedWithMe');
+        if (!container) return;
+
+        const contract = this.app.contract;
+        const [taxpayers, expiries] = await contract.getSharedWith(this.app.account);
+        if (taxpayers.length === 0) {
+            container.innerHTML = '<p class="simulator-empty">No returns have been shared with this account.</p>';
+            return;
+        }
+
+        const rows = await Promise.all(taxpayers.map(async (taxpayer, index) => {
+            const expiresAt = Number(expiries[index]);
+            let years = '';
+            if (await contract.hasViewAccess(taxpayer, this.app.account)) {
+                const taxYears = (await contract.getTaxYears(taxpayer)).map(Number).sort((a, b) => b - a);
+                const calculated = [];
+                for (const year of taxYears) {
+                    if (await contract.isCalculated(taxpayer, year)) {
+                        calculated.push(year);
+                    }
+                }
+                years = calculated.length === 0
+                    ? '<span>No calculated returns yet</span>'
+                    : calculated.map(year =>
+                        `<button class="action-btn outline" onclick="viewSharedResult('${taxpayer}', ${year})">${year}</button>`
+                    ).join('');
+            }
+            return `
+                <div class="shared-row${this.isExpired(expiresAt) ? ' expired' : ''}">
+                    <span class="mono" title="${taxpayer}">${this.shortAddress(taxpayer)}</span>
+                    <span>${this.formatExpiry(expiresAt)}</span>
+                    <span class="shared-years">${years}</span>
+                </div>
+            `;
+        }));
+        container.innerHTML = rows.join('');
+    }
+
+    // Estimate, send and wait for one contract call; null if it did not go through
+    async send(description, method, args) {
+        const contract = this.app.contract;
+        const gasLimit = 120n * await contract[method].estimateGas(...args) / 100n;
+        const feeData = await this.app.provider.getFeeData();
+
+        const tx = await contract[method](...args, {
+            gasLimit: gasLimit,
+            gasPrice: feeData.gasPrice
+        });
+        this.app.showMessage(`${description} transaction submitted! Hash: ${tx.hash}`, 'info');
+        this.app.addPendingTransaction(tx.hash, description);
+
+        const receipt = await tx.wait();
+        this.app.removePendingTransaction(tx.hash);
+        return receipt.status === 1 ? receipt : null;
+    }
+
+    async grant() {
+        if (!this.app.requireWallet()) return;
+
+        const viewer = document.getElementById('viewerAddressInput').value.trim();
+        if (!ethers.isAddress(viewer)) {
+            this.app.showMessage('Please enter a valid viewer address', 'error');
+            return;
+        }
+        if (viewer.toLowerCase() === this.app.account.toLowerCase()) {
+            this.app.showMessage('You already have access to your own results', 'error');
+            return;
+        }
+
+        let expiresAt;
+        try {
+            expiresAt = this.readExpiry();
+        } catch (error) {
+            this.app.showMessage(error.message, 'error');
+            return;
+        }
+
+        try {
+            this.app.showMessage(`🤝 Granting view access to ${this.shortAddress(viewer)}...`, 'info');
+            const receipt = await this.send('Grant Access', 'grantViewAccess', [viewer, expiresAt]);
+            if (!receipt) {
+                this.app.showMessage('❌ Granting access failed', 'error');
+                return;
+            }
+
+            this.app.showMessage(`✅ ${this.shortAddress(viewer)} can now view your results (${this.formatExpiry(expiresAt)})`, 'success');
+            document.getElementById('viewerAddressInput').value = '';
+            document.getElementById('viewerExpiryInput').value = '';
+            await this.renderViewers();
+        } catch (error) {
+            this.app.showMessage(this.app.handleBlockchainError(error, 'Grant access'), error.code === 4001 ? 'warning' : 'error');
+        }
+    }
+
+    async revoke(viewer) {
+        if (!this.app.contract) return;
+
+        if (!confirm(`Revoke ${this.shortAddress(viewer)}'s access? Results they already decrypted stay known to them.`)) {
+            return;
+        }
+
+        try {
+            this.app.showMessage(`Revoking access for ${this.shortAddress(viewer)}...`, 'info');
+            const receipt = await this.send('Revoke Access', 'revokeViewAccess', [viewer]);
+            if (!receipt) {
+                this.app.showMessage('❌ Revoking access failed', 'error');
+                return;
+            }
+
+            this.app.showMessage(`✅ Access revoked for ${this.shortAddress(viewer)}`, 'success');
+            await this.renderViewers();
+        } catch (error) {
+            this.app.showMessage(this.app.handleBlockchainError(error, 'Revoke access'), error.code === 4001 ? 'warning' : 'error');
+        }
+    }
+
+    // Decrypt a result shared with the connected account. The first view of each result
+    // sends a transaction that allows this account on its ciphertext.
+    async viewShared(taxpayer, taxYear) {
+        const contract = this.app.contract;
+        const fheClient = this.app.fheClient;
+        if (!contract || !fheClient) {
+            this.app.showMessage('FHE executor unavailable - cannot decrypt shared results', 'error');
+            return;
+        }
+
+        try {
+            this.app.showMessage(`🔍 Retrieving ${this.shortAddress(taxpayer)}'s ${taxYear} result...`, 'info');
+            const handle = await contract.getSharedTaxOwed(taxpayer, taxYear);
+
+            if (!await fheClient.executor.isAllowed(handle, this.app.account)) {
+                this.app.showMessage('🔑 Requesting permission to decrypt this result...', 'info');
+                const receipt = await this.send('Shared Result Access', 'allowSharedTaxOwed', [taxpayer, taxYear]);
+                if (!receipt) {
+                    this.app.showMessage('❌ Could not get permission to decrypt this result', 'error');
+                    return;
+                }
+            }
+
+            const taxOwed = await fheClient.decrypt(handle);
+            const filingStatus = await contract.getFilingStatus(taxpayer, taxYear);
+            const version = await contract.getCalculationSchedule(taxpayer, taxYear);
+            const [thresholds, ratesBps, gainsThresholds, gainsRatesBps] = await contract.getTaxSchedule(taxYear, filingStatus, version);
+            const brackets = this.app.bracketsFromChain(thresholds, ratesBps);
+            const capitalGainsBrackets = this.app.bracketsFromChain(gainsThresholds, gainsRatesBps);
+            const amendments = await contract.getAmendmentCount(taxpayer, taxYear);
+            const calculationTime = await contract.getCalculationTime(taxpayer, taxYear);
+
+            const resultText = `🔓 SHARED ${taxYear} RESULT (decrypted, ${fheClient.backend} FHE backend):\n\n` +
+                `• Taxpayer: ${taxpayer}\n` +
+                `• Income Tax Before Credits, Computed on Encrypted Data: ${Money.format(taxOwed)}\n` +
+                `• Schedule: ${taxYear} v${version}, ${TaxScheduleEngine.FILING_STATUSES[this.app.filingStatusFromCode(filingStatus)]} (` +
+                this.app.describeBrackets(brackets, capitalGainsBrackets) + `)\n` +
+                `• Amendments: ${amendments}\n` +
+                `• Tax Calculated: ${new Date(Number(calculationTime) * 1000).toLocaleString()}\n\n` +
+                `🔒 Only the tax owed is shared; income and deductions stay encrypted.`;
+
+            this.app.showMessage(resultText, 'success');
+            this.app.showTaxResult(resultText);
+        } catch (error) {
+            if (error.message?.includes('No view access')) {
+                this.app.showMessage('❌ Your access to this taxpayer\'s results has expired or was revoked', 'error');
+                await this.renderSharedWithMe();
+            } else {
+                this.app.showMessage(this.app.handleBlockchainError(error, 'View shared result'), error.code === 4001 ? 'warning' : 'error');
+            }
+        }
+    }
+}
@@ -0,0 +1,807 @@
+// Privacy Tax Calculator - Tax Schedule Engine
+// Drives every local tax figure from versioned JSON schedule definitions.
+// Amounts are BigInt 6-decimal USD units (see money.js); schedule JSON stays in dollars.
+
+class TaxScheduleEngine {
+    constructor() {
+        this.schedules = new Map();
+        this.layers = new Map();
+        this.activeScheduleId = null;
+        this.defaultScheduleId = null;
+        this.rounding = { ...TaxScheduleEngine.DEFAULT_ROUNDING };
+    }
+
+    // Load the schedule manifest and every schedule it lists
+    async loadSchedules(manifestUrl = 'schedules/index.json') {
+        const baseUrl = manifestUrl.slice(0, manifestUrl.lastIndexOf('/') + 1);
+        const manifest = await this.fetchJson(manifestUrl);
+
+        const definitions = await Promise.all(
+            manifest.schedules.map(file => this.fetchJson(baseUrl + file))
+        );
+        definitions.forEach(definition => this.registerSchedule(definition));
+
+        const layers = await Promise.all(
+            (manifest.layers || []).map(file => this.fetchJson(baseUrl + file))
+        );
+        layers.forEach(layer => this.registerLayer(layer));
+
+        if (manifest.rounding) {
+            this.setRounding(manifest.rounding);
+        }
+        this.defaultScheduleId = manifest.default || definitions[0].id;
+        this.setActiveSchedule(this.defaultScheduleId);
+        return this.getActiveSchedule();
+    }
+
+    async fetchJson(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Failed to load ${url}: HTTP ${response.status}`);
+        }
+        return response.json();
+    }
+
+    // Validate a schedule definition and make it available by id
+    registerSchedule(definition) {
+        if (!definition || !definition.id) {
+            throw new Error('Tax schedule must have an id');
+        }
+        if (!definition.filingStatuses) {
+            throw new Error(`Tax schedule ${definition.id} has no filing statuses`);
+        }
+
+        Object.keys(TaxScheduleEngine.FILING_STATUSES).forEach(status => {
+            const table = definition.filingStatuses[status];
+            if (!table) {
+                throw new Error(`Tax schedule ${definition.id} is missing filing status ${status}`);
+            }
+            if (typeof table.standardDeduction !== 'number' || table.standardDeduction < 0) {
+                throw new Error(`Tax schedule ${definition.id} (${status}): invalid standard deduction`);
+            }
+            this.validateBrackets(table.brackets, `${definition.id} (${status})`);
+            this.validateBrackets(table.capitalGainsBrackets, `${definition.id} (${status}, capital gains)`);
+        });
+
+        const itemizedRules = definition.itemizedDeductions;
+        if (!itemizedRules || typeof itemizedRules.medicalFloorPercent !== 'number' || !itemizedRules.saltCap) {
+            throw new Error(`Tax schedule ${definition.id} has no itemized deduction rules`);
+        }
+
+        const creditRules = definition.credits;
+        if (!creditRules || !creditRules.child || !creditRules.otherDependent ||
+            !creditRules.childPhaseOut || !creditRules.education) {
+            throw new Error(`Tax schedule ${definition.id} has no credit rules`);
+        }
+
+        const payrollRules = definition.payroll;
+        if (!payrollRules || !payrollRules.additionalMedicareThreshold || !payrollRules.selfEmployment) {
+            throw new Error(`Tax schedule ${definition.id} has no payroll tax rules`);
+        }
+
+        const withholdingRules = definition.withholding;
+        if (!withholdingRules || !Array.isArray(withholdingRules.installmentDueDates) ||
+            withholdingRules.installmentDueDates.length !== 4 || !withholdingRules.highIncomeThreshold) {
+            throw new Error(`Tax schedule ${definition.id} has no withholding rules`);
+        }
+
+        this.schedules.set(definition.id, definition);
+        return definition;
+    }
+
+    // Register a copy of a schedule whose bracket tables are replaced per filing status, e.g.
+    // with brackets published on-chain. `brackets` and `capitalGainsBrackets` map a filing status
+    // to its brackets; statuses they leave out keep the base brackets, and all other rules come
+    // from the base.
+    deriveSchedule(baseScheduleId, { id, version, jurisdiction, description, taxYear, brackets = {}, capitalGainsBrackets = {} }) {
+        const base = this.getSchedule(baseScheduleId);
+        const filingStatuses = {};
+        Object.keys(base.filingStatuses).forEach(status => {
+            const table = base.filingStatuses[status];
+            filingStatuses[status] = {
+                ...table,
+                brackets: brackets[status] || table.brackets,
+                capitalGainsBrackets: capitalGainsBrackets[status] || table.capitalGainsBrackets
+            };
+        });
+
+        return this.registerSchedule({
+            ...base,
+            id: id,
+            version: version,
+            jurisdiction: jurisdiction || base.jurisdiction,
+            description: description || base.description,
+            taxYear: taxYear || base.taxYear,
+            filingStatuses: filingStatuses
+        });
+    }
+
+    validateBrackets(brackets, label) {
+        if (!Array.isArray(brackets) || brackets.length === 0) {
+            throw new Error(`Tax schedule ${label} has no brackets`);
+        }
+
+        let lowerBound = 0;
+        brackets.forEach((bracket, index) => {
+            const isLast = index === brackets.length - 1;
+            if (typeof bracket.rate !== 'number' || bracket.rate < 0 || bracket.rate > 100) {
+                throw new Error(`Tax schedule ${label}: bracket ${index + 1} has an invalid rate`);
+            }
+            if (isLast && bracket.upTo !== null) {
+                throw new Error(`Tax schedule ${label}: last bracket must be open-ended (upTo: null)`);
+            }
+            if (!isLast && !(bracket.upTo > lowerBound)) {
+                throw new Error(`Tax schedule ${label}: bracket thresholds must be ascending`);
+            }
+            lowerBound = bracket.upTo;
+        });
+    }
+
+    // Validate a state or local tax layer and make it available by id
+    registerLayer(layer) {
+        if (!layer || !layer.id) {
+            throw new Error('Tax layer must have an id');
+        }
+        if (!['state', 'local'].includes(layer.level)) {
+            throw new Error(`Tax layer ${layer.id} must have level "state" or "local"`);
+        }
+        if (!TaxScheduleEngine.LAYER_INCOME_BASES[layer.incomeBase]) {
+            throw new Error(`Tax layer ${layer.id} has an unknown income base: ${layer.incomeBase}`);
+        }
+
+        if (layer.type === 'flat') {
+            if (typeof layer.rate !== 'number' || layer.rate < 0 || layer.rate > 100) {
+                throw new Error(`Tax layer ${layer.id} has an invalid flat rate`);
+            }
+        } else if (layer.type === 'progressive') {
+            Object.keys(TaxScheduleEngine.FILING_STATUSES).forEach(status => {
+                this.validateBrackets(this.getLayerBrackets(layer, status), `${layer.id} (${status})`);
+            });
+        } else {
+            throw new Error(`Tax layer ${layer.id} must be "flat" or "progressive"`);
+        }
+
+        this.layers.set(layer.id, layer);
+        return layer;
+    }
+
+    getLayer(layerId) {
+        const layer = this.layers.get(layerId);
+        if (!layer) {
+            throw new Error(`Unknown tax layer: ${layerId}`);
+        }
+        return layer;
+    }
+
+    // State layers, and local layers for a given state
+    getLayers(level, state) {
+        return Array.from(this.layers.values())
+            .filter(layer => layer.level === level && (!state || layer.state === state));
+    }
+
+    // Layer values may be one number/table for everyone or a map keyed by filing status
+    getLayerValue(value, filingStatus) {
+        if (value === undefined || value === null) return 0n;
+        return Money.from(typeof value === 'object' ? value[filingStatus] : value);
+    }
+
+    getLayerBrackets(layer, filingStatus) {
+        return Array.isArray(layer.brackets) ? layer.brackets : layer.brackets[filingStatus];
+    }
+
+    // Rounding policy: `unit` (dollar or cent) and `mode` apply to every reported amount;
+    // the "per-line" strategy also rounds each bracket slice before it is summed
+    setRounding(rounding) {
+        const next = { ...this.rounding, ...rounding };
+        if (!Money.UNITS[next.unit]) {
+            throw new Error(`Unknown rounding unit: ${next.unit}`);
+        }
+        if (!Money.ROUNDING_MODES.includes(next.mode)) {
+            throw new Error(`Unknown rounding mode: ${next.mode}`);
+        }
+        if (!['final', 'per-line'].includes(next.strategy)) {
+            throw new Error(`Rounding strategy must be "final" or "per-line"`);
+        }
+        this.rounding = next;
+        return this.rounding;
+    }
+
+    roundLine(amount) {
+        return this.rounding.strategy === 'per-line' ? this.roundTotal(amount) : amount;
+    }
+
+    roundTotal(amount) {
+        return Money.round(amount, this.rounding.unit, this.rounding.mode);
+    }
+
+    setActiveSchedule(scheduleId) {
+        if (!this.schedules.has(scheduleId)) {
+            throw new Error(`Unknown tax schedule: ${scheduleId}`);
+        }
+        this.activeScheduleId = scheduleId;
+    }
+
+    getActiveSchedule() {
+        return this.getSchedule(this.activeScheduleId);
+    }
+
+    getSchedule(scheduleId = this.activeScheduleId) {
+        const schedule = this.schedules.get(scheduleId);
+        if (!schedule) {
+            throw new Error('No tax schedule loaded');
+        }
+        return schedule;
+    }
+
+    // Bracket table and standard deduction for one filing status
+    getFilingStatusTable(filingStatus = 'single', scheduleId) {
+        const schedule = this.getSchedule(scheduleId);
+        const table = schedule.filingStatuses[filingStatus];
+        if (!table) {
+            throw new Error(`Unknown filing status: ${filingStatus}`);
+        }
+        return table;
+    }
+
+    getStandardDeduction(filingStatus, scheduleId) {
+        return Money.from(this.getFilingStatusTable(filingStatus, scheduleId).standardDeduction);
+    }
+
+    // Split taxable income across the filing status' brackets
+    getBracketBreakdown(taxableIncome, filingStatus, scheduleId) {
+        const { brackets } = this.getFilingStatusTable(filingStatus, scheduleId);
+        return this.sliceBrackets(brackets, 0n, Money.max(0n, taxableIncome));
+    }
+
+    // Tax the income range [start, end) against a bracket table. Preferential income
+    // is stacked on top of ordinary income, so its range does not start at zero.
+    sliceBrackets(brackets, start, end) {
+        const slices = [];
+        let lowerBound = 0n;
+
+        for (const bracket of brackets) {
+            if (end <= lowerBound) break;
+
+            const upTo = bracket.upTo === null ? null : Money.from(bracket.upTo);
+            const upperBound = upTo === null ? end : Money.min(end, upTo);
+            const taxableAmount = Money.max(0n, upperBound - Money.max(start, lowerBound));
+            if (taxableAmount > 0n) {
+                slices.push({
+                    rate: bracket.rate,
+                    from: lowerBound,
+                    to: upTo,
+                    taxableAmount: taxableAmount,
+                    tax: this.roundLine(Money.percentOf(taxableAmount, bracket.rate, this.rounding.mode))
+                });
+            }
+
+            if (upTo === null) break;
+            lowerBound = upTo;
+        }
+
+        return slices;
+    }
+
+    // Calculate progressive tax under the configured rounding policy
+    calculateTax(taxableIncome, filingStatus, scheduleId) {
+        return this.sumSlices(this.getBracketBreakdown(taxableIncome, filingStatus, scheduleId));
+    }
+
+    sumSlices(slices) {
+        return this.roundTotal(Money.sum(slices.map(slice => slice.tax)));
+    }
+
+    // Rate applied to the next dollar of taxable income
+    getMarginalRate(taxableIncome, filingStatus, scheduleId) {
+        const { brackets } = this.getFilingStatusTable(filingStatus, scheduleId);
+        return this.findBracket(brackets, taxableIncome).rate;
+    }
+
+    findBracket(brackets, taxableIncome) {
+        return brackets.find(b => b.upTo === null || taxableIncome <= Money.from(b.upTo));
+    }
+
+    // Itemize deductions by category and pick the larger of itemized and standard
+    computeDeductions({ income, itemized = {}, filingStatus = 'single', scheduleId }) {
+        const rules = this.getSchedule(scheduleId).itemizedDeductions;
+        const standardDeduction = this.getStandardDeduction(filingStatus, scheduleId);
+        const saltCap = Money.from(rules.saltCap[filingStatus]);
+        const medicalFloor = this.roundTotal(Money.percentOf(income, rules.medicalFloorPercent));
+
+        const items = Object.keys(TaxScheduleEngine.ITEMIZED_CATEGORIES).map(category => {
+            const claimed = Money.max(0n, Money.from(itemized[category]));
+            let allowed = claimed;
+            let note = '';
+
+            if (category === 'stateLocalTaxes' && claimed > saltCap) {
+                allowed = saltCap;
+                note = `capped at ${Money.format(saltCap)}`;
+            } else if (category === 'medicalExpenses' && claimed > 0n) {
+                allowed = Money.max(0n, claimed - medicalFloor);
+                note = `only the amount above ${rules.medicalFloorPercent}% of income (${Money.format(medicalFloor)})`;
+            }
+
+            return {
+                category: category,
+                label: TaxScheduleEngine.ITEMIZED_CATEGORIES[category],
+                claimed: claimed,
+                allowed: allowed,
+                note: note
+            };
+        });
+
+        const itemizedTotal = Money.sum(items.map(item => item.allowed));
+        const useItemized = itemizedTotal > standardDeduction;
+
+        return {
+            method: useItemized ? 'itemized' : 'standard',
+            amount: useItemized ? itemizedTotal : standardDeduction,
+            standardDeduction: standardDeduction,
+            itemizedTotal: itemizedTotal,
+            items: items,
+            reason: useItemized
+                ? `Itemized deductions (${Money.format(itemizedTotal)}) exceed the standard deduction (${Money.format(standardDeduction)})`
+                : `Standard deduction (${Money.format(standardDeduction)}) is at least the itemized total (${Money.format(itemizedTotal)})`
+        };
+    }
+
+    // Credits stage, run after the bracket tax. Non-refundable credits are capped at the
+    // remaining liability; refundable credits can take the balance below zero.
+    computeCredits({ tax, income, earnedIncome, credits = {}, filingStatus = 'single', scheduleId }) {
+        const rules = this.getSchedule(scheduleId).credits;
+        const children = Math.max(0, Math.floor(credits.children || 0));
+        const otherDependents = Math.max(0, Math.floor(credits.otherDependents || 0));
+        const educationExpenses = Money.max(0n, Money.from(credits.educationExpenses));
+        const customAmount = Money.max(0n, Money.from(credits.customAmount));
+
+        // Child and dependent credits share one phase-out, applied to the child credit first
+        const phaseOutStart = Money.from(rules.childPhaseOut.start[filingStatus]);
+        const phaseOutSteps = Money.divide(Money.max(0n, income - phaseOutStart), Money.from(rules.childPhaseOut.step), 'up');
+        let phaseOutReduction = phaseOutSteps * Money.from(rules.childPhaseOut.reductionPerStep);
+
+        const childBase = BigInt(children) * Money.from(rules.child.amountPerChild);
+        const childEligible = Money.max(0n, childBase - phaseOutReduction);
+        phaseOutReduction -= childBase - childEligible;
+        const dependentBase = BigInt(otherDependents) * Money.from(rules.otherDependent.amountPerDependent);
+        const dependentEligible = Money.max(0n, dependentBase - phaseOutReduction);
+        const phaseOutNote = phaseOutSteps > 0n
+            ? `phased out above ${Money.format(phaseOutStart)} of income`
+            : '';
+
+        // Education credit: 100% of the first tier of expenses, partial rate on the next tier
+        const educationRules = rules.education;
+        const educationRange = educationRules.phaseOut[filingStatus];
+        let educationEligible = 0n;
+        let educationNote = '';
+        if (educationExpenses > 0n && !educationRange) {
+            educationNote = 'not available for this filing status';
+        } else if (educationExpenses > 0n) {
+            const fullRateExpenses = Money.from(educationRules.fullRateExpenses);
+            const fullRatePart = Money.min(educationExpenses, fullRateExpenses);
+            const partialRatePart = Money.min(
+                Money.max(0n, educationExpenses - fullRateExpenses),
+                Money.from(educationRules.partialRateExpenses)
+            );
+            const educationBase = fullRatePart + Money.percentOf(partialRatePart, educationRules.partialRate);
+
+            // Linear phase-out: the share still allowed is (end - income) / (end - start)
+            const rangeStart = Money.from(educationRange.start);
+            const rangeEnd = Money.from(educationRange.end);
+            const remaining = Money.min(rangeEnd - rangeStart, Money.max(0n, rangeEnd - income));
+            educationEligible = this.roundTotal(
+                Money.divide(educationBase * remaining, rangeEnd - rangeStart, this.rounding.mode));
+            if (income > rangeStart) {
+                educationNote = `phased out between ${Money.format(rangeStart)} and ${Money.format(rangeEnd)} of income`;
+            }
+        }
+        const educationRefundable = this.roundTotal(Money.percentOf(educationEligible, educationRules.refundablePercent));
+
+        let remainingTax = Money.max(0n, tax);
+        const applyNonRefundable = amount => {
+            const applied = Money.min(amount, remainingTax);
+            remainingTax -= applied;
+            return applied;
+        };
+
+        const items = [];
+        const addItem = (key, label, refundable, eligible, applied, note) => {
+            if (eligible > 0n || note) {
+                items.push({ key, label, refundable, eligible, applied, note });
+            }
+        };
+
+        // Non-refundable credits, in statutory order
+        const childApplied = applyNonRefundable(childEligible);
+        addItem('child', 'Child Tax Credit', false, childEligible, childApplied, phaseOutNote);
+        const dependentApplied = applyNonRefundable(dependentEligible);
+        addItem('otherDependent', 'Credit for Other Dependents', false, dependentEligible, dependentApplied, phaseOutNote);
+        const educationNonRefundable = educationEligible - educationRefundable;
+        addItem('education', 'Education Credit', false, educationNonRefundable,
+            applyNonRefundable(educationNonRefundable), educationNote);
+        if (!credits.customRefundable) {
+            addItem('custom', credits.customLabel || 'Custom Credit', false, customAmount, applyNonRefundable(customAmount), '');
+        }
+
+        // Refundable credits: unused child credit (limited by earned income), education share, custom
+        const additionalChild = Money.min(
+            childEligible - childApplied,
+            BigInt(children) * Money.from(rules.child.refundablePerChild),
+            this.roundTotal(Money.percentOf(
+                Money.max(0n, earnedIncome - Money.from(rules.child.earnedIncomeThreshold)), rules.child.earnedIncomeRate))
+        );
+        addItem('additionalChild', 'Additional Child Tax Credit', true, additionalChild, additionalChild,
+            additionalChild > 0n ? 'refundable part of the unused child tax credit' : '');
+        addItem('educationRefundable', 'Education Credit', true, educationRefundable, educationRefundable, '');
+        if (credits.customRefundable) {
+            addItem('custom', credits.customLabel || 'Custom Credit', true, customAmount, customAmount, '');
+        }
+
+        const nonRefundableApplied = Money.sum(items.filter(item => !item.refundable).map(item => item.applied));
+        const refundableApplied = Money.sum(items.filter(item => item.refundable).map(item => item.applied));
+
+        return {
+            preCreditTax: tax,
+            items: items,
+            nonRefundableApplied: nonRefundableApplied,
+            refundableApplied: refundableApplied,
+            total: nonRefundableApplied + refundableApplied,
+            netTax: tax - nonRefundableApplied - refundableApplied
+        };
+    }
+
+    // Social Security and Medicare on wages, plus self-employment tax on net business income.
+    // Self-employed taxpayers pay both halves; the employer-equivalent half is deductible.
+    computePayrollTax({ wages, businessIncome, filingStatus = 'single', scheduleId }) {
+        const rules = this.getSchedule(scheduleId).payroll;
+        const seRules = rules.selfEmployment;
+
+        const mode = this.rounding.mode;
+        const wageBase = Money.from(rules.socialSecurityWageBase);
+
+        const socialSecurity = Money.percentOf(Money.min(wages, wageBase), rules.socialSecurityRate, mode);
+        const medicare = Money.percentOf(wages, rules.medicareRate, mode);
+
+        let seEarnings = Money.percentOf(businessIncome, seRules.netEarningsPercent, mode);
+        if (seEarnings < Money.from(seRules.minimumNetEarnings)) {
+            seEarnings = 0n;
+        }
+        // Wages use up the Social Security wage base before self-employment earnings;
+        // self-employed taxpayers pay both the employee and employer halves
+        const remainingWageBase = Money.max(0n, wageBase - wages);
+        const seSocialSecurity = this.roundLine(
+            Money.percentOf(Money.min(seEarnings, remainingWageBase), rules.socialSecurityRate, mode) * 2n);
+        const seMedicare = this.roundLine(Money.percentOf(seEarnings, rules.medicareRate, mode) * 2n);
+        const selfEmploymentTax = this.roundTotal(seSocialSecurity + seMedicare);
+
+        const threshold = Money.from(rules.additionalMedicareThreshold[filingStatus]);
+        const additionalMedicare = Money.percentOf(
+            Money.max(0n, wages + seEarnings - threshold), rules.additionalMedicareRate, mode);
+
+        const lines = [
+            { key: 'socialSecurity', label: 'Social Security (employee)', amount: this.roundTotal(socialSecurity),
+                note: wages > wageBase ? `wages capped at ${Money.format(wageBase)}` : '' },
+            { key: 'medicare', label: 'Medicare (employee)', amount: this.roundTotal(medicare), note: '' },
+            { key: 'additionalMedicare', label: 'Additional Medicare Tax', amount: this.roundTotal(additionalMedicare),
+                note: additionalMedicare > 0n ? `on earnings above ${Money.format(threshold)}` : '' },
+            { key: 'selfEmployment', label: 'Self-Employment Tax', amount: selfEmploymentTax,
+                note: seEarnings > 0n ? `on ${Money.format(seEarnings)} of net earnings, ${seRules.netEarningsPercent}% of business income` : '' }
+        ].filter(line => line.amount > 0n);
+
+        return {
+            lines: lines,
+            // Employee Social Security and Medicare are fully withheld by the employer
+            withheldByEmployer: Money.sum(lines
+                .filter(line => line.key === 'socialSecurity' || line.key === 'medicare')
+                .map(line => line.amount)),
+            selfEmploymentTax: selfEmploymentTax,
+            selfEmploymentDeduction: this.roundTotal(Money.percentOf(selfEmploymentTax, seRules.deductiblePercent, mode)),
+            total: Money.sum(lines.map(line => line.amount))
+        };
+    }
+
+    // Tax one state or local layer with its own base, deductions and exemptions
+    computeLayerTax(layerId, { adjustedGrossIncome, earnedIncome, filingStatus = 'single', dependents = 0 }) {
+        const layer = this.getLayer(layerId);
+        const base = layer.incomeBase === 'earnedIncome' ? earnedIncome : adjustedGrossIncome;
+
+        const standardDeduction = this.getLayerValue(layer.standardDeduction, filingStatus);
+        const exemptionCount = (filingStatus === 'married_joint' ? 2 : 1) + dependents;
+        const exemptions = this.getLayerValue(layer.personalExemption, filingStatus) * BigInt(exemptionCount);
+        const taxableIncome = Money.max(0n, base - standardDeduction - exemptions);
+
+        const brackets = layer.type === 'flat'
+            ? this.sliceBrackets([{ upTo: null, rate: layer.rate }], 0n, taxableIncome)
+            : this.sliceBrackets(this.getLayerBrackets(layer, filingStatus), 0n, taxableIncome);
+        const tax = this.sumSlices(brackets);
+        const marginalRate = layer.type === 'flat'
+            ? layer.rate
+            : this.findBracket(this.getLayerBrackets(layer, filingStatus), taxableIncome).rate;
+
+        return {
+            id: layer.id,
+            jurisdiction: layer.jurisdiction,
+            level: layer.level,
+            type: layer.type,
+            incomeBase: TaxScheduleEngine.LAYER_INCOME_BASES[layer.incomeBase],
+            base: base,
+            standardDeduction: standardDeduction,
+            exemptions: exemptions,
+            exemptionCount: exemptions > 0n ? exemptionCount : 0,
+            taxableIncome: taxableIncome,
+            brackets: brackets,
+            tax: tax,
+            marginalRate: marginalRate,
+            effectiveRate: Money.ratio(tax, base)
+        };
+    }
+
+    // Reconcile the year's liability against withholding and quarterly estimated payments,
+    // estimate the underpayment penalty and plan next year's estimated payments
+    computeReconciliation({ liability, payments = {}, adjustedGrossIncome, filingStatus = 'single', scheduleId }) {
+        const schedule = this.getSchedule(scheduleId);
+        const rules = schedule.withholding;
+        const withholding = Money.max(0n, Money.from(payments.withholding));
+        const estimated = [0, 1, 2, 3].map(quarter => Money.max(0n, Money.from((payments.estimated || [])[quarter])));
+        const priorYearTax = payments.priorYearTax === undefined || payments.priorYearTax === null
+            ? null
+            : Money.from(payments.priorYearTax);
+        const hasPriorYearTax = priorYearTax !== null && priorYearTax >= 0n;
+
+        const totalPayments = withholding + Money.sum(estimated);
+        const balance = liability - totalPayments;
+
+        // Safe harbor: small balance, or enough paid against this year's or last year's tax
+        const priorYearPercent = adjustedGrossIncome > Money.from(rules.highIncomeThreshold[filingStatus])
+            ? rules.highIncomePriorYearPercent
+            : rules.priorYearPercent;
+        const minimumBalanceDue = Money.from(rules.minimumBalanceDue);
+        const currentYearTarget = this.roundTotal(Money.percentOf(liability, rules.currentYearPercent));
+        const priorYearTarget = hasPriorYearTax ? this.roundTotal(Money.percentOf(priorYearTax, priorYearPercent)) : null;
+        const requiredAnnualPayment = Money.max(0n, priorYearTarget === null
+            ? currentYearTarget
+            : Money.min(currentYearTarget, priorYearTarget));
+
+        let safeHarbor;
+        if (balance < minimumBalanceDue) {
+            safeHarbor = { met: true, reason: `balance due is under ${Money.format(minimumBalanceDue)}` };
+        } else if (totalPayments >= currentYearTarget) {
+            safeHarbor = { met: true, reason: `payments cover ${rules.currentYearPercent}% of this year's tax` };
+        } else if (priorYearTarget !== null && totalPayments >= priorYearTarget) {
+            safeHarbor = { met: true, reason: `payments cover ${priorYearPercent}% of last year's tax` };
+        } else {
+            safeHarbor = {
+                met: false,
+                reason: `payments of ${Money.format(totalPayments)} are below the required ${Money.format(requiredAnnualPayment)}`
+            };
+        }
+
+        // Penalty estimate: each quarter's shortfall accrues interest from its due date to the
+        // filing deadline. Withholding counts as paid evenly; overpayments carry forward.
+        const year = schedule.taxYear;
+        const deadline = this.getDueDate(rules.filingDeadline, year + 1);
+        const quarters = rules.installmentDueDates.map((monthDay, quarter) => {
+            return { quarter: quarter + 1, dueDate: this.getDueDate(monthDay, quarter === 3 ? year + 1 : year) };
+        });
+        const requiredInstallment = Money.divide(requiredAnnualPayment, 4n);
+        const withholdingInstallment = Money.divide(withholding, 4n);
+        let carryForward = 0n;
+        let penalty = 0n;
+        if (!safeHarbor.met) {
+            quarters.forEach((installment, index) => {
+                const available = withholdingInstallment + estimated[index] + carryForward;
+                const shortfall = Money.max(0n, requiredInstallment - available);
+                carryForward = Money.max(0n, available - requiredInstallment);
+
+                const days = Math.round((deadline - installment.dueDate) / 86400000);
+                installment.shortfall = this.roundTotal(shortfall);
+                installment.penalty = this.roundLine(
+                    Money.scale(Money.percentOf(shortfall, rules.penaltyRate), days, 365, this.rounding.mode));
+                penalty += installment.penalty;
+            });
+        }
+
+        // Next year: cover this year's tax (the prior-year safe harbor) net of expected withholding.
+        // Installments round up so four of them never fall short of the target.
+        const nextYearTarget = this.roundTotal(Money.percentOf(liability, priorYearPercent));
+        const nextYearInstallment = Money.round(
+            Money.max(0n, Money.divide(nextYearTarget - withholding, 4n, 'up')), this.rounding.unit, 'up');
+        const nextYearPlan = rules.installmentDueDates.map((monthDay, quarter) => ({
+            quarter: quarter + 1,
+            dueDate: this.getDueDate(monthDay, quarter === 3 ? year + 2 : year + 1),
+            amount: nextYearInstallment
+        }));
+
+        return {
+            liability: liability,
+            withholding: withholding,
+            estimated: estimated,
+            totalPayments: totalPayments,
+            balance: balance,
+            safeHarbor: safeHarbor,
+            requiredAnnualPayment: requiredAnnualPayment,
+            penaltyRate: rules.penaltyRate,
+            quarters: quarters,
+            penalty: this.roundTotal(penalty),
+            nextYearTarget: nextYearTarget,
+            nextYearPlan: nextYearPlan
+        };
+    }
+
+    // "MM-DD" in a given year, as a UTC date
+    getDueDate(monthDay, year) {
+        const [month, day] = monthDay.split('-').map(Number);
+        return new Date(Date.UTC(year, month - 1, day));
+    }
+
+    // Normalize an income-by-type map, dropping unknown types and negative amounts
+    normalizeIncomes(incomes = {}) {
+        const normalized = {};
+        Object.keys(TaxScheduleEngine.INCOME_TYPES).forEach(type => {
+            normalized[type] = Money.max(0n, Money.from(incomes[type]));
+        });
+        return normalized;
+    }
+
+    // The amounts the contract computes its bracket tax from: ordinary income after the
+    // self-employment adjustment, gains and qualified dividends, and the deduction taken on AGI
+    computeContractInputs({ incomes, itemized = {}, filingStatus = 'single', scheduleId }) {
+        const result = this.computeReturn({ incomes, itemized, filingStatus, scheduleId });
+        return {
+            ordinaryIncome: result.ordinaryIncome - result.payroll.selfEmploymentDeduction,
+            preferentialIncome: result.preferentialIncome,
+            deductions: result.deductions.amount
+        };
+    }
+
+    // The contract's bracket tax on those amounts, before credits, payroll and state tax: ordinary
+    // taxable income at `brackets` and the gains stacked above it at `capitalGainsBrackets`
+    computeContractTax({ ordinaryIncome, preferentialIncome, deductions }, brackets, capitalGainsBrackets) {
+        const ordinaryTaxableIncome = Money.max(0n, ordinaryIncome - deductions);
+        const taxableIncome = Money.max(0n, ordinaryIncome + preferentialIncome - deductions);
+        return this.sumSlices(this.sliceBrackets(brackets, 0n, ordinaryTaxableIncome)) +
+            this.sumSlices(this.sliceBrackets(capitalGainsBrackets, ordinaryTaxableIncome, taxableIncome));
+    }
+
+    // Full return computation: income types, deductions, taxable income, tax and rates
+    computeReturn({ incomes, itemized = {}, credits = {}, jurisdictions = {}, payments = {}, filingStatus = 'single', scheduleId }) {
+        const table = this.getFilingStatusTable(filingStatus, scheduleId);
+        const amounts = this.normalizeIncomes(incomes);
+        const types = Object.keys(TaxScheduleEngine.INCOME_TYPES);
+        const isPreferential = type => TaxScheduleEngine.INCOME_TYPES[type].preferential;
+
+        const income = Money.sum(types.map(type => amounts[type]));
+        const ordinaryIncome = Money.sum(types.filter(type => !isPreferential(type)).map(type => amounts[type]));
+        const preferentialIncome = income - ordinaryIncome;
+
+        // Half of self-employment tax is an adjustment to income, taken before deductions
+        const payroll = this.computePayrollTax({
+            wages: amounts.wages, businessIncome: amounts.businessIncome, filingStatus, scheduleId
+        });
+        const adjustedGrossIncome = income - payroll.selfEmploymentDeduction;
+        const ordinaryAdjustedIncome = ordinaryIncome - payroll.selfEmploymentDeduction;
+
+        // Deductions reduce ordinary income first, then preferential income
+        const deductions = this.computeDeductions({ income: adjustedGrossIncome, itemized, filingStatus, scheduleId });
+        const taxableIncome = Money.max(0n, adjustedGrossIncome - deductions.amount);
+        const ordinaryTaxableIncome = Money.max(0n, ordinaryAdjustedIncome - deductions.amount);
+        const preferentialTaxableIncome = taxableIncome - ordinaryTaxableIncome;
+
+        const brackets = this.sliceBrackets(table.brackets, 0n, ordinaryTaxableIncome);
+        const capitalGainsBrackets = this.sliceBrackets(table.capitalGainsBrackets, ordinaryTaxableIncome, taxableIncome);
+        const ordinaryTax = this.sumSlices(brackets);
+        const preferentialTax = this.sumSlices(capitalGainsBrackets);
+        const tax = ordinaryTax + preferentialTax;
+        const creditResult = this.computeCredits({
+            tax,
+            income: adjustedGrossIncome,
+            earnedIncome: amounts.wages + amounts.businessIncome - payroll.selfEmploymentDeduction,
+            credits,
+            filingStatus,
+            scheduleId
+        });
+        const federalTax = creditResult.netTax + payroll.total;
+
+        // Withholding and estimated payments settle everything except employer-withheld FICA
+        const reconciliation = this.computeReconciliation({
+            liability: federalTax - payroll.withheldByEmployer,
+            payments,
+            adjustedGrossIncome,
+            filingStatus,
+            scheduleId
+        });
+
+        // State and local layers stack on top of the federal layer
+        const earnedIncome = amounts.wages + amounts.businessIncome;
+        const dependents = Math.max(0, Math.floor(credits.children || 0)) +
+            Math.max(0, Math.floor(credits.otherDependents || 0));
+        const layers = [jurisdictions.state, jurisdictions.local]
+            .filter(Boolean)
+            .map(layerId => this.computeLayerTax(layerId, {
+                adjustedGrossIncome, earnedIncome, filingStatus, dependents
+            }));
+        const stateLocalTax = Money.sum(layers.map(layer => layer.tax));
+        const totalTax = federalTax + stateLocalTax;
+
+        // Attribute each layer's tax to its income types in proportion to their amounts
+        const incomeTypes = types.map(type => {
+            const layerIncome = isPreferential(type) ? preferentialIncome : ordinaryIncome;
+            const layerTax = isPreferential(type) ? preferentialTax : ordinaryTax;
+            return {
+                type: type,
+                label: TaxScheduleEngine.INCOME_TYPES[type].label,
+                preferential: isPreferential(type),
+                amount: amounts[type],
+                tax: layerIncome > 0n
+                    ? this.roundTotal(Money.divide(layerTax * amounts[type], layerIncome, this.rounding.mode))
+                    : 0n
+            };
+        });
+
+        return {
+            income: income,
+            incomes: amounts,
+            incomeTypes: incomeTypes,
+            ordinaryIncome: ordinaryIncome,
+            adjustedGrossIncome: adjustedGrossIncome,
+            preferentialIncome: preferentialIncome,
+            filingStatus: filingStatus,
+            deductions: deductions,
+            taxableIncome: taxableIncome,
+            ordinaryTaxableIncome: ordinaryTaxableIncome,
+            preferentialTaxableIncome: preferentialTaxableIncome,
+            ordinaryTax: ordinaryTax,
+            preferentialTax: preferentialTax,
+            tax: tax,
+            credits: creditResult,
+            netTax: creditResult.netTax,
+            payroll: payroll,
+            federalTax: federalTax,
+            reconciliation: reconciliation,
+            layers: layers,
+            stateLocalTax: stateLocalTax,
+            totalTax: totalTax,
+            effectiveRate: Money.ratio(creditResult.netTax, income),
+            combinedEffectiveRate: Money.ratio(totalTax, income),
+            marginalRate: this.getMarginalRate(ordinaryTaxableIncome, filingStatus, scheduleId),
+            brackets: brackets,
+            capitalGainsBrackets: capitalGainsBrackets,
+            rounding: { ...this.rounding }
+        };
+    }
+}
+
+// In the order of the contract's FilingStatus enum, which numbers them from 0
+TaxScheduleEngine.FILING_STATUSES = {
+    single: 'Single',
+    married_joint: 'Married Filing Jointly',
+    married_separate: 'Married Filing Separately',
+    head_of_household: 'Head of Household'
+};
+
+// Whole-dollar amounts, rounded half-up once per reported figure
+TaxScheduleEngine.DEFAULT_ROUNDING = {
+    unit: 'dollar',
+    mode: 'half-up',
+    strategy: 'final'
+};
+
+TaxScheduleEngine.ITEMIZED_CATEGORIES = {
+    mortgageInterest: 'Mortgage Interest',
+    stateLocalTaxes: 'State & Local Taxes',
+    charitable: 'Charitable Giving',
+    medicalExpenses: 'Medical Expenses'
+};
+
+TaxScheduleEngine.INCOME_TYPES = {
+    wages: { label: 'Wages & Salary', preferential: false },
+    businessIncome: { label: 'Net Business Income', preferential: false },
+    interest: { label: 'Interest', preferential: false },
+    shortTermGains: { label: 'Short-Term Capital Gains', preferential: false },
+    longTermGains: { label: 'Long-Term Capital Gains', preferential: true },
+    qualifiedDividends: { label: 'Qualified Dividends', preferential: true }
+};
+
+TaxScheduleEngine.LAYER_INCOME_BASES = {
+    adjustedGrossIncome: 'adjusted gross income',
+    earnedIncome: 'wages and business income'
+};
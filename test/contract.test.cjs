@@ -0,0 +1,417 @@
+// PrivateTaxCalculator on an in-process local chain with the mock FHE executor: the contract is
+// compiled with the deploy script's settings and driven through the app's own FHE client.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ganache = require('ganache');
+const { ethers } = require('ethers');
+const { compile } = require('../scripts/deploy.cjs');
+const { loadBrowserScripts } = require('./load-browser-scripts.cjs');
+
+const { FheClient, GaslessRelay, ProofOfFiling } = loadBrowserScripts(
+    ['money.js', 'fhe-client.js', 'gasless-relay.js', 'proof-of-filing.js'], ['FheClient', 'GaslessRelay', 'ProofOfFiling'], { ethers }
+);
+
+const TAX_YEAR = 2024;
+const SINGLE = 0;
+const MARRIED_JOINT = 1;
+const MAX_UINT64 = 2n ** 64n - 1n;
+
+// Whole dollars in the contract's 6-decimal USD units
+const usd = dollars => BigInt(dollars) * 10n ** 6n;
+
+let chain;
+let provider;
+let owner;
+let accounts;
+let calculator;
+let executor;
+let token;
+let fhe;
+
+// Ganache nests estimateGas revert data in an object; nodes send it as `data`, where ethers
+// looks for the revert reason
+async function requestWithRevertData(payload) {
+    try {
+        return await chain.request(payload);
+    } catch (error) {
+        if (error.data && typeof error.data.result === 'string') {
+            error.data = error.data.result;
+        }
+        throw error;
+    }
+}
+
+test.before(async () => {
+    const compiled = compile();
+    chain = ganache.provider({ logging: { quiet: true }, chain: { chainId: 31337 }, wallet: { deterministic: true, totalAccounts: 13 } });
+    // Uncached, so a call repeated right after a state change is not answered from before it
+    provider = new ethers.BrowserProvider({ request: requestWithRevertData }, undefined, { cacheTimeout: -1 });
+    [owner, ...accounts] = await Promise.all(Array.from({ length: 13 }, (_, index) => provider.getSigner(index)));
+
+    const deploy = async (artifact, ...args) => {
+        const contract = await new ethers.ContractFactory(artifact.abi, artifact.bytecode, owner).deploy(...args);
+        await contract.waitForDeployment();
+        return contract;
+    };
+    executor = await deploy(compiled.executor);
+    calculator = await deploy(compiled, await executor.getAddress());
+    token = await deploy(compiled.token);
+    fhe = await FheClient.create(calculator, provider);
+});
+
+test.after(async () => {
+    await chain.disconnect();
+});
+
+// Encrypt a return for the taxpayer and submit it, calculating the tax unless told otherwise
+async function file(taxpayer, income, deductions, { gains = 0n, filingStatus = SINGLE, calculate = true } = {}) {
+    const { handles, inputProof } = fhe.encryptInputs(await calculator.getAddress(), taxpayer.address, [income, gains, deductions]);
+    const method = calculate ? 'submitAndCalculateTax' : 'submitTaxInfo';
+    await send(calculator.connect(taxpayer)[method], TAX_YEAR, filingStatus, ...handles, inputProof);
+}
+
+// Send a transaction with the 20% gas margin the app adds; ganache's estimates for calls that
+// reach the executor several times can fall just short
+async function send(method, ...args) {
+    const overrides = args.length > method.fragment.inputs.length ? args.pop() : {};
+    const gasLimit = 120n * await method.estimateGas(...args, overrides) / 100n;
+    return (await method(...args, { ...overrides, gasLimit })).wait();
+}
+
+// Decrypt a handle as the given account, the way the app does with eth_call
+async function decryptAs(account, handle) {
+    return BigInt(await executor.connect(account).decrypt(handle));
+}
+
+async function taxOwedOf(taxpayer) {
+    return decryptAs(taxpayer, await calculator.connect(taxpayer).getTaxOwed(TAX_YEAR));
+}
+
+test('calculates the bracket tax on encrypted income and deductions', async () => {
+    const [single, joint, negative] = accounts;
+
+    // $100,000 taxable: 10% of $50,000 plus 20% of $50,000
+    await file(single, usd(120000), usd(20000));
+    assert.equal(await taxOwedOf(single), usd(15000));
+    assert.equal(await calculator.getCalculationSchedule(single.address, TAX_YEAR), 1n);
+    assert.equal(await calculator.isCalculated(single.address, TAX_YEAR), true);
+
+    // Married filing jointly doubles the thresholds, so all of it is in the 10% bracket
+    await file(joint, usd(120000), usd(20000), { filingStatus: MARRIED_JOINT });
+    assert.equal(await taxOwedOf(joint), usd(10000));
+
+    // Deductions above income leave nothing taxable instead of wrapping around
+    await file(negative, usd(10000), usd(25000));
+    assert.equal(await taxOwedOf(negative), 0n);
+});
+
+test('gains are taxed at the gains brackets, stacked on ordinary taxable income', async () => {
+    const taxpayer = accounts[11];
+
+    // $45,400 ordinary at 10%; $1,625 of gains fit under the $47,025 0% threshold, the other $18,375 at 15%
+    await file(taxpayer, usd(60000), usd(14600), { gains: usd(20000) });
+    assert.equal(await taxOwedOf(taxpayer), usd(4540) + usd(275625) / 100n);
+
+    // Deductions above ordinary income come out of the gains: $95,400 taxable, all of it gains
+    const { handles, inputProof } = fhe.encryptInputs(await calculator.getAddress(), taxpayer.address, [usd(10000), usd(100000), usd(14600)]);
+    const filed = await calculator.getFilingCommitment(taxpayer.address, TAX_YEAR);
+    await send(calculator.connect(taxpayer).amendTaxInfo, TAX_YEAR, SINGLE, ...handles, inputProof);
+    assert.notEqual(await calculator.getFilingCommitment(taxpayer.address, TAX_YEAR), filed);
+    await send(calculator.connect(taxpayer).calculateTax, TAX_YEAR);
+    assert.equal(await taxOwedOf(taxpayer), usd(725625) / 100n);
+
+    const [thresholds, ratesBps, gainsThresholds, gainsRatesBps] = await calculator.getTaxSchedule(TAX_YEAR, SINGLE, 1);
+    assert.deepEqual([[...thresholds], [...ratesBps]], [[usd(50000), usd(100000)], [1000n, 2000n, 3000n]]);
+    assert.deepEqual([[...gainsThresholds], [...gainsRatesBps]], [[usd(47025), usd(518900)], [0n, 1500n, 2000n]]);
+});
+
+test('submitting and calculating are separate steps that each run once', async () => {
+    const taxpayer = accounts[3];
+    await file(taxpayer, usd(60000), 0n, { calculate: false });
+
+    await assert.rejects(calculator.connect(taxpayer).getTaxOwed(TAX_YEAR), /Tax not yet calculated/);
+    await assert.rejects(file(taxpayer, usd(60000), 0n), /already submitted/);
+
+    await send(calculator.connect(taxpayer).calculateTax, TAX_YEAR);
+    assert.equal(await taxOwedOf(taxpayer), usd(7000));
+    await assert.rejects(calculator.connect(taxpayer).calculateTax(TAX_YEAR), /Tax already calculated/);
+    await assert.rejects(calculator.connect(accounts[4]).calculateTax(TAX_YEAR), /No tax information submitted/);
+});
+
+test('the filing ID is derived from the verified input handles', async () => {
+    const taxpayer = accounts[3];
+    const [income, gains, deductions] = await calculator.getEncryptedInputs(taxpayer.address, TAX_YEAR);
+    assert.equal(
+        await calculator.getFilingCommitment(taxpayer.address, TAX_YEAR),
+        ProofOfFiling.filingCommitment(taxpayer.address, TAX_YEAR, SINGLE, [income, gains, deductions])
+    );
+
+    // The handles hold the filed amounts, which only the taxpayer can decrypt
+    assert.equal(await decryptAs(taxpayer, income), usd(60000));
+    assert.equal(await decryptAs(taxpayer, gains), 0n);
+    await assert.rejects(decryptAs(accounts[9], income), /Not allowed to decrypt/);
+    await assert.rejects(calculator.getEncryptedInputs(accounts[10].address, TAX_YEAR), /No tax record found/);
+});
+
+test('rejects inputs that were encrypted for another sender', async () => {
+    const [taxpayer, other] = [accounts[4], accounts[5]];
+    const { handles, inputProof } = fhe.encryptInputs(await calculator.getAddress(), other.address, [usd(1), 0n, usd(1)]);
+
+    await assert.rejects(
+        calculator.connect(taxpayer).submitTaxInfo(TAX_YEAR, SINGLE, ...handles, inputProof),
+        /Invalid input proof/
+    );
+});
+
+test('only the taxpayer and viewers they grant can decrypt the results', async () => {
+    const [taxpayer, viewer] = [accounts[0], accounts[9]];
+    const taxOwed = await calculator.connect(taxpayer).getTaxOwed(TAX_YEAR);
+
+    assert.equal(await executor.isAllowed(taxOwed, await calculator.getAddress()), true);
+    assert.equal(await executor.isAllowed(taxOwed, viewer.address), false);
+    await assert.rejects(decryptAs(viewer, taxOwed), /Not allowed to decrypt/);
+    await assert.rejects(calculator.connect(viewer).getTaxOwed(TAX_YEAR), /No tax record found/);
+    await assert.rejects(calculator.connect(viewer).allowSharedTaxOwed(taxpayer.address, TAX_YEAR), /No view access/);
+
+    await (await calculator.connect(taxpayer).grantViewAccess(viewer.address, 0)).wait();
+    await (await calculator.connect(viewer).allowSharedTaxOwed(taxpayer.address, TAX_YEAR)).wait();
+    assert.equal(await calculator.connect(viewer).getSharedTaxOwed(taxpayer.address, TAX_YEAR), taxOwed);
+    assert.equal(await decryptAs(viewer, taxOwed), usd(15000));
+
+    await (await calculator.connect(taxpayer).revokeViewAccess(viewer.address)).wait();
+    assert.equal(await calculator.hasViewAccess(taxpayer.address, viewer.address), false);
+    await assert.rejects(calculator.connect(viewer).getSharedTaxOwed(taxpayer.address, TAX_YEAR), /No view access/);
+});
+
+test('amounts are bounded to uint64 and stay exact up to the documented limit', async () => {
+    const [full, largest] = [accounts[6], accounts[7]];
+    const address = await calculator.getAddress();
+
+    assert.throws(() => fhe.encryptInputs(address, full.address, [MAX_UINT64 + 1n, 0n, 0n]), /out of uint64 range/);
+    assert.throws(() => fhe.encryptInputs(address, full.address, [-1n, 0n, 0n]), /out of uint64 range/);
+
+    // The largest encryptable income is accepted and fully deducted without overflow
+    await file(full, MAX_UINT64, MAX_UINT64);
+    assert.equal(await taxOwedOf(full), 0n);
+
+    // $1.8 billion taxable: $15,000 on the first $100,000 and 30% of the rest
+    await file(largest, usd(1800000000), 0n);
+    assert.equal(await taxOwedOf(largest), usd(15000) + usd(1800000000 - 100000) * 3n / 10n);
+});
+
+test('pausing stops every write but not reads or decryption', async () => {
+    const taxpayer = accounts[0];
+    const idle = accounts[8];
+
+    await assert.rejects(calculator.connect(taxpayer).emergencyPause(), /Only owner/);
+    await (await calculator.emergencyPause()).wait();
+    await assert.rejects(calculator.emergencyPause(), /Contract is paused/);
+
+    await assert.rejects(file(idle, usd(1), 0n), /Contract is paused/);
+    await assert.rejects(calculator.connect(taxpayer).calculateTax(TAX_YEAR), /Contract is paused/);
+    await assert.rejects(calculator.connect(taxpayer).clearTaxRecord(TAX_YEAR), /Contract is paused/);
+    await assert.rejects(calculator.connect(taxpayer).refundSettlement(TAX_YEAR), /Contract is paused/);
+    await assert.rejects(calculator.connect(taxpayer).settleTax(TAX_YEAR, usd(1), ethers.ZeroAddress), /Contract is paused/);
+    assert.equal(await taxOwedOf(taxpayer), usd(15000));
+
+    await (await calculator.unpause()).wait();
+    await assert.rejects(calculator.unpause(), /Contract is not paused/);
+    assert.equal(await calculator.paused(), false);
+});
+
+test('payments settle a year only once the owner confirms the encrypted coverage check', async () => {
+    const [taxpayer, underpayer] = [accounts[0], accounts[3]];
+    const treasury = accounts[8];
+    const tokenAddress = await token.getAddress();
+    const calculatorAddress = await calculator.getAddress();
+
+    await assert.rejects(calculator.connect(taxpayer).settleTax(TAX_YEAR, usd(15000), ethers.ZeroAddress), /Payments not configured/);
+    // $2,000 per ETH
+    await (await calculator.setPaymentConfig(treasury.address, tokenAddress, usd(2000))).wait();
+    assert.equal(await calculator.quoteSettlement(usd(15000), ethers.ZeroAddress), ethers.parseEther('7.5'));
+    assert.equal(await calculator.quoteSettlement(usd(15000), tokenAddress), usd(15000));
+    await assert.rejects(calculator.quoteSettlement(usd(1), treasury.address), /Token not accepted/);
+
+    // Full payment in the stablecoin
+    await (await token.mint(taxpayer.address, usd(15000))).wait();
+    await (await token.connect(taxpayer).approve(calculatorAddress, usd(15000))).wait();
+    await send(calculator.connect(taxpayer).settleTax, TAX_YEAR, usd(15000), tokenAddress);
+
+    let settlement = await calculator.getSettlement(taxpayer.address, TAX_YEAR);
+    assert.equal(settlement.status, 1n);
+    assert.equal(await decryptAs(taxpayer, settlement.coversTaxOwed), 1n);
+    assert.equal(await decryptAs(owner, settlement.coversTaxOwed), 1n);
+    await assert.rejects(calculator.connect(taxpayer).settleTax(TAX_YEAR, usd(1), tokenAddress), /awaiting confirmation/);
+    await assert.rejects(calculator.connect(taxpayer).confirmSettlement(taxpayer.address, TAX_YEAR, true), /Only owner/);
+
+    await (await calculator.confirmSettlement(taxpayer.address, TAX_YEAR, true)).wait();
+    assert.equal(await calculator.isSettled(taxpayer.address, TAX_YEAR), true);
+    await assert.rejects(calculator.connect(taxpayer).settleTax(TAX_YEAR, usd(1), tokenAddress), /Tax already settled/);
+    await assert.rejects(calculator.connect(taxpayer).clearTaxRecord(TAX_YEAR), /Tax payment on record/);
+
+    // Underpayment in ETH: $5,000 of $7,000 owed, then the shortfall in the same currency
+    const fiveThousand = await calculator.quoteSettlement(usd(5000), ethers.ZeroAddress);
+    await assert.rejects(
+        calculator.connect(underpayer).settleTax(TAX_YEAR, usd(5000), ethers.ZeroAddress, { value: fiveThousand - 1n }),
+        /Incorrect ETH amount/
+    );
+    await send(calculator.connect(underpayer).settleTax, TAX_YEAR, usd(5000), ethers.ZeroAddress, { value: fiveThousand });
+    settlement = await calculator.getSettlement(underpayer.address, TAX_YEAR);
+    assert.equal(await decryptAs(owner, settlement.coversTaxOwed), 0n);
+    await (await calculator.confirmSettlement(underpayer.address, TAX_YEAR, false)).wait();
+    assert.equal((await calculator.getSettlement(underpayer.address, TAX_YEAR)).status, 3n);
+
+    await assert.rejects(calculator.connect(underpayer).settleTax(TAX_YEAR, usd(2000), tokenAddress), /first payment's currency/);
+    const shortfall = await calculator.quoteSettlement(usd(2000), ethers.ZeroAddress);
+    await send(calculator.connect(underpayer).settleTax, TAX_YEAR, usd(2000), ethers.ZeroAddress, { value: shortfall });
+    settlement = await calculator.getSettlement(underpayer.address, TAX_YEAR);
+    assert.equal(settlement.taxAmount, usd(7000));
+    assert.equal(settlement.amountPaid, fiveThousand + shortfall);
+    assert.equal(await decryptAs(owner, settlement.coversTaxOwed), 1n);
+
+    // Only confirmed payments can be withdrawn to the treasury
+    assert.equal(await calculator.withdrawableBalance(tokenAddress), usd(15000));
+    await (await calculator.withdrawPayments(tokenAddress)).wait();
+    assert.equal(await token.balanceOf(treasury.address), usd(15000));
+    await assert.rejects(calculator.withdrawPayments(tokenAddress), /Nothing to withdraw/);
+
+    await assert.rejects(calculator.withdrawPayments(ethers.ZeroAddress), /Nothing to withdraw/);
+    await (await calculator.confirmSettlement(underpayer.address, TAX_YEAR, true)).wait();
+    assert.equal(await calculator.withdrawableBalance(ethers.ZeroAddress), settlement.amountPaid);
+    const treasuryBalance = await provider.getBalance(treasury.address);
+    await (await calculator.withdrawPayments(ethers.ZeroAddress)).wait();
+    assert.equal(await provider.getBalance(treasury.address), treasuryBalance + settlement.amountPaid);
+});
+
+test('payments found short are held for the taxpayer, who can take them back', async () => {
+    const taxpayer = accounts[1];
+    const tokenAddress = await token.getAddress();
+    const calculatorAddress = await calculator.getAddress();
+
+    // $1,000 of the $10,000 owed
+    await (await token.mint(taxpayer.address, usd(1000))).wait();
+    await (await token.connect(taxpayer).approve(calculatorAddress, usd(1000))).wait();
+    await send(calculator.connect(taxpayer).settleTax, TAX_YEAR, usd(1000), tokenAddress);
+    await assert.rejects(calculator.connect(taxpayer).refundSettlement(TAX_YEAR), /No underpaid payment to refund/);
+
+    await (await calculator.confirmSettlement(taxpayer.address, TAX_YEAR, false)).wait();
+    assert.equal(await calculator.withdrawableBalance(tokenAddress), 0n);
+    await assert.rejects(calculator.withdrawPayments(tokenAddress), /Nothing to withdraw/);
+    await assert.rejects(calculator.connect(accounts[10]).refundSettlement(TAX_YEAR), /No tax record found/);
+
+    await (await calculator.connect(taxpayer).refundSettlement(TAX_YEAR)).wait();
+    assert.equal(await token.balanceOf(taxpayer.address), usd(1000));
+    assert.equal(await token.balanceOf(calculatorAddress), 0n);
+    const settlement = await calculator.getSettlement(taxpayer.address, TAX_YEAR);
+    assert.equal(settlement.status, 0n);
+    assert.equal(settlement.amountPaid, 0n);
+    await assert.rejects(calculator.connect(taxpayer).refundSettlement(TAX_YEAR), /No underpaid payment to refund/);
+});
+
+test('signed requests are relayed once, before their deadline, for the signer only', async () => {
+    const taxpayer = ethers.Wallet.createRandom().connect(provider);
+    const relayer = accounts[8];
+    const calculatorAddress = await calculator.getAddress();
+    const domain = { name: 'PrivateTaxCalculator', version: '1', chainId: 31337, verifyingContract: calculatorAddress };
+    const deadline = BigInt((await provider.getBlock('latest')).timestamp) + 3600n;
+    const sign = (signer, type, request) => signer.signTypedData(domain, { [type]: GaslessRelay.TYPES[type] }, request);
+
+    const { handles, inputProof } = fhe.encryptInputs(calculatorAddress, taxpayer.address, [usd(80000), 0n, usd(30000)]);
+    const request = {
+        taxpayer: taxpayer.address,
+        taxYear: TAX_YEAR,
+        filingStatus: SINGLE,
+        encryptedIncome: handles[0],
+        encryptedGains: handles[1],
+        encryptedDeductions: handles[2],
+        inputProof,
+        calculate: true,
+        nonce: await calculator.nonces(taxpayer.address),
+        deadline
+    };
+    const submit = (signature, overrides = {}) => {
+        const signed = { ...request, ...overrides };
+        return send(
+            calculator.connect(relayer).submitTaxInfoBySig,
+            signed.taxpayer, signed.taxYear, signed.filingStatus, signed.encryptedIncome, signed.encryptedGains, signed.encryptedDeductions,
+            signed.inputProof, signed.calculate, signed.deadline, signature
+        );
+    };
+
+    // The domain and types the app signs with match the contract's
+    assert.equal(ethers.TypedDataEncoder.hashDomain(domain), await calculator.DOMAIN_SEPARATOR());
+    assert.equal(
+        ethers.TypedDataEncoder.from({ SubmitTaxInfo: GaslessRelay.TYPES.SubmitTaxInfo }).encodeType('SubmitTaxInfo'),
+        'SubmitTaxInfo(address taxpayer,uint16 taxYear,uint8 filingStatus,bytes32 encryptedIncome,bytes32 encryptedGains,bytes32 encryptedDeductions,bytes inputProof,bool calculate,uint256 nonce,uint256 deadline)'
+    );
+
+    const signature = await sign(taxpayer, 'SubmitTaxInfo', request);
+    await assert.rejects(submit(await sign(ethers.Wallet.createRandom(), 'SubmitTaxInfo', request)), /Invalid signature/);
+    await assert.rejects(submit(signature, { calculate: false }), /Invalid signature/);
+    const expired = { ...request, deadline: deadline - 7200n };
+    await assert.rejects(submit(await sign(taxpayer, 'SubmitTaxInfo', expired), expired), /Signature expired/);
+
+    await submit(signature);
+    assert.equal(await calculator.nonces(taxpayer.address), 1n);
+    assert.equal(await calculator.hasSubmitted(taxpayer.address, TAX_YEAR), true);
+    assert.equal(await calculator.hasSubmitted(relayer.address, TAX_YEAR), false);
+    assert.equal(await taxOwedOf(taxpayer), usd(5000));
+
+    // The nonce moved on, so the same signature cannot be replayed
+    await assert.rejects(submit(signature), /Invalid signature/);
+
+    const clear = { taxpayer: taxpayer.address, taxYear: TAX_YEAR, nonce: 1n, deadline };
+    const stale = await sign(taxpayer, 'ClearTaxRecord', { ...clear, nonce: 0n });
+    await assert.rejects(calculator.connect(relayer).clearTaxRecordBySig(taxpayer.address, TAX_YEAR, deadline, stale), /Invalid signature/);
+    const clearSignature = await sign(taxpayer, 'ClearTaxRecord', clear);
+    await (await calculator.connect(relayer).clearTaxRecordBySig(taxpayer.address, TAX_YEAR, deadline, clearSignature)).wait();
+    assert.equal(await calculator.hasSubmitted(taxpayer.address, TAX_YEAR), false);
+    assert.equal(await calculator.nonces(taxpayer.address), 2n);
+});
+
+test('range attestations publish only whether the tax owed is in range', async () => {
+    const taxpayer = accounts[3];
+    const commitment = await calculator.getFilingCommitment(taxpayer.address, TAX_YEAR);
+
+    await assert.rejects(calculator.connect(taxpayer).attestTaxOwedRange(TAX_YEAR, usd(2), usd(1)), /Invalid range/);
+    await assert.rejects(calculator.connect(accounts[10]).attestTaxOwedRange(TAX_YEAR, 0, usd(1)), /No tax record found/);
+
+    const attest = async (min, max) => {
+        await (await calculator.connect(taxpayer).attestTaxOwedRange(TAX_YEAR, min, max)).wait();
+        return calculator.getRangeAttestation(await calculator.rangeAttestationCount());
+    };
+
+    // The taxpayer owes $7,000; both bounds are inclusive
+    const inside = await attest(usd(7000), usd(7000));
+    assert.equal(inside.taxpayer, taxpayer.address);
+    assert.equal(inside.commitment, commitment);
+    assert.equal(await executor.isPubliclyDecryptable(inside.inRange), true);
+    assert.equal(await fhe.publicDecrypt(inside.inRange), 1n);
+
+    const outside = await attest(usd(7001), usd(10000));
+    assert.equal(await fhe.publicDecrypt(outside.inRange), 0n);
+    await assert.rejects(calculator.getRangeAttestation(0), /Unknown attestation/);
+
+    // The verifier page accepts a proof citing the in-range attestation, filing ID included
+    const proof = {
+        type: ProofOfFiling.TYPE,
+        version: ProofOfFiling.VERSION,
+        chainId: 31337,
+        contract: await calculator.getAddress(),
+        taxpayer: taxpayer.address,
+        taxYear: TAX_YEAR,
+        commitment: commitment,
+        submissionTime: Number(await calculator.getSubmissionTime(taxpayer.address, TAX_YEAR)),
+        calculationTime: Number(await calculator.getCalculationTime(taxpayer.address, TAX_YEAR)),
+        scheduleVersion: 1,
+        range: { attestationId: Number(await calculator.rangeAttestationCount()) - 1, min: '7000', max: '7000' },
+        issuedTo: 'Landlord',
+        issuedAt: 0
+    };
+    // Ganache has no personal_sign; its eth_sign adds the same message prefix
+    proof.signature = await provider.send('eth_sign', [taxpayer.address, ethers.hexlify(ethers.toUtf8Bytes(ProofOfFiling.signingMessage(proof)))]);
+    const checks = await ProofOfFiling.verify(proof, provider);
+    assert.deepEqual([...checks.filter(check => !check.ok)], []);
+    assert.ok(checks.some(check => check.label === 'Filing ID commits to the encrypted return'));
+});
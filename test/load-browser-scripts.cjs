@@ -0,0 +1,28 @@
+// Load the app's classic browser scripts into one sandbox, as index.html does with <script> tags.
+// Top-level classes and consts are script-scoped, so the requested names are read back by evaluation.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+// fetch() for relative URLs, served from the repository like `npm run dev` does
+async function fetchFile(url) {
+    const file = path.join(ROOT, url);
+    if (!fs.existsSync(file)) {
+        return { ok: false, status: 404 };
+    }
+    return { ok: true, status: 200, json: async () => JSON.parse(fs.readFileSync(file, 'utf8')) };
+}
+
+// `globals` stands in for what index.html loads before the scripts, such as the ethers bundle
+function loadBrowserScripts(files, names, globals = {}) {
+    const context = vm.createContext({ console, fetch: fetchFile, ...globals });
+    files.forEach(file => {
+        vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+    });
+    return vm.runInContext(`({ ${names.join(', ')} })`, context);
+}
+
+module.exports = { loadBrowserScripts };
@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBrowserScripts } = require('./load-browser-scripts.cjs');
+
+const { Money } = loadBrowserScripts(['money.js'], ['Money']);
+
+test('parse reads dollars, cents and separators into 6-decimal units', () => {
+    assert.equal(Money.parse('75000.50'), 75000500000n);
+    assert.equal(Money.parse('$1,250'), 1250000000n);
+    assert.equal(Money.parse('-12.5'), -12500000n);
+    assert.equal(Money.parse('.25'), 250000n);
+    assert.equal(Money.parse('0.000001'), 1n);
+});
+
+test('parse rejects malformed amounts and more than 6 decimals', () => {
+    assert.throws(() => Money.parse('abc'), /Invalid amount/);
+    assert.throws(() => Money.parse('.'), /Invalid amount/);
+    assert.throws(() => Money.parse('1.2.3'), /Invalid amount/);
+    assert.throws(() => Money.parse('0.0000001'), /more than 6 decimals/);
+});
+
+test('from takes numbers, strings and BigInt units', () => {
+    assert.equal(Money.from(75000.5), 75000500000n);
+    assert.equal(Money.from(0.1), 100000n);
+    assert.equal(Money.from('1,000'), 1000000000n);
+    assert.equal(Money.from(42n), 42n);
+    assert.equal(Money.from(undefined), 0n);
+    assert.equal(Money.from(''), 0n);
+    assert.equal(Money.from(1.5e-5), 15n);
+    assert.equal(Money.from(1e21), 10n ** 27n);
+});
+
+test('from rejects sub-unit and non-finite numbers instead of rounding them', () => {
+    assert.throws(() => Money.from(1e-7), /more than 6 decimals/);
+    assert.throws(() => Money.from(0.1 + 0.2), /more than 6 decimals/);
+    assert.throws(() => Money.from(NaN), /Invalid amount/);
+    assert.throws(() => Money.from(Infinity), /Invalid amount/);
+});
+
+test('75000.50 round-trips through storage and formatting', () => {
+    const amount = Money.from('75000.50');
+    assert.equal(Money.toDecimalString(amount), '75000.5');
+    assert.equal(Money.from(Money.toDecimalString(amount)), amount);
+    assert.equal(JSON.stringify({ income: amount }, Money.replacer), '{"income":"75000.5"}');
+    assert.equal(Money.format(amount), '$75,000.50');
+    assert.equal(Money.format(-amount), '-$75,000.50');
+    assert.equal(Money.format(Money.from(75000)), '$75,000');
+});
+
+test('divide rounds ties according to the mode', () => {
+    const cases = [
+        // numerator, denominator, half-up, half-even, down, up
+        [5n, 2n, 3n, 2n, 2n, 3n],
+        [7n, 2n, 4n, 4n, 3n, 4n],
+        [-5n, 2n, -3n, -2n, -2n, -3n],
+        [5n, -2n, -3n, -2n, -2n, -3n],
+        [7n, 3n, 2n, 2n, 2n, 3n],
+        [8n, 3n, 3n, 3n, 2n, 3n],
+        [6n, 3n, 2n, 2n, 2n, 2n]
+    ];
+    cases.forEach(([numerator, denominator, ...expected]) => {
+        ['half-up', 'half-even', 'down', 'up'].forEach((mode, index) => {
+            assert.equal(Money.divide(numerator, denominator, mode), expected[index], `${numerator}/${denominator} ${mode}`);
+        });
+    });
+});
+
+test('divide rejects a zero divisor and unknown modes', () => {
+    assert.throws(() => Money.divide(1n, 0n), /Division by zero/);
+    assert.throws(() => Money.divide(1n, 2n, 'nearest'), /Unknown rounding mode/);
+});
+
+test('round snaps to cents or dollars', () => {
+    assert.equal(Money.round(Money.from('2.5'), 'dollar', 'half-up'), Money.from(3));
+    assert.equal(Money.round(Money.from('2.5'), 'dollar', 'half-even'), Money.from(2));
+    assert.equal(Money.round(Money.from('3.5'), 'dollar', 'half-even'), Money.from(4));
+    assert.equal(Money.round(Money.from('1.005'), 'cent', 'half-up'), Money.from('1.01'));
+    assert.equal(Money.round(Money.from('1.005'), 'cent', 'down'), Money.from('1'));
+    assert.equal(Money.round(Money.from('-2.5'), 'dollar', 'half-up'), Money.from(-3));
+    assert.throws(() => Money.round(1n, 'euro'), /Unknown rounding unit/);
+});
+
+test('percentOf keeps fractional rates exact', () => {
+    assert.equal(Money.percentOf(Money.from(20000), 92.35), Money.from(18470));
+    assert.equal(Money.percentOf(Money.from(8600), 6.2), Money.from(533.2));
+    assert.equal(Money.percentOf(1n, 50, 'half-even'), 0n);
+    assert.equal(Money.percentOf(1n, 50, 'half-up'), 1n);
+    assert.throws(() => Money.percentOf(1n, '1.23456'), /more than 4 decimals/);
+});
+
+test('toContractUnits accepts exactly the uint64 range', () => {
+    assert.equal(Money.toContractUnits(0n), 0n);
+    assert.equal(Money.toContractUnits(2n ** 64n - 1n), 2n ** 64n - 1n);
+    assert.throws(() => Money.toContractUnits(-1n), /out of range/);
+    assert.throws(() => Money.toContractUnits(2n ** 64n), /out of range/);
+});
@@ -0,0 +1,139 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBrowserScripts } = require('./load-browser-scripts.cjs');
+
+const { Money, TaxScheduleEngine } = loadBrowserScripts(['money.js', 'tax-engine.js'], ['Money', 'TaxScheduleEngine']);
+
+async function loadEngine() {
+    const engine = new TaxScheduleEngine();
+    await engine.loadSchedules();
+    return engine;
+}
+
+test('loads every bundled schedule and activates the manifest default', async () => {
+    const engine = await loadEngine();
+    assert.deepEqual(Array.from(engine.schedules.keys()), ['fhe-demo-2024', 'us-federal-2024']);
+    assert.equal(engine.activeScheduleId, 'fhe-demo-2024');
+});
+
+test('bracket boundaries belong to the lower bracket', async () => {
+    const engine = await loadEngine();
+    assert.equal(engine.calculateTax(Money.from(50000), 'single'), Money.from(5000));
+    assert.equal(engine.getBracketBreakdown(Money.from(50000), 'single').length, 1);
+    assert.equal(engine.calculateTax(Money.from(100000), 'single'), Money.from(15000));
+    assert.equal(engine.getBracketBreakdown(Money.from(100000), 'single').length, 2);
+    assert.equal(engine.getBracketBreakdown(Money.from(100000) + 1n, 'single').length, 3);
+    assert.equal(engine.calculateTax(-Money.from(10), 'single'), 0n);
+});
+
+test('getMarginalRate at exactly upTo is the rate of the bracket ending there', async () => {
+    const engine = await loadEngine();
+    assert.equal(engine.getMarginalRate(0n, 'single'), 10);
+    assert.equal(engine.getMarginalRate(Money.from(50000), 'single'), 10);
+    assert.equal(engine.getMarginalRate(Money.from(50000) + 1n, 'single'), 20);
+    assert.equal(engine.getMarginalRate(Money.from(100000), 'single'), 20);
+    assert.equal(engine.getMarginalRate(Money.from(100000), 'married_joint'), 10);
+    assert.equal(engine.getMarginalRate(Money.from(1000000), 'single'), 30);
+});
+
+test('per-line rounding rounds each bracket slice before summing', async () => {
+    const engine = await loadEngine();
+    // 10% of $50,000 plus 20% of $2.50: $5,000.50 in total
+    const taxable = Money.from('50002.50');
+    assert.equal(engine.calculateTax(taxable, 'single'), Money.from(5001));
+    engine.setRounding({ unit: 'cent' });
+    assert.equal(engine.calculateTax(taxable, 'single'), Money.from('5000.50'));
+    engine.setRounding({ unit: 'dollar', mode: 'half-even', strategy: 'per-line' });
+    assert.equal(engine.calculateTax(taxable, 'single'), Money.from(5000));
+    assert.throws(() => engine.setRounding({ strategy: 'sometimes' }), /Rounding strategy/);
+});
+
+test('wages use up the Social Security wage base before self-employment earnings', async () => {
+    const engine = await loadEngine();
+    const belowBase = engine.computePayrollTax({ wages: Money.from(160000), businessIncome: Money.from(20000), filingStatus: 'single' });
+    // $18,470 of net earnings; only $8,600 of the $168,600 base is left for Social Security
+    assert.equal(belowBase.selfEmploymentTax, Money.from(1602));
+    assert.equal(belowBase.selfEmploymentDeduction, Money.from(801));
+
+    const aboveBase = engine.computePayrollTax({ wages: Money.from(170000), businessIncome: Money.from(20000), filingStatus: 'single' });
+    assert.equal(aboveBase.selfEmploymentTax, Money.from(536));
+    const socialSecurity = aboveBase.lines.find(line => line.key === 'socialSecurity');
+    assert.equal(socialSecurity.amount, Money.from(10453));
+    assert.match(socialSecurity.note, /capped at \$168,600/);
+
+    const selfEmployedOnly = engine.computePayrollTax({ wages: 0n, businessIncome: Money.from(20000), filingStatus: 'single' });
+    assert.equal(selfEmployedOnly.selfEmploymentTax, Money.from(2826));
+    assert.equal(selfEmployedOnly.withheldByEmployer, 0n);
+});
+
+test('self-employment earnings under the minimum are not taxed', async () => {
+    const engine = await loadEngine();
+    const payroll = engine.computePayrollTax({ wages: 0n, businessIncome: Money.from(400), filingStatus: 'single' });
+    assert.equal(payroll.selfEmploymentTax, 0n);
+    assert.equal(payroll.total, 0n);
+});
+
+test('the refundable child credit is capped per child and by earned income', async () => {
+    const engine = await loadEngine();
+    const credit = (tax, earnedIncome) => engine.computeCredits({
+        tax: Money.from(tax),
+        income: Money.from(earnedIncome),
+        earnedIncome: Money.from(earnedIncome),
+        credits: { children: 2 },
+        filingStatus: 'single'
+    });
+    const refundable = result => result.items.find(item => item.key === 'additionalChild');
+
+    // 15% of earnings above $2,500
+    const lowEarnings = credit(0, 20000);
+    assert.equal(refundable(lowEarnings).applied, Money.from(2625));
+    assert.equal(lowEarnings.netTax, -Money.from(2625));
+
+    // $1,700 per child
+    assert.equal(refundable(credit(0, 40000)).applied, Money.from(3400));
+
+    // Only the part of the $4,000 credit left after reducing the tax to zero
+    const withTax = credit(3000, 40000);
+    assert.equal(withTax.nonRefundableApplied, Money.from(3000));
+    assert.equal(refundable(withTax).applied, Money.from(1000));
+    assert.equal(withTax.netTax, -Money.from(1000));
+});
+
+test('long-term gains are taxed at preferential rates stacked on ordinary income', async () => {
+    const engine = await loadEngine();
+    const result = engine.computeReturn({ incomes: { wages: 60000, longTermGains: 20000 }, filingStatus: 'single' });
+    assert.equal(result.ordinaryTaxableIncome, Money.from(45400));
+    assert.equal(result.preferentialTaxableIncome, Money.from(20000));
+    assert.equal(result.ordinaryTax, Money.from(4540));
+    // $1,625 fits under the 0% threshold of $47,025; the other $18,375 is taxed at 15%
+    assert.equal(result.preferentialTax, Money.from(2756));
+    assert.equal(result.tax, Money.from(7296));
+});
+
+test('the contract inputs reproduce the bracket tax of the full return', async () => {
+    const engine = await loadEngine();
+    const incomes = { wages: 40000, businessIncome: 30000, longTermGains: 20000 };
+    const result = engine.computeReturn({ incomes, itemized: { medicalExpenses: 22000 }, filingStatus: 'single' });
+    const inputs = engine.computeContractInputs({ incomes, itemized: { medicalExpenses: 22000 }, filingStatus: 'single' });
+    assert.equal(inputs.ordinaryIncome, Money.from(70000) - result.payroll.selfEmploymentDeduction);
+    assert.equal(inputs.preferentialIncome, Money.from(20000));
+    // Medical expenses above 7.5% of AGI, not of gross income
+    assert.equal(result.deductions.method, 'itemized');
+    assert.equal(inputs.deductions, result.deductions.amount);
+
+    const table = engine.getFilingStatusTable('single');
+    assert.equal(engine.computeContractTax(inputs, table.brackets, table.capitalGainsBrackets), result.tax);
+});
+
+test('schedules with an unordered or closed bracket table are rejected', async () => {
+    const engine = await loadEngine();
+    const base = engine.getSchedule('fhe-demo-2024');
+    const withBrackets = brackets => ({
+        ...base,
+        id: 'broken',
+        filingStatuses: { ...base.filingStatuses, single: { ...base.filingStatuses.single, brackets } }
+    });
+    assert.throws(() => engine.registerSchedule(withBrackets([{ upTo: 100, rate: 10 }, { upTo: 50, rate: 20 }, { upTo: null, rate: 30 }])),
+        /ascending/);
+    assert.throws(() => engine.registerSchedule(withBrackets([{ upTo: 100, rate: 10 }])), /open-ended/);
+});
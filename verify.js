@@ -0,0 +1,73 @@
+// Privacy Tax Calculator - Proof of Filing Verifier
+// Standalone page: checks a proof against the chain it names over a public RPC or the visitor's wallet
+
+// Networks from networks.json; their first RPC URL is used when none is entered
+const networks = new NetworkRegistry();
+
+function readProof() {
+    const text = document.getElementById('proofInput').value.trim();
+    if (!text) {
+        throw new Error('Paste a proof of filing or choose its file first');
+    }
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        throw new Error('The proof is not valid JSON');
+    }
+}
+
+async function providerFor(proof) {
+    const network = (await networks.load()).byChainId(proof.chainId);
+    const rpcUrl = document.getElementById('rpcUrlInput').value.trim() || (network && network.rpcUrls[0]);
+    if (rpcUrl) {
+        return new ethers.JsonRpcProvider(rpcUrl);
+    }
+    if (window.ethereum) {
+        return new ethers.BrowserProvider(window.ethereum);
+    }
+    throw new Error(`No RPC URL known for chain ${proof.chainId}; enter one above`);
+}
+
+function renderChecks(verdict, checks) {
+    document.getElementById('verifyResult').style.display = 'block';
+    document.getElementById('verifyVerdict').textContent = verdict;
+    document.getElementById('verifyChecks').innerHTML = checks.map(check => `
+        <div class="verify-check ${check.ok ? 'ok' : 'failed'}">
+            <span>${check.ok ? '✅' : '❌'} ${escapeHtml(check.label)}</span>
+            <span class="verify-detail">${escapeHtml(check.detail)}</span>
+        </div>
+    `).join('');
+}
+
+// Proofs come from third parties; never inject their text as markup
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, char => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[char]);
+}
+
+async function loadProofFile(file) {
+    if (!file) return;
+    document.getElementById('proofInput').value = await file.text();
+}
+
+async function verifyProof() {
+    let proof;
+    try {
+        proof = readProof();
+        renderChecks('Verifying...', []);
+
+        const checks = await ProofOfFiling.verify(proof, await providerFor(proof));
+        const valid = checks.every(check => check.ok);
+        renderChecks(valid
+            ? `✅ Valid: ${proof.taxpayer} filed for ${proof.taxYear} (issued to ${proof.issuedTo})`
+            : '❌ Not valid: do not rely on this proof', checks);
+    } catch (error) {
+        console.error('Verification failed:', error);
+        renderChecks('❌ Could not verify', [{
+            label: 'Verification',
+            ok: false,
+            detail: error.shortMessage || error.message
+        }]);
+    }
+}
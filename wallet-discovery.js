@@ -0,0 +1,91 @@
+// Privacy Tax Calculator - Wallet Discovery
+// Finds installed browser wallets through EIP-6963 and remembers the one the user picks
+
+class WalletDiscovery {
+    constructor(app) {
+        // Messaging and connecting come from the main app
+        this.app = app;
+        // Announced wallets by reverse-DNS id, e.g. io.metamask
+        this.wallets = new Map();
+        this.selectedRdns = localStorage.getItem('walletRdns');
+    }
+
+    // Listen for announcements and ask the installed wallets to make theirs. Wallets that load
+    // later announce themselves unprompted, so the listener stays for the page's lifetime.
+    start() {
+        window.addEventListener('eip6963:announceProvider', (event) => this.add(event.detail));
+        window.dispatchEvent(new Event('eip6963:requestProvider'));
+    }
+
+    add(detail) {
+        if (!detail || !detail.info || !detail.info.rdns || !detail.provider) return;
+        this.wallets.set(detail.info.rdns, { info: detail.info, provider: detail.provider });
+        this.render();
+    }
+
+    // Resolves once a wallet has announced itself, or after a short wait when none has
+    async ready() {
+        for (let waited = 0; this.wallets.size === 0 && waited < WalletDiscovery.ANNOUNCE_WAIT_MS; waited += 50) {
+            await new Promise(resolve => setTimeout(resolve, 50));
+        }
+        return this;
+    }
+
+    // Announced wallets; a wallet that only injects window.ethereum is listed when none announces
+    list() {
+        if (this.wallets.size > 0) {
+            return Array.from(this.wallets.values());
+        }
+        if (window.ethereum) {
+            return [{
+                info: { uuid: WalletDiscovery.INJECTED_RDNS, rdns: WalletDiscovery.INJECTED_RDNS, name: 'Browser wallet', icon: '' },
+                provider: window.ethereum
+            }];
+        }
+        return [];
+    }
+
+    // The remembered wallet if it is still installed, else the only one installed
+    get selected() {
+        const wallets = this.list();
+        return wallets.find(wallet => wallet.info.rdns === this.selectedRdns) ||
+            (wallets.length === 1 ? wallets[0] : null);
+    }
+
+    select(rdns) {
+        this.selectedRdns = rdns;
+        localStorage.setItem('walletRdns', rdns);
+        this.render();
+        return this.selected;
+    }
+
+    // The picker only appears when there is a choice to make. Names come from the wallets
+    // themselves, so options are built as text rather than HTML.
+    render() {
+        const select = document.getElementById('walletSelect');
+        if (!select) return;
+
+        const wallets = this.list();
+        const selected = this.selected;
+        const options = wallets.map(wallet => [wallet.info.rdns, wallet.info.name]);
+        if (!selected) {
+            options.unshift(['', 'Choose wallet']);
+        }
+
+        select.innerHTML = '';
+        options.forEach(([value, name]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = name;
+            select.appendChild(option);
+        });
+        select.value = selected ? selected.info.rdns : '';
+        select.style.display = wallets.length > 1 ? 'block' : 'none';
+    }
+}
+
+// Reverse-DNS id given to a legacy window.ethereum wallet
+WalletDiscovery.INJECTED_RDNS = 'injected';
+
+// How long to wait for the first announcement before falling back to window.ethereum
+WalletDiscovery.ANNOUNCE_WAIT_MS = 300;
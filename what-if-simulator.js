@@ -0,0 +1,189 @@
+// Privacy Tax Calculator - What-If Simulator
+// Live local recomputation with pinned side-by-side scenarios; no blockchain transactions
+
+class WhatIfSimulator {
+    constructor(taxEngine, getContext) {
+        this.taxEngine = taxEngine;
+        // Filing status and jurisdictions come from the main calculator form
+        this.getContext = getContext;
+        this.pinned = [];
+        this.maxPinned = 4;
+
+        this.sliders = [
+            { key: 'wages', group: 'incomes', label: 'Wages', max: 500000, step: 1000, value: 75000 },
+            { key: 'businessIncome', group: 'incomes', label: 'Business Income', max: 300000, step: 1000, value: 0 },
+            { key: 'longTermGains', group: 'incomes', label: 'Long-Term Gains', max: 300000, step: 1000, value: 0 },
+            { key: 'mortgageInterest', group: 'itemized', label: 'Mortgage Interest', max: 50000, step: 500, value: 0 },
+            { key: 'charitable', group: 'itemized', label: 'Charitable Giving', max: 50000, step: 500, value: 0 }
+        ];
+    }
+
+    init() {
+        this.loadPinned();
+        this.renderSliders();
+        this.update();
+    }
+
+    renderSliders() {
+        const container = document.getElementById('simulatorSliders');
+        if (!container) return;
+
+        container.innerHTML = this.sliders.map(slider => `
+            <div class="simulator-slider">
+                <label for="sim-${slider.key}">
+                    <span>${slider.label}</span>
+                    <span class="value" id="sim-${slider.key}-value">${Money.format(Money.from(slider.value))}</span>
+                </label>
+                <input type="range" id="sim-${slider.key}" min="0" max="${slider.max}"
+                    step="${slider.step}" value="${slider.value}" oninput="updateSimulator()">
+            </div>
+        `).join('');
+    }
+
+    // Current slider values as an engine input
+    readInputs() {
+        const input = { incomes: {}, itemized: {} };
+        this.sliders.forEach(slider => {
+            const element = document.getElementById(`sim-${slider.key}`);
+            const value = Money.from(element ? element.value : slider.value);
+            input[slider.group][slider.key] = value;
+
+            const label = document.getElementById(`sim-${slider.key}-value`);
+            if (label) {
+                label.textContent = Money.format(value);
+            }
+        });
+        return input;
+    }
+
+    compute(input) {
+        const context = this.getContext();
+        return this.taxEngine.computeReturn({
+            incomes: input.incomes,
+            itemized: input.itemized,
+            filingStatus: context.filingStatus,
+            jurisdictions: context.jurisdictions
+        });
+    }
+
+    // Summary figures compared across scenarios
+    summarize(result) {
+        return {
+            income: result.income,
+            totalTax: result.totalTax,
+            effectiveRate: result.combinedEffectiveRate,
+            marginalRate: result.marginalRate
+        };
+    }
+
+    // Recompute the live scenario and every pinned scenario
+    update() {
+        let live;
+        try {
+            live = this.summarize(this.compute(this.readInputs()));
+        } catch (error) {
+            console.error('Simulator update failed:', error);
+            return;
+        }
+
+        const liveElement = document.getElementById('simulatorLive');
+        if (liveElement) {
+            liveElement.innerHTML =
+                `<span>Total Tax: <strong>${Money.format(live.totalTax)}</strong></span>` +
+                `<span>Effective: <strong>${live.effectiveRate.toFixed(2)}%</strong></span>` +
+                `<span>Marginal: <strong>${live.marginalRate}%</strong></span>`;
+        }
+
+        this.renderPinned(live);
+    }
+
+    pinCurrent() {
+        if (this.pinned.length >= this.maxPinned) {
+            return false;
+        }
+        this.pinned.push({ name: `Scenario ${String.fromCharCode(65 + this.pinned.length)}`, input: this.readInputs() });
+        this.savePinned();
+        this.update();
+        return true;
+    }
+
+    unpin(index) {
+        this.pinned.splice(index, 1);
+        this.pinned.forEach((scenario, i) => {
+            scenario.name = `Scenario ${String.fromCharCode(65 + i)}`;
+        });
+        this.savePinned();
+        this.update();
+    }
+
+    // Side-by-side table; deltas are relative to the first pinned scenario
+    renderPinned(live) {
+        const container = document.getElementById('simulatorPinned');
+        if (!container) return;
+
+        if (this.pinned.length === 0) {
+            container.innerHTML = '<p class="simulator-empty">Pin scenarios to compare them side by side.</p>';
+            return;
+        }
+
+        const columns = this.pinned.map(scenario => ({
+            name: scenario.name,
+            summary: this.summarize(this.compute(scenario.input))
+        }));
+        columns.push({ name: 'Live', summary: live });
+        const baseline = columns[0].summary;
+
+        // Money figures are BigInt units and compare exactly; rates are display Numbers
+        const delta = (value, base, format) => {
+            const diff = value - base;
+            const isZero = typeof diff === 'bigint' ? diff === 0n : Math.abs(diff) < 0.005;
+            if (isZero) return '';
+            return `<span class="delta ${diff > 0 ? 'up' : 'down'}">${diff > 0 ? '+' : '−'}${format(diff > 0 ? diff : -diff)}</span>`;
+        };
+        const money = value => Money.format(value);
+        const percent = value => `${value.toFixed(2)}%`;
+
+        const rows = [
+            { label: 'Income', cell: s => money(s.income) + delta(s.income, baseline.income, money) },
+            { label: 'Total Tax', cell: s => money(s.totalTax) + delta(s.totalTax, baseline.totalTax, money) },
+            { label: 'Effective Rate', cell: s => percent(s.effectiveRate) + delta(s.effectiveRate, baseline.effectiveRate, percent) },
+            { label: 'Marginal Rate', cell: s => `${s.marginalRate}%` + delta(s.marginalRate, baseline.marginalRate, v => `${v}%`) }
+        ];
+
+        container.innerHTML = `
+            <table class="simulator-table">
+                <thead>
+                    <tr>
+                        <th></th>
+                        ${columns.map((column, index) => `
+                            <th>${column.name}${index < this.pinned.length
+                                ? ` <button class="simulator-unpin" onclick="unpinSimulatorScenario(${index})" title="Remove">×</button>`
+                                : ''}</th>`).join('')}
+                    </tr>
+                </thead>
+                <tbody>
+                    ${rows.map(row => `
+                        <tr>
+                            <td>${row.label}</td>
+                            ${columns.map(column => `<td>${row.cell(column.summary)}</td>`).join('')}
+                        </tr>`).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    loadPinned() {
+        try {
+            const stored = localStorage.getItem('pinnedScenarios');
+            if (stored) {
+                this.pinned = JSON.parse(stored).slice(0, this.maxPinned);
+            }
+        } catch (error) {
+            console.error('Failed to load pinned scenarios:', error);
+        }
+    }
+
+    savePinned() {
+        localStorage.setItem('pinnedScenarios', JSON.stringify(this.pinned, Money.replacer));
+    }
+}